@@ -2,11 +2,13 @@
  * Setup Telegram Webhook
  * 
  * Run this script after deploying to Vercel to set up the webhook.
+ * Registers the secret token the server checks on every update (WEBHOOK_SECRET or derived from BOT_TOKEN).
  * Usage: npm run set-webhook <your-vercel-url>
  */
 
 import https from 'https';
 import dotenv from 'dotenv';
+import { getWebhookSecret } from '../src/auth.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -32,7 +34,7 @@ const webhookUrl = `${WEBHOOK_URL}/api/webhook`;
 
 console.log(`Setting webhook to: ${webhookUrl}`);
 
-const data = JSON.stringify({ url: webhookUrl });
+const data = JSON.stringify({ url: webhookUrl, secret_token: getWebhookSecret() });
 
 const options = {
   hostname: 'api.telegram.org',
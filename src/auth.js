@@ -0,0 +1,314 @@
+/**
+ * Web Panel Authentication
+ *
+ * Protects the control panel and its APIs with signed session cookies.
+ * Users log in with a password or the Telegram Login Widget and get one of two roles:
+ * - viewer: read-only access to the panel and GET APIs
+ * - admin: everything, including settings changes and reset
+ *
+ * State-changing requests also need the session's CSRF token in the X-CSRF-Token header.
+ *
+ * Machine callers skip sessions but prove themselves per request:
+ * - Telegram sends the webhook secret_token in X-Telegram-Bot-Api-Secret-Token
+ * - the icebreaker cron sends CRON_SECRET as a bearer token or an HMAC signature
+ *
+ * @module auth
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_DAYS = 7;
+const TELEGRAM_AUTH_MAX_AGE_SECONDS = 24 * 60 * 60;
+const CRON_SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+
+// Reachable without a session: login itself, health checks, and Telegram/cron callers (see WEBHOOK AND CRON)
+const PUBLIC_PATHS = ['/login', '/logout', '/auth/telegram', '/health', '/health/kv', '/api/webhook', '/api/cron/icebreaker'];
+
+function parseIds(value) {
+  return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Read auth settings from the environment
+ *
+ * @returns {Object} - Auth configuration
+ */
+export function getAuthConfig() {
+  return {
+    disabled: process.env.AUTH_DISABLED === 'true',
+    adminPassword: process.env.ADMIN_PASSWORD || '',
+    viewerPassword: process.env.VIEWER_PASSWORD || '',
+    adminTelegramIds: parseIds(process.env.ADMIN_TELEGRAM_IDS),
+    viewerTelegramIds: parseIds(process.env.VIEWER_TELEGRAM_IDS),
+  };
+}
+
+/**
+ * Check if the Telegram Login Widget can be used
+ */
+export function isTelegramLoginEnabled() {
+  const config = getAuthConfig();
+  return !!process.env.BOT_TOKEN && (config.adminTelegramIds.length > 0 || config.viewerTelegramIds.length > 0);
+}
+
+// Signs sessions when no secret is configured; such sessions end with the process
+const processSessionSecret = randomBytes(32).toString('hex');
+let warnedAboutSessionSecret = false;
+
+// Sessions should survive restarts and serverless cold starts, so the fallback key is derived from the configured secrets.
+// With none of them set, a derived key could be computed by anyone, so a random one is used instead.
+function getSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (process.env.BOT_TOKEN || process.env.ADMIN_PASSWORD) {
+    return createHash('sha256').update(`session:${process.env.BOT_TOKEN || ''}:${process.env.ADMIN_PASSWORD || ''}`).digest('hex');
+  }
+
+  if (!warnedAboutSessionSecret) {
+    warnedAboutSessionSecret = true;
+    console.warn('[Auth] SESSION_SECRET, BOT_TOKEN and ADMIN_PASSWORD not set: sessions use a random key and end on restart');
+  }
+  return processSessionSecret;
+}
+
+// ============================================================================
+// CREDENTIALS
+// ============================================================================
+
+function safeEqual(a, b) {
+  const hashA = createHash('sha256').update(String(a)).digest();
+  const hashB = createHash('sha256').update(String(b)).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Get the role a password grants
+ *
+ * @param {string} password - Submitted password
+ * @returns {'admin'|'viewer'|null}
+ */
+export function checkPassword(password) {
+  const config = getAuthConfig();
+  if (!password) return null;
+  if (config.adminPassword && safeEqual(password, config.adminPassword)) return 'admin';
+  if (config.viewerPassword && safeEqual(password, config.viewerPassword)) return 'viewer';
+  return null;
+}
+
+/**
+ * Verify Telegram Login Widget data and get the role of the Telegram user
+ * See https://core.telegram.org/widgets/login#checking-authorization
+ *
+ * @param {Object} data - Query fields sent by the widget (id, auth_date, hash, ...)
+ * @returns {'admin'|'viewer'|null}
+ */
+export function verifyTelegramLogin(data) {
+  const { hash, ...fields } = data || {};
+  if (!hash || !fields.id || !process.env.BOT_TOKEN) return null;
+
+  const checkString = Object.keys(fields)
+    .sort()
+    .map(key => `${key}=${fields[key]}`)
+    .join('\n');
+  const secret = createHash('sha256').update(process.env.BOT_TOKEN).digest();
+  const expected = createHmac('sha256', secret).update(checkString).digest('hex');
+
+  if (!safeEqual(expected, hash)) return null;
+  if (Date.now() / 1000 - Number(fields.auth_date) > TELEGRAM_AUTH_MAX_AGE_SECONDS) return null;
+
+  const config = getAuthConfig();
+  const id = String(fields.id);
+  if (config.adminTelegramIds.includes(id)) return 'admin';
+  if (config.viewerTelegramIds.includes(id)) return 'viewer';
+  return null;
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+function sign(payload) {
+  return createHmac('sha256', getSessionSecret()).update(payload).digest('base64url');
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Read and verify the session cookie of a request
+ *
+ * @param {Object} req - Express request
+ * @returns {Object|null} - Session { role, subject, csrf, expiresAt }, or null if missing or invalid
+ */
+export function readSession(req) {
+  const cookie = parseCookies(req)[SESSION_COOKIE];
+  if (!cookie) return null;
+
+  const [payload, signature] = cookie.split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    return session.expiresAt > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start a session by setting the signed session cookie
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {'admin'|'viewer'} role - Granted role
+ * @param {string} subject - Who logged in ('password' or 'telegram:<id>')
+ */
+export function startSession(req, res, role, subject) {
+  const session = {
+    role,
+    subject,
+    csrf: randomBytes(16).toString('hex'),
+    expiresAt: Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+  };
+  const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+
+  res.cookie(SESSION_COOKIE, `${payload}.${sign(payload)}`, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+    path: '/',
+  });
+}
+
+/**
+ * End the session by clearing its cookie
+ *
+ * @param {Object} res - Express response
+ */
+export function endSession(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Express middleware enforcing sessions, roles and CSRF tokens
+ * GET/HEAD need any role; other methods need admin and a matching X-CSRF-Token header.
+ * Sets req.session for later handlers.
+ */
+export function authenticate(req, res, next) {
+  if (getAuthConfig().disabled) {
+    req.session = { role: 'admin', subject: 'anonymous', csrf: '' };
+    return next();
+  }
+
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const session = readSession(req);
+  if (!session) {
+    if (req.method === 'GET' && !req.path.startsWith('/api/')) {
+      return res.redirect('/login');
+    }
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.session = session;
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return next();
+  }
+
+  if (session.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin role required' });
+  }
+
+  const token = req.get('X-CSRF-Token') || '';
+  if (!token || !safeEqual(token, session.csrf)) {
+    return res.status(403).json({ error: 'Invalid CSRF token' });
+  }
+
+  next();
+}
+
+// ============================================================================
+// WEBHOOK AND CRON
+// ============================================================================
+
+/**
+ * Get the secret_token Telegram sends with every webhook update
+ * Derived from BOT_TOKEN when WEBHOOK_SECRET is not set, so set-webhook and the server agree without extra config.
+ *
+ * @returns {string} - Secret token (A-Z, a-z, 0-9, _ and - only, as Telegram requires)
+ */
+export function getWebhookSecret() {
+  return process.env.WEBHOOK_SECRET ||
+    createHash('sha256').update(`webhook:${process.env.BOT_TOKEN || ''}`).digest('hex');
+}
+
+/**
+ * Express middleware rejecting webhook requests that don't carry the secret token
+ */
+export function requireWebhookSecret(req, res, next) {
+  const token = req.get('X-Telegram-Bot-Api-Secret-Token') || '';
+  if (!token || !safeEqual(token, getWebhookSecret())) {
+    console.warn('[Auth] Webhook request with missing or wrong secret token rejected');
+    return res.status(401).send('Unauthorized');
+  }
+  next();
+}
+
+/**
+ * Sign a cron request: hex HMAC-SHA256 of "<timestamp>.<path>" with CRON_SECRET
+ *
+ * @param {string} secret - CRON_SECRET
+ * @param {string|number} timestamp - Unix time in seconds
+ * @param {string} requestPath - Request path including query, e.g. /api/cron/icebreaker
+ * @returns {string} - Signature
+ */
+export function signCronRequest(secret, timestamp, requestPath) {
+  return createHmac('sha256', secret).update(`${timestamp}.${requestPath}`).digest('hex');
+}
+
+/**
+ * Express middleware accepting cron requests with
+ * "Authorization: Bearer <CRON_SECRET>" or X-Cron-Timestamp + X-Cron-Signature headers
+ */
+export function requireCronAuth(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.warn('[Auth] CRON_SECRET not set, cron request rejected');
+    return res.status(401).json({ error: 'Cron authentication not configured' });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ') && safeEqual(authorization.slice(7), secret)) {
+    return next();
+  }
+
+  const timestamp = req.get('X-Cron-Timestamp');
+  const signature = req.get('X-Cron-Signature');
+  if (timestamp && signature && Math.abs(Date.now() / 1000 - Number(timestamp)) <= CRON_SIGNATURE_MAX_AGE_SECONDS &&
+      safeEqual(signature, signCronRequest(secret, timestamp, req.originalUrl))) {
+    return next();
+  }
+
+  console.warn('[Auth] Unauthenticated cron request rejected');
+  res.status(401).json({ error: 'Unauthorized' });
+}
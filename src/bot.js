@@ -1,24 +1,53 @@
 /**
  * Telegram Bot - Duplex Message Routing
  * 
- * Mediates messages between exactly two users (User A and User B).
+ * Mediates messages between the two users (User A and User B) of each pair.
+ * One bot hosts many independent pairs; each Telegram user belongs to one pair.
+ * Partners join a pair through /start <code> invite deep links.
  * Stylizes messages in both directions and forwards them naturally.
+ * Media is relayed with its caption stylized; see media.js.
+ * Every relayed copy is linked to its original so replies keep their threading,
+ * edits are re-stylized into the copy and /unsend deletes it.
+ * In preview mode the sender approves each stylized message with inline buttons first.
+ * Telegram calls are retried through resilience.js; the sender is told when a message
+ * goes out unstylized or can't be delivered.
+ * Messages of a chat are stylized concurrently but delivered in send order; see queue.js.
  */
 
 import TelegramBot from 'node-telegram-bot-api';
 import { stylizeMessage } from './llm.js';
-import { triggerIcebreakerCheck } from './icebreaker.js';
+import { triggerIcebreakerCheck, scheduleNextIcebreaker } from './icebreaker.js';
 import { t } from './translations.js';
-import { getTraceId, createSimpleTrace } from './opik.js';
-import { readConfig, writeConfig } from './opik.js';
+import { getTraceId, createSimpleTrace, logFeedback } from './opik.js';
+import { readConfig, updateConfig, updatePair, appendMessage, createPair, createInvite, findPairByUser, findPairByInvite, saveMessageLink, findMessageLink, saveDraft, getDraft, updateDraft, takeDraft, findLastMessageLink, updateMessageLink, getCounterpartMessageId, claimUpdate, completeUpdate, takeStaleUpdates } from './storage.js';
 import { processFeedbackComment } from './user-feedback.js';
+import { getMessageType, supportsCaption, sendMedia } from './media.js';
+import { getPromptStyleKey } from './prompts.js';
+import { SETTINGS_COMMANDS, handleSettingsCommand, handleSettingsCallback } from './commands.js';
+import { wrapMethods } from './resilience.js';
+import { enterQueue, waitForMessage } from './queue.js';
+import { sendOrDefer, isQuietTime } from './quiet-hours.js';
 
 // Bot instance (will be initialized)
 let bot = null;
 let isInitializing = false;
 
-// Store last message trace info for feedback (userId -> trace info)
-const lastMessageTraces = new Map();
+// Outgoing Telegram calls retried on 429/5xx/network errors; they share the 'telegram' circuit
+const TELEGRAM_METHODS = [
+  'sendMessage', 'sendPhoto', 'sendVideo', 'sendDocument', 'sendAudio', 'sendVoice', 'sendAnimation',
+  'sendVideoNote', 'sendSticker', 'sendLocation', 'sendVenue', 'sendContact', 'sendPoll',
+  'editMessageText', 'editMessageCaption', 'editMessageReplyMarkup', 'deleteMessage', 'answerCallbackQuery',
+];
+
+// How long after sending a message its partner copy can still be deleted with /unsend
+const UNSEND_WINDOW_MINUTES = 60;
+
+// A webhook update still processing after this long is considered lost and retried, up to UPDATE_MAX_ATTEMPTS times
+const STALE_UPDATE_MINUTES = 5;
+const UPDATE_MAX_ATTEMPTS = 3;
+
+// Feedback score the 👍/👎 buttons write on a message's trace (1 or 0), averaged with the LLM-judge metrics
+const RATING_SCORE_NAME = 'user_rating';
 
 /**
  * Initialize the Telegram bot
@@ -43,7 +72,9 @@ export function initializeBot(token, useWebhook = false) {
   try {
     // Use webhook for Vercel, polling for local development
     // Don't auto-start polling - we'll start it explicitly
-    bot = new TelegramBot(token, { polling: false });
+    // TELEGRAM_API_URL points the bot at another Bot API server, e.g. a local one or a test double
+    bot = new TelegramBot(token, { polling: false, baseApiUrl: process.env.TELEGRAM_API_URL || undefined });
+    wrapMethods(bot, TELEGRAM_METHODS, 'telegram');
     console.log(`Bot initialized with ${useWebhook ? 'webhook' : 'polling'} mode`);
     return bot;
   } finally {
@@ -59,79 +90,759 @@ export function getBot() {
 }
 
 /**
- * Determine which user sent the message (A or B)
+ * Get a pair member's settings by role
  * 
- * @param {number} telegramId - The Telegram user ID
- * @param {Object} config - The bot configuration
- * @returns {string|null} - 'A', 'B', or null if not recognized
+ * @param {Object} pair - The pair
+ * @param {string} role - 'A' or 'B'
+ * @returns {Object} - User settings
  */
-function identifySender(telegramId, config) {
-  if (config.userA.telegramId === telegramId) {
-    return 'A';
-  }
-  if (config.userB.telegramId === telegramId) {
-    return 'B';
-  }
-  return null;
+function getPairUser(pair, role) {
+  return role === 'A' ? pair.userA : pair.userB;
 }
 
 /**
  * Get the recipient's Telegram ID
  * 
  * @param {string} senderRole - 'A' or 'B'
- * @param {Object} config - The bot configuration
+ * @param {Object} pair - The sender's pair
  * @returns {number|null} - Recipient's Telegram ID or null
  */
-function getRecipientId(senderRole, config) {
+function getRecipientId(senderRole, pair) {
   if (senderRole === 'A') {
-    return config.userB.telegramId;
+    return pair.userB.telegramId;
   }
   if (senderRole === 'B') {
-    return config.userA.telegramId;
+    return pair.userA.telegramId;
   }
   return null;
 }
 
 /**
- * Send a message to a specific user by role
+ * Build the t.me deep link that starts the bot with an invite code
  * 
+ * @param {string} code - Invite code
+ * @returns {Promise<string|null>} - Invite link, or null if the bot username is unknown
+ */
+export async function getInviteLink(code) {
+  const botInfo = await getBotInfo();
+  return botInfo ? `https://t.me/${botInfo.username}?start=${code}` : null;
+}
+
+/**
+ * Put a Telegram user into a pair slot
+ * Preserves existing language settings if configured via UI
+ */
+function assignPairUser(pair, role, msg) {
+  const key = role === 'A' ? 'userA' : 'userB';
+  pair[key] = {
+    ...pair[key],
+    telegramId: msg.from.id,
+    username: msg.from.username || msg.from.first_name || 'Unknown',
+    languageCode: msg.from.language_code || 'en'
+  };
+  console.log(`Registered ${pair[key].username} as User ${role} of pair ${pair.id}`);
+}
+
+/**
+ * Send the User A welcome with an invite link for the partner
+ */
+async function sendInvite(telegramId, pair, lang) {
+  const inviteLink = await getInviteLink(pair.invite.code);
+  await bot.sendMessage(
+    telegramId,
+    `${t(lang, 'welcomeUserA')}\n\n${inviteLink || pair.invite.code}`
+  );
+}
+
+/**
+ * Put a user who is not in any pair into one, under the config write lock
+ * Without a code the user starts a new pair as User A; with a code the user takes
+ * the open slot of the inviting pair. Of two people using one invite at once, only
+ * the first gets the slot.
+ * 
+ * @returns {Promise<Object>} - { pair, role }, or { error } with the translation key to answer with
+ */
+function registerUser(msg, inviteCode) {
+  return updateConfig(config => {
+    // Registered by another update in the meantime
+    if (findPairByUser(config, msg.from.id)) {
+      return { error: 'alreadyRegistered' };
+    }
+
+    if (!inviteCode) {
+      const pair = createPair(config);
+      assignPairUser(pair, 'A', msg);
+      return { pair, role: 'A' };
+    }
+
+    const pair = findPairByInvite(config, inviteCode);
+    if (!pair) {
+      return { error: 'inviteInvalid' };
+    }
+
+    // Pairs created in the UI have no User A yet: the first invitee takes slot A
+    const role = pair.userA.telegramId ? 'B' : 'A';
+    assignPairUser(pair, role, msg);
+    if (role === 'A') {
+      createInvite(pair);
+    } else {
+      pair.invite = null;
+    }
+    return { pair, role };
+  });
+}
+
+/**
+ * Handle /start from a user who is not in any pair
+ * New User A gets an invite link for the partner; a joining User B is welcomed
+ * and User A is told.
+ * 
+ * @param {Object} msg - Telegram message object
+ * @param {string|undefined} inviteCode - Deep-link payload
+ * @param {string} lang - Bot language
+ */
+async function handleStartForNewUser(msg, inviteCode, lang) {
+  const telegramId = msg.from.id;
+  const { pair, role, error } = await registerUser(msg, inviteCode);
+
+  if (error) {
+    await bot.sendMessage(telegramId, t(lang, error));
+    return;
+  }
+
+  if (role === 'A') {
+    await sendInvite(telegramId, pair, lang);
+    return;
+  }
+
+  await bot.sendMessage(telegramId, t(lang, 'welcomeUserB'));
+  await sendOrDefer(bot, pair, 'A', t(lang, 'partnerJoined'));
+}
+
+/**
+ * Send a message to a specific user of a pair by role
+ * 
+ * @param {string} pairId - Pair ID
  * @param {string} role - 'A' or 'B'
  * @param {string} text - Message text
- * @returns {Promise<boolean>} - True if sent successfully
+ * @returns {Promise<boolean>} - True if sent or deferred to the end of the user's quiet hours
  */
-export async function sendToUser(role, text) {
+export async function sendToUser(pairId, role, text) {
   try {
     const config = await readConfig();
+    const pair = config.pairs[pairId];
     
-    let telegramId;
-    if (role === 'A') {
-      telegramId = config.userA.telegramId;
-    } else if (role === 'B') {
-      telegramId = config.userB.telegramId;
-    } else {
+    if (!pair || (role !== 'A' && role !== 'B')) {
       return false;
     }
     
+    const telegramId = getPairUser(pair, role).telegramId;
+    
     if (!telegramId) {
-      console.log(`User ${role} not configured yet`);
+      console.log(`User ${role} of pair ${pairId} not configured yet`);
       return false;
     }
     
-    await bot.sendMessage(telegramId, text);
+    // Bot-initiated: waits for the end of the user's quiet hours
+    await sendOrDefer(bot, pair, role, text);
     return true;
     
   } catch (error) {
-    console.error(`Error sending message to User ${role}:`, error);
+    console.error(`Error sending message to User ${role} of pair ${pairId}:`, error);
     return false;
   }
 }
 
+/**
+ * Stylize and translate a message for the sender's partner
+ * Follows the pair's stylization setting; empty text (media without caption) is passed through.
+ * 
+ * @param {Object} pair - The sender's pair
+ * @param {string} senderRole - 'A' or 'B'
+ * @param {string} sourceText - Text or caption as the sender wrote it
+ * @returns {Promise<Object>} - { processedText, traceInfo, feedbackTarget, unstylized }
+ *   feedbackTarget is the prompt the text was rewritten with (see getFeedbackTarget);
+ *   unstylized is true when the LLM failed and the original text is passed on instead
+ */
+async function stylizeForRecipient(pair, senderRole, sourceText) {
+  const senderUser = getPairUser(pair, senderRole);
+
+  // Get recipient's role and language
+  const recipientRole = senderRole === 'A' ? 'B' : 'A';
+  const recipientUser = getPairUser(pair, recipientRole);
+  let recipientLanguage = recipientUser.language || 'auto';
+
+  // If language is 'auto', use the recipient's Telegram language_code
+  if (recipientLanguage === 'auto') {
+    recipientLanguage = recipientUser.languageCode || 'en';
+    console.log(`Using recipient's language_code for User ${recipientRole}: ${recipientLanguage}`);
+  }
+
+  // Get sender's language
+  let senderLanguage = senderUser.language || 'auto';
+
+  // If language is 'auto', use the sender's Telegram language_code
+  if (senderLanguage === 'auto') {
+    senderLanguage = senderUser.languageCode || 'en';
+    console.log(`Using sender's language_code for User ${senderRole}: ${senderLanguage}`);
+  }
+
+  // Determine if languages are the same
+  const languagesAreSame = senderLanguage === recipientLanguage;
+
+  // Process the message based on stylization setting
+  let processedText;
+  let traceInfo = null;
+  let unstylized = false;
+  let rewrite = null;
+  const stylizationEnabled = senderUser.stylizationEnabled !== false; // Default to true
+
+  if (!sourceText) {
+    // Media without caption: nothing to stylize
+    processedText = '';
+    traceInfo = { trace: null, model: null, latency: null };
+  } else if (!stylizationEnabled && languagesAreSame) {
+    // Stylization disabled and same language: forward original, but still trace for tracking
+    processedText = sourceText;
+    const trace = createSimpleTrace(
+      'stylize_message',
+      {
+        original_message: sourceText,
+        style: 'none',
+        custom_style: null,
+        language: senderLanguage,
+        user_id: senderUser.telegramId,
+        username: senderUser.username,
+        user_role: senderRole,
+        conversation_id: pair.id,
+        prompt: '[no stylization - original message]',
+      },
+      {
+        result: sourceText,
+        language: recipientLanguage,
+        success: true,
+        model: 'none',
+        latency: 0,
+        fallback: false,
+      },
+      { message_type: 'stylize', style: 'none', pair_id: pair.id }
+    );
+    traceInfo = {
+      trace,
+      model: null,
+      latency: null
+    };
+    console.log(`Stylization disabled, same language: forwarding original message (traced)`);
+  } else if (!stylizationEnabled && !languagesAreSame) {
+    // Stylization disabled but different languages: stylize without style
+    // Use 'neutral' style with just translation
+    const result = await stylizeMessage(
+      sourceText,
+      'neutral',  // Use neutral style for translation-only
+      '',
+      recipientLanguage,
+      senderLanguage,
+      senderUser.telegramId,
+      senderRole,
+      senderUser.username,
+      pair.id // conversationId
+    );
+    processedText = result.text;
+    unstylized = !!result.fallback;
+    rewrite = { style: 'neutral', customStyle: '' };
+    traceInfo = {
+      trace: result.trace,
+      model: result.model,
+      latency: result.latency
+    };
+    console.log(`Stylization disabled, different languages: translating from ${senderLanguage} to ${recipientLanguage}`);
+  } else {
+    // Stylization enabled: use full stylization (includes translation if needed)
+    // Uses ONE common prompt with style and language as parameters
+    const result = await stylizeMessage(
+      sourceText,
+      senderUser.style,
+      senderUser.customStyle,
+      recipientLanguage,  // Output language (recipient's)
+      senderLanguage,      // Input language (sender's)
+      senderUser.telegramId,
+      senderRole,
+      senderUser.username,
+      pair.id // conversationId
+    );
+    processedText = result.text;
+    unstylized = !!result.fallback;
+    rewrite = { style: senderUser.style, customStyle: senderUser.customStyle };
+    traceInfo = {
+      trace: result.trace,
+      model: result.model,
+      latency: result.latency
+    };
+    console.log(`Stylization enabled: ${senderUser.style} style of User ${senderRole} in ${recipientLanguage}`);
+  }
+
+  // The original text went out when the LLM failed
+  const feedbackTarget = getFeedbackTarget(senderRole, unstylized ? null : rewrite, recipientLanguage);
+  return { processedText, traceInfo, feedbackTarget, unstylized };
+}
+
+/**
+ * Prompt the rewrite of a message came from, stored on its link so /feedback
+ * can improve that prompt later (the recipient can reply to any older copy)
+ * 
+ * @param {string} senderRole - 'A' or 'B'
+ * @param {Object|null} rewrite - { style, customStyle } the text was rewritten with, null if relayed as written
+ * @param {string} language - Language of the rewrite
+ * @returns {Object} - { style, customStyle, language }; style is null when there is no rewrite to improve
+ */
+function getFeedbackTarget(senderRole, rewrite, language) {
+  if (!rewrite) return { style: null, customStyle: '', language: null };
+  return {
+    style: getPromptStyleKey(rewrite.style, senderRole),
+    customStyle: rewrite.style === 'custom' ? rewrite.customStyle : '',
+    language,
+  };
+}
+
+/**
+ * Find the relayed message a /feedback command is about: the copy it replies to,
+ * or the last copy the user received
+ * 
+ * @param {Object} sender - { pair, role } of the user giving feedback
+ * @param {Object} msg - The /feedback message
+ * @returns {Promise<Object|null>} - Message link with style and language, or null
+ */
+async function findFeedbackTarget(sender, msg) {
+  const partnerRole = sender.role === 'A' ? 'B' : 'A';
+  const link = msg.reply_to_message
+    ? await findMessageLink(sender.pair.id, msg.chat.id, msg.reply_to_message.message_id)
+    : await findLastMessageLink(sender.pair.id, partnerRole, l => !!l.style);
+
+  // Only copies the user received carry a rewrite to comment on
+  if (!link || link.senderRole !== partnerRole || !link.style) return null;
+  return link;
+}
+
+/**
+ * Send a processed message to the sender's partner and record it
+ * (message link for threading/edits, history, feedback target)
+ * 
+ * @param {Object} pair - The sender's pair
+ * @param {string} senderRole - 'A' or 'B'
+ * @param {Object} msg - Original Telegram message
+ * @param {Object} content - { sourceText, processedText, traceId, feedbackTarget }
+ * @returns {Promise<Object>} - The sent Telegram message
+ */
+async function deliverMessage(pair, senderRole, msg, { sourceText, processedText, traceId, feedbackTarget }) {
+  const recipientId = getRecipientId(senderRole, pair);
+  const recipientRole = senderRole === 'A' ? 'B' : 'A';
+  const messageType = getMessageType(msg);
+  const username = msg.from.username || msg.from.first_name || 'Unknown';
+
+  // Replies point at the recipient's copy of the replied-to message
+  const sendOptions = {};
+  if (msg.reply_to_message) {
+    const replyToId = await getCounterpartMessageId(pair.id, msg.chat.id, msg.reply_to_message.message_id);
+    if (replyToId) {
+      sendOptions.reply_to_message_id = replyToId;
+      sendOptions.allow_sending_without_reply = true;
+    }
+  }
+
+  // Relayed right away, but without a notification if the recipient asked for quiet
+  const recipient = getPairUser(pair, recipientRole);
+  if (recipient.silentInQuiet && isQuietTime(recipient)) {
+    sendOptions.disable_notification = true;
+  }
+
+  // Traced copies can be rated
+  if (traceId) {
+    sendOptions.reply_markup = getRatingKeyboard();
+  }
+
+  // Forward the processed message to the recipient
+  const sentMessage = messageType === 'text'
+    ? await bot.sendMessage(recipientId, processedText, sendOptions)
+    : await sendMedia(bot, recipientId, msg, processedText, sendOptions);
+
+  await saveMessageLink(pair.id, {
+    senderRole,
+    source: { chatId: msg.chat.id, messageId: msg.message_id },
+    copy: { chatId: recipientId, messageId: sentMessage.message_id },
+    mediaType: messageType === 'text' ? null : messageType,
+    originalText: sourceText,
+    stylizedText: processedText,
+    traceId,
+    ...feedbackTarget,
+  });
+
+  // Keep conversation history for the UI and icebreaker context
+  await appendMessage(pair.id, {
+    type: 'message',
+    mediaType: messageType === 'text' ? null : messageType,
+    senderRole,
+    username,
+    originalText: sourceText,
+    stylizedText: processedText,
+    traceId,
+  });
+
+  // Activity restarts the icebreaker timer
+  await scheduleNextIcebreaker(pair);
+
+  console.log(`Message (${messageType}) from User ${senderRole} (${username}) -> User ${recipientRole} [pair ${pair.id}]`);
+  console.log(`Original: ${sourceText}`);
+  console.log(`Processed: ${processedText}`);
+
+  return sentMessage;
+}
+
+// ============================================================================
+// RATINGS
+// ============================================================================
+
+/**
+ * 👍/👎 buttons under a relayed copy; callback data is rate:<up|down>,
+ * the rated message is found through its message link
+ * 
+ * @param {number|null} rating - Current rating (1 or 0) to mark, if any
+ */
+function getRatingKeyboard(rating = null) {
+  return {
+    inline_keyboard: [[
+      { text: rating === 1 ? '👍 ✓' : '👍', callback_data: 'rate:up' },
+      { text: rating === 0 ? '👎 ✓' : '👎', callback_data: 'rate:down' },
+    ]],
+  };
+}
+
+/**
+ * Handle a tap on a rating button: write the score on the copy's trace
+ * 
+ * @param {Object} query - Telegram callback query
+ */
+async function handleRating(query) {
+  const config = await readConfig();
+  const lang = config.language || 'en';
+  const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+  const rating = query.data === 'rate:up' ? 1 : 0;
+
+  // Only the recipient's copy of a traced message can be rated
+  const recipient = findPairByUser(config, query.from.id);
+  const link = recipient ? await findMessageLink(recipient.pair.id, chatId, messageId) : null;
+  if (!link || link.copy.chatId !== chatId || link.copy.messageId !== messageId || !link.traceId) {
+    await bot.answerCallbackQuery(query.id, { text: t(lang, 'ratingUnavailable') });
+    return;
+  }
+
+  if (link.rating !== rating) {
+    await logFeedback(link.traceId, {
+      name: RATING_SCORE_NAME,
+      value: rating,
+      reason: rating === 1 ? 'Thumbs up from recipient' : 'Thumbs down from recipient',
+    });
+    await updateMessageLink(recipient.pair.id, link.source, { rating, ratedAt: new Date().toISOString() });
+    await bot.editMessageReplyMarkup(getRatingKeyboard(rating), { chat_id: chatId, message_id: messageId });
+    console.log(`Rating ${rating} for message ${link.source.messageId} of User ${link.senderRole} [pair ${recipient.pair.id}]`);
+  }
+
+  await bot.answerCallbackQuery(query.id, { text: t(lang, 'ratingThanks') });
+}
+
+// ============================================================================
+// PREVIEW MODE
+// ============================================================================
+
+/**
+ * Inline keyboard under a preview; callback data is draft:<action>:<draftId>
+ */
+function getPreviewKeyboard(draftId, lang) {
+  return {
+    inline_keyboard: [
+      [
+        { text: t(lang, 'previewSend'), callback_data: `draft:send:${draftId}` },
+        { text: t(lang, 'previewRegenerate'), callback_data: `draft:regen:${draftId}` },
+      ],
+      [
+        { text: t(lang, 'previewSendOriginal'), callback_data: `draft:original:${draftId}` },
+        { text: t(lang, 'previewCancel'), callback_data: `draft:cancel:${draftId}` },
+      ],
+    ],
+  };
+}
+
+function getPreviewText(processedText, lang, unstylized = false) {
+  const note = unstylized ? `\n\n${t(lang, 'previewUnstylized')}` : '';
+  return `${t(lang, 'previewTitle')}\n\n${processedText}${note}`;
+}
+
+/**
+ * Tell the sender their message could not be delivered to the partner
+ * Best effort: Telegram itself may be what failed.
+ */
+async function notifyDeliveryFailed(msg, lang) {
+  try {
+    await bot.sendMessage(msg.chat.id, t(lang, 'deliveryFailed'), { reply_to_message_id: msg.message_id, allow_sending_without_reply: true });
+  } catch (error) {
+    console.error('Error sending delivery failure notice:', error.message);
+  }
+}
+
+/**
+ * Tell the sender the LLM failed even after retries, so the partner got their original text
+ * Used for new messages and for edits.
+ */
+async function notifyUnstylized(msg, lang) {
+  await bot.sendMessage(msg.chat.id, t(lang, 'sentUnstylized'), { reply_to_message_id: msg.message_id, allow_sending_without_reply: true });
+}
+
+/**
+ * Show the sender the stylized text with Send / Regenerate / Send original / Cancel buttons
+ * The draft is kept in storage so the buttons keep working across restarts.
+ */
+async function sendPreview(pair, senderRole, msg, content, lang) {
+  const draft = await saveDraft(pair.id, { senderRole, message: msg, ...content });
+  const previewMessage = await bot.sendMessage(
+    msg.chat.id,
+    getPreviewText(content.processedText, lang, content.unstylized),
+    { reply_to_message_id: msg.message_id, allow_sending_without_reply: true, reply_markup: getPreviewKeyboard(draft.id, lang) }
+  );
+  await updateDraft(pair.id, draft.id, { previewMessageId: previewMessage.message_id });
+  console.log(`Preview ${draft.id} sent to User ${senderRole} [pair ${pair.id}]`);
+}
+
+/**
+ * Handle a button press under a preview, a settings menu or a relayed message
+ * 
+ * @param {Object} query - Telegram callback query
+ */
+export async function handleCallbackQuery(query) {
+  try {
+    if (query.data?.startsWith('settings:')) {
+      await handleSettingsCallback(bot, query);
+      return;
+    }
+
+    if (query.data === 'rate:up' || query.data === 'rate:down') {
+      await handleRating(query);
+      return;
+    }
+
+    const match = query.data?.match(/^draft:(send|regen|original|cancel):(\w+)$/);
+    if (!match) {
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    const [, action, draftId] = match;
+    const config = await readConfig();
+    const lang = config.language || 'en';
+    const sender = findPairByUser(config, query.from.id);
+    const draft = sender ? await getDraft(sender.pair.id, draftId) : null;
+
+    if (!draft || draft.senderRole !== sender.role) {
+      await bot.answerCallbackQuery(query.id, { text: t(lang, 'draftExpired') });
+      return;
+    }
+
+    const { pair, role: senderRole } = sender;
+    const target = { chat_id: query.message.chat.id, message_id: query.message.message_id };
+
+    if (action === 'regen') {
+      const { processedText, traceInfo, feedbackTarget, unstylized } = await stylizeForRecipient(pair, senderRole, draft.sourceText);
+      await updateDraft(pair.id, draftId, { processedText, traceId: getTraceId(traceInfo.trace), feedbackTarget, unstylized });
+      await bot.editMessageText(getPreviewText(processedText, lang, unstylized), { ...target, reply_markup: getPreviewKeyboard(draftId, lang) });
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    // Paused drafts stay until relaying resumes or the sender cancels
+    if (action !== 'cancel' && (pair.userA.paused || pair.userB.paused)) {
+      await bot.answerCallbackQuery(query.id, { text: t(lang, getPairUser(pair, senderRole).paused ? 'youArePaused' : 'partnerPausedNotDelivered') });
+      return;
+    }
+
+    // Checked before taking the draft, so it stays for a later send
+    if (action !== 'cancel' && !getRecipientId(senderRole, pair)) {
+      await bot.answerCallbackQuery(query.id, { text: t(lang, 'otherUserNotRegistered') });
+      return;
+    }
+
+    // Send, send original and cancel resolve the draft; taking it first makes a double tap a no-op
+    if (!await takeDraft(pair.id, draftId)) {
+      await bot.answerCallbackQuery(query.id, { text: t(lang, 'draftExpired') });
+      return;
+    }
+
+    if (action === 'cancel') {
+      await bot.editMessageText(t(lang, 'previewCancelled'), target);
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    const sendOriginal = action === 'original';
+    try {
+      await deliverMessage(pair, senderRole, draft.message, {
+        sourceText: draft.sourceText,
+        processedText: sendOriginal ? draft.sourceText : draft.processedText,
+        traceId: sendOriginal ? null : draft.traceId,
+        feedbackTarget: sendOriginal ? getFeedbackTarget(senderRole, null) : draft.feedbackTarget,
+      });
+    } catch (error) {
+      console.error(`Error delivering draft ${draftId}:`, error.message);
+      await bot.editMessageText(`${t(lang, 'deliveryFailed')}\n\n${draft.sourceText}`, target).catch(() => {});
+      await bot.answerCallbackQuery(query.id, { text: t(lang, 'deliveryFailed') }).catch(() => {});
+      return;
+    }
+
+    const sentText = sendOriginal ? draft.sourceText : draft.processedText;
+    await bot.editMessageText(`${t(lang, sendOriginal ? 'previewSentOriginal' : 'previewSent')}\n\n${sentText}`, target);
+    await bot.answerCallbackQuery(query.id);
+
+    await triggerIcebreakerCheck(pair, sendToUser);
+  } catch (error) {
+    console.error('Error handling callback query:', error);
+  }
+}
+
+/**
+ * Handle /unsend: delete the partner's copy of the replied-to message,
+ * or of the sender's last message when the command is not a reply
+ * 
+ * @param {Object} msg - Telegram message object
+ * @param {Object} config - The bot configuration
+ * @param {string} lang - Bot language
+ */
+async function handleUnsend(msg, config, lang) {
+  const telegramId = msg.from.id;
+  const sender = findPairByUser(config, telegramId);
+  if (!sender) {
+    await bot.sendMessage(telegramId, t(lang, 'notConnected'));
+    return;
+  }
+
+  const { pair, role } = sender;
+  const link = msg.reply_to_message
+    ? await findMessageLink(pair.id, msg.chat.id, msg.reply_to_message.message_id)
+    : await findLastMessageLink(pair.id, role);
+
+  // Only the sender's own, still visible messages can be unsent
+  if (!link || link.senderRole !== role || link.deletedAt) {
+    await bot.sendMessage(telegramId, t(lang, 'unsendNotFound'));
+    return;
+  }
+
+  if (Date.now() - new Date(link.sentAt).getTime() > UNSEND_WINDOW_MINUTES * 60 * 1000) {
+    await bot.sendMessage(telegramId, t(lang, 'unsendTooLate'));
+    return;
+  }
+
+  try {
+    await bot.deleteMessage(link.copy.chatId, link.copy.messageId);
+  } catch (error) {
+    console.error('Error deleting relayed message:', error.message);
+    await bot.sendMessage(telegramId, t(lang, 'unsendFailed'));
+    return;
+  }
+
+  await updateMessageLink(pair.id, link.source, { deletedAt: new Date().toISOString() });
+  await bot.sendMessage(telegramId, t(lang, 'unsendDone'));
+  console.log(`Unsent message ${link.source.messageId} of User ${role} [pair ${pair.id}]`);
+}
+
+/**
+ * Handle an edited message from Telegram
+ * Re-stylizes the new text and edits the copy the partner already received.
+ * 
+ * @param {Object} msg - Edited Telegram message object
+ */
+export async function handleEditedMessage(msg) {
+  try {
+    // An edit may arrive while the message itself is still being relayed
+    await waitForMessage(msg.chat.id, msg.message_id);
+
+    const config = await readConfig();
+    const sender = findPairByUser(config, msg.from.id);
+    if (!sender) return;
+
+    const { pair, role: senderRole } = sender;
+    const source = { chatId: msg.chat.id, messageId: msg.message_id };
+    const link = await findMessageLink(pair.id, source.chatId, source.messageId);
+
+    // Only originals that were relayed and not unsent have a copy to edit
+    if (!link || link.deletedAt || link.source.chatId !== source.chatId || link.source.messageId !== source.messageId) {
+      return;
+    }
+
+    // Captionless media can't be edited into text; unchanged text means only the media changed
+    const sourceText = msg.text ?? msg.caption ?? '';
+    if ((link.mediaType && !supportsCaption(link.mediaType)) || sourceText === link.originalText) {
+      return;
+    }
+
+    const senderUser = getPairUser(pair, senderRole);
+    if (senderUser.language === 'auto') {
+      senderUser.languageCode = msg.from.language_code || 'en';
+    }
+
+    const { processedText, traceInfo, feedbackTarget, unstylized } = await stylizeForRecipient(pair, senderRole, sourceText);
+    const traceId = getTraceId(traceInfo.trace);
+
+    // The edit is a new trace, so rating starts over; editing without reply_markup would drop the buttons
+    const target = { chat_id: link.copy.chatId, message_id: link.copy.messageId };
+    if (traceId) {
+      target.reply_markup = getRatingKeyboard();
+    }
+
+    if (link.mediaType) {
+      await bot.editMessageCaption(processedText, target);
+    } else {
+      await bot.editMessageText(processedText, target);
+    }
+
+    await updateMessageLink(pair.id, source, {
+      originalText: sourceText,
+      stylizedText: processedText,
+      traceId,
+      rating: null,
+      ...feedbackTarget,
+      editedAt: new Date().toISOString(),
+    });
+
+    if (unstylized) {
+      await notifyUnstylized(msg, config.language || 'en');
+    }
+
+    console.log(`Edited message ${source.messageId} of User ${senderRole} [pair ${pair.id}]`);
+    console.log(`Processed: ${processedText}`);
+  } catch (error) {
+    console.error('Error handling edited message:', error);
+  }
+}
+
 /**
  * Handle incoming message from Telegram
+ * Enters the chat's queue first, so relayed messages reach the partner in send order.
  *
  * @param {Object} msg - Telegram message object
  */
 export async function handleMessage(msg) {
+  const ticket = enterQueue(msg.chat.id, msg.message_id);
+  try {
+    await processMessage(msg, ticket);
+  } finally {
+    await ticket.leave();
+  }
+}
+
+/**
+ * Handle commands and relay everything else to the partner
+ *
+ * @param {Object} msg - Telegram message object
+ * @param {Object} ticket - The message's place in its chat's queue
+ */
+async function processMessage(msg, ticket) {
   try {
     const config = await readConfig();
 
@@ -140,83 +851,103 @@ export async function handleMessage(msg) {
 
     // Get sender info
     const telegramId = msg.from.id;
-    const username = msg.from.username || msg.from.first_name || 'Unknown';
     const messageText = msg.text;
 
-    // Handle /start command explicitly
-    if (messageText === '/start') {
+    // Handle /start command, optionally with an invite code: /start <code>
+    const startCommand = messageText && messageText.match(/^\/start(?:\s+(\S+))?$/);
+
+    if (startCommand) {
       // Identify sender
-      const senderRole = identifySender(telegramId, config);
+      const sender = findPairByUser(config, telegramId);
+
+      if (!sender) {
+        await handleStartForNewUser(msg, startCommand[1], lang);
+        return;
+      }
 
       // If already registered, update their languageCode only if language is 'auto'
-      // Keep in-memory only, don't persist to Opik
-      if (senderRole) {
-        // Update languageCode only if language setting is 'auto'
-        if (senderRole === 'A' && config.userA.language === 'auto') {
-          config.userA.languageCode = msg.from.language_code || 'en';
-        } else if (senderRole === 'B' && config.userB.language === 'auto') {
-          config.userB.languageCode = msg.from.language_code || 'en';
-        }
+      // Keep in-memory only, don't persist to storage
+      const senderUser = getPairUser(sender.pair, sender.role);
+      if (senderUser.language === 'auto') {
+        senderUser.languageCode = msg.from.language_code || 'en';
+      }
 
-        await bot.sendMessage(
-          telegramId,
-          senderRole === 'A' ? t(lang, 'welcomeUserA') : t(lang, 'welcomeUserB')
-        );
+      // Still waiting for a partner: repeat the invite, renewing it if it expired
+      const { pair } = sender;
+      if (!pair.userA.telegramId || !pair.userB.telegramId) {
+        const renewed = !pair.invite || new Date(pair.invite.expiresAt) <= new Date()
+          ? await updatePair(pair.id, p => createInvite(p))
+          : pair;
+        if (renewed) await sendInvite(telegramId, renewed, lang);
         return;
       }
 
-      // If userA is not set, register as userA
-      if (!config.userA.telegramId) {
-        // Preserve existing language settings if configured via UI
-        config.userA = {
-          ...config.userA,
-          telegramId,
-          username,
-          languageCode: msg.from.language_code || 'en'
-        };
-        await writeConfig(config);
+      await bot.sendMessage(telegramId, t(lang, 'alreadyRegistered'));
+      return;
+    }
 
-        await bot.sendMessage(
-          telegramId,
-          t(lang, 'welcomeUserA')
-        );
+    // Handle /invite command - new invite link while the partner slot is open
+    if (messageText === '/invite') {
+      const sender = findPairByUser(config, telegramId);
+      if (!sender) {
+        await bot.sendMessage(telegramId, t(lang, 'notConnected'));
         return;
       }
 
-      // If userB is not set, register as userB
-      if (!config.userB.telegramId) {
-        // Preserve existing language settings if configured via UI
-        config.userB = {
-          ...config.userB,
-          telegramId,
-          username,
-          languageCode: msg.from.language_code || 'en'
-        };
-        await writeConfig(config);
+      if (sender.pair.userA.telegramId && sender.pair.userB.telegramId) {
+        await bot.sendMessage(telegramId, t(lang, 'partnerAlreadyJoined'));
+        return;
+      }
 
-        await bot.sendMessage(
-          telegramId,
-          t(lang, 'welcomeUserB')
-        );
+      const updated = await updatePair(sender.pair.id, pair => createInvite(pair));
+      if (updated) await sendInvite(telegramId, updated, lang);
+      return;
+    }
+
+    // Handle /preview command - Toggle reviewing stylized messages before they are sent
+    if (messageText === '/preview') {
+      const sender = findPairByUser(config, telegramId);
+      if (!sender) {
+        await bot.sendMessage(telegramId, t(lang, 'notConnected'));
         return;
       }
 
-      // Both users are already registered
-      await bot.sendMessage(
-        telegramId,
-        lang === 'ru' ? 'Вы уже зарегистрированы!' : 'You are already registered!'
-      );
+      const updated = await updatePair(sender.pair.id, pair => {
+        const user = getPairUser(pair, sender.role);
+        user.previewEnabled = !user.previewEnabled;
+      });
+      if (updated) {
+        await bot.sendMessage(telegramId, t(lang, getPairUser(updated, sender.role).previewEnabled ? 'previewOn' : 'previewOff'));
+      }
+      return;
+    }
+
+    // Handle /style, /language, /pause, /status and /help - per-user settings menus
+    const settingsCommand = messageText && messageText.match(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]+))?$/);
+    if (settingsCommand && SETTINGS_COMMANDS.includes(settingsCommand[1])) {
+      await handleSettingsCommand(bot, msg, settingsCommand[1], settingsCommand[2]);
       return;
     }
 
-    // Handle /feedback command - Provide feedback on the last message
+    // /unsend and /feedback act on earlier messages, which may still be on their way
+    if (messageText === '/unsend' || messageText?.match(/^\/feedback\b/i)) {
+      await ticket.waitTurn();
+    }
+
+    // Handle /unsend command - Delete the partner's copy of a recent message
+    if (messageText === '/unsend') {
+      await handleUnsend(msg, config, lang);
+      return;
+    }
+
+    // Handle /feedback command - Provide feedback on the last message, or on the replied-to one
     // Format: /feedback <your comment>
     // Example: /feedback Add more warmth and emoji
-    const feedbackCommand = messageText && messageText.toLowerCase().match(/^\/feedback\s+(.+)/i);
+    const feedbackCommand = messageText && messageText.match(/^\/feedback\s+([\s\S]+)/i);
     
     if (feedbackCommand) {
-      const senderRole = identifySender(telegramId, config);
-      if (!senderRole) {
+      const sender = findPairByUser(config, telegramId);
+      if (!sender) {
         await bot.sendMessage(
           telegramId,
           t(lang, 'notRegistered') || (lang === 'ru' ? 'Сначала зарегистрируйтесь!' : 'Please register first!')
@@ -237,9 +968,9 @@ export async function handleMessage(msg) {
         return;
       }
 
-      // Get last message trace info for this user
-      const traceInfo = lastMessageTraces.get(telegramId);
-      if (!traceInfo) {
+      // Message the feedback is about, from the stored message links
+      const target = await findFeedbackTarget(sender, msg);
+      if (!target) {
         await bot.sendMessage(
           telegramId,
           t(lang, 'noMessageToRate') || (lang === 'ru'
@@ -254,8 +985,10 @@ export async function handleMessage(msg) {
         // Process feedback and improve prompt immediately
         const improvementResult = await processFeedbackComment(
           comment,
-          traceInfo.style,
-          traceInfo.language
+          sender.pair.id,
+          target.style,
+          target.language,
+          target.customStyle
         );
         
         if (improvementResult && improvementResult.improved) {
@@ -283,15 +1016,13 @@ export async function handleMessage(msg) {
         );
       }
 
-      // Clear the trace info after feedback
-      lastMessageTraces.delete(telegramId);
       return;
     }
 
     // Handle /feedback command - Show last message and prompt for feedback
     if (messageText === '/feedback') {
-      const senderRole = identifySender(telegramId, config);
-      if (!senderRole) {
+      const sender = findPairByUser(config, telegramId);
+      if (!sender) {
         await bot.sendMessage(
           telegramId,
           lang === 'ru' ? 'Сначала зарегистрируйтесь!' : 'Please register first!'
@@ -299,8 +1030,8 @@ export async function handleMessage(msg) {
         return;
       }
 
-      const traceInfo = lastMessageTraces.get(telegramId);
-      if (!traceInfo) {
+      const target = await findFeedbackTarget(sender, msg);
+      if (!target) {
         await bot.sendMessage(
           telegramId,
           lang === 'ru'
@@ -311,73 +1042,43 @@ export async function handleMessage(msg) {
       }
 
       const feedbackText = lang === 'ru'
-        ? `Последнее сообщение:\n\n"${traceInfo.stylizedMessage}"\n\nОставьте отзыв:\n/feedback <ваш комментарий>\n\nНапример: /feedback Добавь больше тепла`
-        : `Last message:\n\n"${traceInfo.stylizedMessage}"\n\nLeave feedback:\n/feedback <your comment>\n\nExample: /feedback Add more warmth`;
+        ? `Сообщение:\n\n"${target.stylizedText}"\n\nОставьте отзыв:\n/feedback <ваш комментарий>\n\nНапример: /feedback Добавь больше тепла\n\nЧтобы оставить отзыв о другом сообщении, ответьте на него командой /feedback.`
+        : `Message:\n\n"${target.stylizedText}"\n\nLeave feedback:\n/feedback <your comment>\n\nExample: /feedback Add more warmth\n\nTo comment on another message, reply to it with /feedback.`;
 
       await bot.sendMessage(telegramId, feedbackText);
       return;
     }
 
-    // Ignore non-text messages
-    if (!messageText) {
-      return;
-    }
-
     // Identify sender
-    const senderRole = identifySender(telegramId, config);
-
-    // If sender is not recognized, check if we need to register them
-    if (!senderRole) {
-      // If userA is not set, register as userA
-      if (!config.userA.telegramId) {
-        // Preserve existing language settings if configured via UI
-        config.userA = {
-          ...config.userA,
-          telegramId,
-          username,
-          languageCode: msg.from.language_code || 'en'
-        };
-        await writeConfig(config);
+    const sender = findPairByUser(config, telegramId);
 
-        await bot.sendMessage(
-          telegramId,
-          t(lang, 'welcomeUserA')
-        );
-        return;
-      }
-
-      // If userB is not set, register as userB
-      if (!config.userB.telegramId) {
-        // Preserve existing language settings if configured via UI
-        config.userB = {
-          ...config.userB,
-          telegramId,
-          username,
-          languageCode: msg.from.language_code || 'en'
-        };
-        await writeConfig(config);
+    // Unknown users join only through /start, never silently
+    if (!sender) {
+      await bot.sendMessage(telegramId, t(lang, 'notConnected'));
+      return;
+    }
 
-        await bot.sendMessage(
-          telegramId,
-          t(lang, 'welcomeUserB')
-        );
-        return;
-      }
+    const { pair, role: senderRole } = sender;
+    const senderUser = getPairUser(pair, senderRole);
 
-      // Both users are already registered, ignore this message
+    // Tell the sender about content that can't be relayed instead of dropping it silently
+    const messageType = getMessageType(msg);
+    if (!messageType) {
+      await bot.sendMessage(telegramId, t(lang, 'unsupportedMessageType'));
       return;
     }
 
+    // Text of the message, or the caption of media
+    const sourceText = msg.text ?? msg.caption ?? '';
+
     // Update sender's languageCode only if their language setting is 'auto'
-    // Keep in-memory only, don't persist to Opik on every message
-    if (senderRole === 'A' && config.userA.language === 'auto') {
-      config.userA.languageCode = msg.from.language_code || 'en';
-    } else if (senderRole === 'B' && config.userB.language === 'auto') {
-      config.userB.languageCode = msg.from.language_code || 'en';
+    // Keep in-memory only, don't persist to storage on every message
+    if (senderUser.language === 'auto') {
+      senderUser.languageCode = msg.from.language_code || 'en';
     }
     
     // Get recipient ID
-    const recipientId = getRecipientId(senderRole, config);
+    const recipientId = getRecipientId(senderRole, pair);
 
     if (!recipientId) {
       await bot.sendMessage(
@@ -387,147 +1088,135 @@ export async function handleMessage(msg) {
       return;
     }
 
-    // Get recipient's role and language
-    const recipientRole = senderRole === 'A' ? 'B' : 'A';
-    let recipientLanguage = recipientRole === 'A'
-      ? (config.userA.language || 'auto')
-      : (config.userB.language || 'auto');
-
-    // If language is 'auto', use the recipient's Telegram language_code
-    if (recipientLanguage === 'auto') {
-      recipientLanguage = recipientRole === 'A'
-        ? (config.userA.languageCode || 'en')
-        : (config.userB.languageCode || 'en');
-      console.log(`Using recipient's language_code for User ${recipientRole}: ${recipientLanguage}`);
-    }
-
-    // Get sender's language
-    let senderLanguage = senderRole === 'A'
-      ? (config.userA.language || 'auto')
-      : (config.userB.language || 'auto');
-
-    // If language is 'auto', use the sender's Telegram language_code
-    if (senderLanguage === 'auto') {
-      senderLanguage = senderRole === 'A'
-        ? (config.userA.languageCode || 'en')
-        : (config.userB.languageCode || 'en');
-      console.log(`Using sender's language_code for User ${senderRole}: ${senderLanguage}`);
-    }
-
-    // Determine if languages are the same
-    const languagesAreSame = senderLanguage === recipientLanguage;
-
-    // Process the message based on stylization setting
-    let processedText;
-    let traceInfo = null;
-    const stylizationEnabled = config.stylizationEnabled !== false; // Default to true
-
-    if (!stylizationEnabled && languagesAreSame) {
-      // Stylization disabled and same language: forward original, but still trace for tracking
-      processedText = messageText;
-      const trace = createSimpleTrace(
-        'stylize_message',
-        {
-          original_message: messageText,
-          style: 'none',
-          custom_style: null,
-          language: senderLanguage,
-          user_id: telegramId,
-          username: username,
-          user_role: senderRole,
-          conversation_id: null,
-          prompt: '[no stylization - original message]',
-        },
-        {
-          result: messageText,
-          language: recipientLanguage,
-          success: true,
-          model: 'none',
-          latency: 0,
-          fallback: false,
-        },
-        { message_type: 'stylize', style: 'none' }
-      );
-      traceInfo = {
-        trace,
-        model: null,
-        latency: null
-      };
-      console.log(`Stylization disabled, same language: forwarding original message (traced)`);
-    } else if (!stylizationEnabled && !languagesAreSame) {
-      // Stylization disabled but different languages: stylize without style
-      // Use 'neutral' style with just translation
-      const result = await stylizeMessage(
-        messageText,
-        'neutral',  // Use neutral style for translation-only
-        '',
-        recipientLanguage,
-        senderLanguage,
-        telegramId,
-        senderRole,
-        username,
-        null // conversationId
-      );
-      processedText = result.text;
-      traceInfo = {
-        trace: result.trace,
-        model: result.model,
-        latency: result.latency
-      };
-      console.log(`Stylization disabled, different languages: translating from ${senderLanguage} to ${recipientLanguage}`);
-    } else {
-      // Stylization enabled: use full stylization (includes translation if needed)
-      // Uses ONE common prompt with style and language as parameters
-      const result = await stylizeMessage(
-        messageText,
-        config.style,
-        config.customStyle,
-        recipientLanguage,  // Output language (recipient's)
-        senderLanguage,      // Input language (sender's)
-        telegramId,
-        senderRole,
-        username,
-        null // conversationId
-      );
-      processedText = result.text;
-      traceInfo = {
-        trace: result.trace,
-        model: result.model,
-        latency: result.latency
-      };
-      console.log(`Stylization enabled: ${config.style} style in ${recipientLanguage}`);
-    }
-
-    // Messages stored in Opik traces, no local storage needed
-    // Store trace info for feedback (for the recipient)
-    const recipientTelegramId = getRecipientId(senderRole, config);
-    if (recipientTelegramId && traceInfo.trace) {
-      lastMessageTraces.set(recipientTelegramId, {
-        messageId: traceInfo.trace.id,
+    // A paused user neither sends nor receives relayed messages
+    if (senderUser.paused) {
+      await bot.sendMessage(telegramId, t(lang, 'youArePaused'));
+      return;
+    }
+    if (getPairUser(pair, senderRole === 'A' ? 'B' : 'A').paused) {
+      await bot.sendMessage(telegramId, t(lang, 'partnerPausedNotDelivered'));
+      return;
+    }
+
+    const { processedText, traceInfo, feedbackTarget, unstylized } = await stylizeForRecipient(pair, senderRole, sourceText);
+
+    // Stylized concurrently with earlier messages, but delivered after them
+    await ticket.waitTurn();
+
+    // Preview mode: the sender approves the stylized text before it goes out
+    if (senderUser.previewEnabled && sourceText) {
+      await sendPreview(pair, senderRole, msg, {
+        sourceText,
+        processedText,
         traceId: getTraceId(traceInfo.trace),
-        trace: traceInfo.trace,
-        originalMessage: messageText,
-        stylizedMessage: processedText,
-        style: config.style,
-        language: recipientLanguage
-      });
+        feedbackTarget,
+        unstylized,
+      }, lang);
+      return;
     }
 
-    // Forward the processed message to the recipient
-    await bot.sendMessage(recipientId, processedText);
+    try {
+      await deliverMessage(pair, senderRole, msg, {
+        sourceText,
+        processedText,
+        traceId: getTraceId(traceInfo.trace),
+        feedbackTarget,
+      });
+    } catch (error) {
+      console.error('Error delivering message:', error.message);
+      await notifyDeliveryFailed(msg, lang);
+      return;
+    }
 
-    console.log(`Message from User ${senderRole} (${username}) -> User ${senderRole === 'A' ? 'B' : 'A'}`);
-    console.log(`Original: ${messageText}`);
-    console.log(`Processed: ${processedText}`);
+    // The LLM failed even after retries: the partner got the original text
+    if (unstylized) {
+      await notifyUnstylized(msg, lang);
+    }
     
-    // Check if icebreaker is due (lightweight check on each message)
-    await triggerIcebreakerCheck(sendToUser);
+    // Check if the pair's icebreaker is due (lightweight check on each message)
+    await triggerIcebreakerCheck(pair, sendToUser);
     
   } catch (error) {
     console.error('Error handling message:', error);
   }
 }
 
+// ============================================================================
+// WEBHOOK UPDATES
+// ============================================================================
+
+// Claims run one at a time, so updates reach the handlers (and the chat queues) in arrival order
+let claimChain = Promise.resolve(true);
+
+/**
+ * Route a Telegram update to its handler
+ */
+async function dispatchUpdate(update) {
+  const message = update.message || update.channel_post;
+  const editedMessage = update.edited_message || update.edited_channel_post;
+  if (message?.from) {
+    await handleMessage(message);
+  } else if (editedMessage?.from) {
+    await handleEditedMessage(editedMessage);
+  } else if (update.callback_query) {
+    await handleCallbackQuery(update.callback_query);
+  }
+}
+
+async function processUpdate(update) {
+  try {
+    await dispatchUpdate(update);
+  } catch (error) {
+    console.error(`Error processing update ${update.update_id}:`, error);
+  }
+
+  try {
+    await completeUpdate(update.update_id);
+  } catch (error) {
+    console.error(`Error completing update ${update.update_id}:`, error.message);
+  }
+}
+
+/**
+ * Accept a webhook update and start processing it
+ * Telegram resends updates when the webhook answers slowly or fails, so each update_id
+ * is recorded in storage first and a resent one is skipped. If storage is unavailable
+ * the update is processed anyway: a duplicate is better than a lost message.
+ *
+ * @param {Object} update - Telegram update
+ * @returns {{claimed: Promise<boolean>, processing: Promise}} - claimed resolves to false for
+ *   already seen updates; processing resolves when handling is finished
+ */
+export function receiveUpdate(update) {
+  const claimed = claimChain.then(async () => {
+    try {
+      return await claimUpdate(update);
+    } catch (error) {
+      console.error(`Error recording update ${update.update_id}:`, error.message);
+      return true;
+    }
+  });
+  claimChain = claimed;
+
+  const processing = claimed.then(isNew => isNew ? processUpdate(update) : null);
+  return { claimed, processing };
+}
+
+/**
+ * Process again the webhook updates whose processing never finished,
+ * e.g. because the serverless instance was stopped
+ *
+ * @returns {Promise<number>} - Number of updates retried
+ */
+export async function retryStaleUpdates() {
+  const updates = await takeStaleUpdates(STALE_UPDATE_MINUTES, UPDATE_MAX_ATTEMPTS);
+  for (const update of updates) {
+    console.log(`Retrying update ${update.update_id}`);
+    await processUpdate(update);
+  }
+  return updates.length;
+}
+
 /**
  * Set up bot message handlers
  */
@@ -538,6 +1227,12 @@ export function setupBotHandlers() {
   
   // Handle text messages
   bot.on('message', handleMessage);
+
+  // Propagate edits to the partner's copy
+  bot.on('edited_message', handleEditedMessage);
+
+  // Inline buttons (preview drafts, settings menus, ratings)
+  bot.on('callback_query', handleCallbackQuery);
   
   // Handle polling errors
   bot.on('polling_error', (error) => {
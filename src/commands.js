@@ -0,0 +1,316 @@
+/**
+ * In-Chat Settings Commands
+ *
+ * Lets each user manage their own settings from Telegram:
+ * - /style: style of their outgoing messages (or /style <description> for a custom one)
+ * - /language: language they receive messages in
+ * - /pause: pause or resume relaying
+ * - /status: partner, settings and next icebreaker
+ * - /help: list of commands
+ *
+ * Menus are inline keyboards; button callback data is settings:<action>:<value>.
+ * The bot instance is passed in by the caller, like in media.js.
+ *
+ * @module commands
+ */
+
+import { readConfig, updatePair, findPairByUser } from './storage.js';
+import { getAvailableStyles } from './prompts.js';
+import { getNextIcebreakerDue } from './icebreaker.js';
+import { sendOrDefer, hasQuietHours } from './quiet-hours.js';
+import { t, translateStyleName, translateLanguageName } from './translations.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Commands shown in Telegram's menu, in display order */
+export const BOT_COMMANDS = ['style', 'language', 'pause', 'status', 'preview', 'unsend', 'feedback', 'invite', 'help'];
+
+/** Commands handled by this module */
+export const SETTINGS_COMMANDS = ['style', 'language', 'pause', 'status', 'help'];
+
+// Same choices as the web UI; 'auto' follows the user's Telegram language
+const LANGUAGE_CHOICES = ['auto', 'en', 'ru', 'es', 'fr', 'de'];
+
+/**
+ * Register the command list shown in Telegram's menu, once per bot language
+ *
+ * @param {Object} bot - TelegramBot instance
+ */
+export async function registerCommands(bot) {
+  try {
+    for (const lang of ['en', 'ru']) {
+      const commands = BOT_COMMANDS.map(command => ({
+        command,
+        description: t(lang, 'command' + command.charAt(0).toUpperCase() + command.slice(1)),
+      }));
+      await bot.setMyCommands(commands, lang === 'en' ? {} : { language_code: lang });
+    }
+    console.log('[Commands] Registered bot commands');
+  } catch (error) {
+    console.error('[Commands] Failed to register bot commands:', error.message);
+  }
+}
+
+// ============================================================================
+// MENUS
+// ============================================================================
+
+function getPairUser(pair, role) {
+  return role === 'A' ? pair.userA : pair.userB;
+}
+
+// Inline keyboard rows of two buttons each
+function toRows(buttons) {
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  return rows;
+}
+
+function getStyleLabel(user, lang) {
+  if (user.stylizationEnabled === false) return t(lang, 'stylizationOff');
+  if (user.style === 'custom') return `${t(lang, 'custom')}: ${user.customStyle}`;
+  return translateStyleName(user.style, lang);
+}
+
+function getLanguageLabel(user, lang) {
+  if (user.language === 'auto') return `${t(lang, 'languageAuto')} (${(user.languageCode || 'en').toUpperCase()})`;
+  if (user.language === 'custom') return user.customLanguage;
+  return translateLanguageName(user.language, lang);
+}
+
+function getStyleMenu(user, lang) {
+  const mark = (selected) => selected ? '✅ ' : '';
+  const buttons = getAvailableStyles().map(style => ({
+    text: mark(user.stylizationEnabled !== false && user.style === style) + translateStyleName(style, lang),
+    callback_data: `settings:style:${style}`,
+  }));
+  if (user.customStyle) {
+    buttons.push({
+      text: mark(user.stylizationEnabled !== false && user.style === 'custom') + t(lang, 'custom'),
+      callback_data: 'settings:style:custom',
+    });
+  }
+  buttons.push({ text: mark(user.stylizationEnabled === false) + t(lang, 'stylizationOff'), callback_data: 'settings:style:off' });
+
+  return {
+    text: `${t(lang, 'chooseStyle')}\n${t(lang, 'currentSetting')} ${getStyleLabel(user, lang)}\n\n${t(lang, 'customStyleCommandHelp')}`,
+    keyboard: { inline_keyboard: toRows(buttons) },
+  };
+}
+
+function getLanguageMenu(user, lang) {
+  const buttons = LANGUAGE_CHOICES.map(language => ({
+    text: (user.language === language ? '✅ ' : '') +
+      (language === 'auto' ? t(lang, 'languageAuto') : translateLanguageName(language, lang)),
+    callback_data: `settings:language:${language}`,
+  }));
+
+  return {
+    text: `${t(lang, 'chooseLanguage')}\n${t(lang, 'currentSetting')} ${getLanguageLabel(user, lang)}`,
+    keyboard: { inline_keyboard: toRows(buttons) },
+  };
+}
+
+function getPauseMenu(user, lang) {
+  return {
+    text: t(lang, user.paused ? 'relayPaused' : 'relayActive'),
+    keyboard: {
+      inline_keyboard: [[user.paused
+        ? { text: t(lang, 'resumeRelay'), callback_data: 'settings:pause:off' }
+        : { text: t(lang, 'pauseRelay'), callback_data: 'settings:pause:on' }]],
+    },
+  };
+}
+
+async function getStatusMenu(pair, role, lang) {
+  const user = getPairUser(pair, role);
+  const partner = getPairUser(pair, role === 'A' ? 'B' : 'A');
+
+  let relay = t(lang, 'statusRelayActive');
+  if (user.paused) relay = t(lang, 'statusRelayPaused');
+  else if (partner.paused) relay = t(lang, 'partnerPausedStatus');
+
+  let nextIcebreaker = t(lang, 'noMessagesYet');
+  const due = await getNextIcebreakerDue(pair);
+  if (due) {
+    const diffDays = Math.ceil((due - Date.now()) / (1000 * 60 * 60 * 24));
+    nextIcebreaker = diffDays <= 0 ? t(lang, 'dueNow') : `~${diffDays} ${t(lang, 'days')}`;
+  }
+
+  const lines = [
+    t(lang, 'statusTitle'),
+    '',
+    `${t(lang, 'statusPartner')} ${partner.telegramId ? partner.username : t(lang, 'notRegistered')}`,
+    `${t(lang, 'statusRelay')} ${relay}`,
+    `${t(lang, 'statusStyle')} ${getStyleLabel(user, lang)}`,
+    `${t(lang, 'statusLanguage')} ${getLanguageLabel(user, lang)}`,
+    `${t(lang, 'statusPreview')} ${t(lang, user.previewEnabled ? 'on' : 'off')}`,
+    `${t(lang, 'statusQuietHours')} ${hasQuietHours(user) ? `${user.quietStart}–${user.quietEnd} (${user.timezone})` : t(lang, 'off')}`,
+    `${t(lang, 'nextIcebreaker')}: ${nextIcebreaker}`,
+  ];
+
+  return {
+    text: lines.join('\n'),
+    keyboard: {
+      inline_keyboard: [[
+        { text: t(lang, 'menuStyle'), callback_data: 'settings:menu:style' },
+        { text: t(lang, 'menuLanguage'), callback_data: 'settings:menu:language' },
+        { text: t(lang, user.paused ? 'resumeRelay' : 'pauseRelay'), callback_data: `settings:pause:${user.paused ? 'off' : 'on'}` },
+      ]],
+    },
+  };
+}
+
+async function getMenu(name, pair, role, lang) {
+  const user = getPairUser(pair, role);
+  switch (name) {
+    case 'style': return getStyleMenu(user, lang);
+    case 'language': return getLanguageMenu(user, lang);
+    case 'pause': return getPauseMenu(user, lang);
+    default: return getStatusMenu(pair, role, lang);
+  }
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * Handle /style, /language, /pause, /status and /help
+ *
+ * @param {Object} bot - TelegramBot instance
+ * @param {Object} msg - Telegram message object
+ * @param {string} command - Command name without the slash
+ * @param {string} argument - Text after the command, if any
+ */
+export async function handleSettingsCommand(bot, msg, command, argument) {
+  const config = await readConfig();
+  const lang = config.language || 'en';
+  const telegramId = msg.from.id;
+
+  if (command === 'help') {
+    await bot.sendMessage(telegramId, t(lang, 'helpText'));
+    return;
+  }
+
+  const sender = findPairByUser(config, telegramId);
+  if (!sender) {
+    await bot.sendMessage(telegramId, t(lang, 'notConnected'));
+    return;
+  }
+
+  // /style <description> sets a custom style directly
+  if (command === 'style' && argument?.trim()) {
+    const updated = await updatePair(sender.pair.id, pair => {
+      const user = getPairUser(pair, sender.role);
+      user.style = 'custom';
+      user.customStyle = argument.trim().slice(0, 200);
+      user.stylizationEnabled = true;
+    });
+    if (!updated) return;
+    console.log(`[Commands] User ${sender.role} of pair ${sender.pair.id} set custom style`);
+    await bot.sendMessage(telegramId, `${t(lang, 'settingSaved')} ${getStyleLabel(getPairUser(updated, sender.role), lang)}`);
+    return;
+  }
+
+  const menu = await getMenu(command, sender.pair, sender.role, lang);
+  await bot.sendMessage(telegramId, menu.text, { reply_markup: menu.keyboard });
+}
+
+/**
+ * Apply one settings button press to the user's settings
+ *
+ * @returns {boolean} - True if the value was valid and applied
+ */
+function applySetting(user, action, value) {
+  if (action === 'style') {
+    if (value === 'off') {
+      user.stylizationEnabled = false;
+      return true;
+    }
+    if (!getAvailableStyles().includes(value) && !(value === 'custom' && user.customStyle)) return false;
+    user.style = value;
+    user.stylizationEnabled = true;
+    return true;
+  }
+  if (action === 'language') {
+    if (!LANGUAGE_CHOICES.includes(value)) return false;
+    user.language = value;
+    return true;
+  }
+  if (action === 'pause') {
+    user.paused = value === 'on';
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Handle a button press under a settings menu (callback data settings:<action>:<value>)
+ * Changes are saved and the menu message is updated in place.
+ *
+ * @param {Object} bot - TelegramBot instance
+ * @param {Object} query - Telegram callback query
+ */
+export async function handleSettingsCallback(bot, query) {
+  const config = await readConfig();
+  const lang = config.language || 'en';
+  const [, action, value] = query.data.split(':');
+  const sender = findPairByUser(config, query.from.id);
+
+  if (!sender) {
+    await bot.answerCallbackQuery(query.id, { text: t(lang, 'notConnected') });
+    return;
+  }
+
+  let { pair } = sender;
+  const { role } = sender;
+  let wasPaused = !!getPairUser(pair, role).paused;
+  let menuName = action;
+  let changed = true;
+  let saved = false;
+
+  try {
+    if (action !== 'menu') {
+      // Applied to the current config under the lock, so a concurrent change isn't lost
+      const updated = await updatePair(pair.id, current => {
+        const user = getPairUser(current, role);
+        const before = JSON.stringify(user);
+        wasPaused = !!user.paused;
+        if (!applySetting(user, action, value)) return false;
+        changed = JSON.stringify(user) !== before;
+      });
+      if (!updated) return;
+      pair = updated;
+      saved = true;
+      console.log(`[Commands] User ${role} of pair ${pair.id} set ${action}=${value}`);
+    } else {
+      menuName = value;
+    }
+
+    // Telegram rejects an edit that leaves the message as it was ("message is not modified")
+    if (changed) {
+      const menu = await getMenu(menuName, pair, role, lang);
+      await bot.editMessageText(menu.text, {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        reply_markup: menu.keyboard,
+      });
+    }
+  } finally {
+    // Always answered, or the button keeps spinning
+    await bot.answerCallbackQuery(query.id, saved ? { text: t(lang, 'settingSaved') } : {});
+  }
+
+  // Let the partner know relaying stopped or resumed
+  if (action === 'pause' && !!getPairUser(pair, role).paused !== wasPaused) {
+    const partnerRole = role === 'A' ? 'B' : 'A';
+    if (getPairUser(pair, partnerRole).telegramId) {
+      await sendOrDefer(bot, pair, partnerRole, t(lang, value === 'on' ? 'partnerPaused' : 'partnerResumed'));
+    }
+  }
+}
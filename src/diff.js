@@ -0,0 +1,47 @@
+/**
+ * Line Diff
+ *
+ * Minimal line-based diff (longest common subsequence) for comparing
+ * prompt versions in the web UI.
+ *
+ * @module diff
+ */
+
+/**
+ * Diff two texts line by line
+ *
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} - Lines in display order
+ */
+export function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+}
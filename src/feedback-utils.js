@@ -7,7 +7,7 @@
  * @module feedback-utils
  */
 
-import { GoogleGenAI } from '@google/genai';
+import { generateText } from './llm-providers.js';
 
 // ============================================================================
 // CONFIGURATION
@@ -50,22 +50,6 @@ export function recordImprovement() {
   improvements.count++;
 }
 
-// ============================================================================
-// LLM SETUP
-// ============================================================================
-
-let ai = null;
-
-/**
- * Get or create the Google GenAI client
- */
-export function getAI() {
-  if (!ai && process.env.GEMINI_API_KEY) {
-    ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-  }
-  return ai;
-}
-
 // ============================================================================
 // IMPROVEMENT GENERATION
 // ============================================================================
@@ -81,9 +65,6 @@ export function getAI() {
  * @returns {Promise<Object|null>} - Improvement object with issue and improvement, or null
  */
 export async function generateImprovement(type, input, style, language, currentPrompt) {
-  const gemini = getAI();
-  if (!gemini) return null;
-
   let improvementPrompt;
 
   if (type === 'feedback') {
@@ -102,8 +83,13 @@ Respond with JSON:
 }`;
   } else if (type === 'evaluation') {
     const { metric, score } = input;
+    const metricNotes = {
+      user_rating: '\n"user_rating" is the share of recipients who rated the rewritten messages 👍 rather than 👎.\n',
+      icebreaker_engagement: '\n"icebreaker_engagement" is the share of icebreakers (conversation starters sent after a quiet period) that either person answered within a day. Suggest an instruction for writing icebreakers.\n',
+    };
+    const metricNote = metricNotes[metric] || '';
     improvementPrompt = `Evaluation found low score for "${metric}" (${score.toFixed(2)} < ${EVAL_THRESHOLD}).
-
+${metricNote}
 Style: ${style}
 Language: ${language}
 
@@ -121,12 +107,9 @@ Respond with JSON:
   }
 
   try {
-    const response = await gemini.models.generateContent({
-      model: 'gemini-3.1-flash-lite',
-      contents: improvementPrompt,
-    });
+    const response = await generateText('improvement', improvementPrompt, { type, input, style, language });
 
-    const result = response.text || '';
+    const result = response.text;
     const clean = result.replace(/```json?|```/g, '').trim();
 
     try {
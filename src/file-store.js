@@ -0,0 +1,132 @@
+/**
+ * Local Storage Backends
+ *
+ * Key-value stores that keep bot state on the local machine:
+ * - file: JSON file on disk (survives restarts)
+ * - memory: process memory only (tests, throwaway runs)
+ *
+ * Both implement the storage interface used by storage.js:
+ * get(key), set(key, value), delete(key), clear()
+ *
+ * @module file-store
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create an in-memory key-value store
+ *
+ * @returns {Object} - Store implementing get/set/delete/clear
+ */
+export function createMemoryStore() {
+  const data = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return data.has(key) ? structuredClone(data.get(key)) : null;
+    },
+
+    async set(key, value) {
+      data.set(key, structuredClone(value));
+    },
+
+    async delete(key) {
+      data.delete(key);
+    },
+
+    async clear() {
+      data.clear();
+    },
+  };
+}
+
+/**
+ * Create a key-value store persisted to a JSON file
+ * The file is loaded once and rewritten atomically (tmp file + rename) on every change.
+ * A file that isn't valid JSON is moved aside to <file>.corrupt-<timestamp> instead of being overwritten.
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} - Store implementing get/set/delete/clear
+ */
+export function createFileStore(filePath) {
+  let data = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  async function readData() {
+    let text;
+    try {
+      text = await readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      await rename(filePath, corruptPath);
+      console.error(`Storage file ${filePath} is not valid JSON (${error.message}). ` +
+        `Moved it to ${corruptPath} and started with empty storage; restore it from there if needed.`);
+      return {};
+    }
+  }
+
+  // Concurrent first calls share one read, so a corrupt file is moved aside once
+  async function load() {
+    if (data) return data;
+
+    loading ??= readData().finally(() => { loading = null; });
+    const loaded = await loading;
+    data ??= loaded;
+    return data;
+  }
+
+  // Writes are chained so snapshots land on disk in the order they were taken
+  function persist() {
+    const snapshot = JSON.stringify(data, null, 2);
+
+    writeQueue = writeQueue
+      .then(async () => {
+        await mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await writeFile(tmpPath, snapshot);
+        await rename(tmpPath, filePath);
+      })
+      .catch(error => {
+        console.error(`Failed to write storage file ${filePath}:`, error.message);
+      });
+
+    return writeQueue;
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const all = await load();
+      return key in all ? structuredClone(all[key]) : null;
+    },
+
+    async set(key, value) {
+      const all = await load();
+      all[key] = structuredClone(value);
+      await persist();
+    },
+
+    async delete(key) {
+      const all = await load();
+      delete all[key];
+      await persist();
+    },
+
+    async clear() {
+      data = {};
+      await persist();
+    },
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Icebreaker Evaluation Module
+ *
+ * Measures whether icebreakers get the conversation going and adapts them:
+ * - an icebreaker counts as engaged if either user sends a message within
+ *   ENGAGEMENT_WINDOW_HOURS; the outcome is kept in the pair's icebreaker log and
+ *   logged as the icebreaker_engagement score of its generate_icebreaker traces
+ * - every ADAPT_INTERVAL scored icebreakers the engagement rate of the last ones is
+ *   checked, like shouldEvaluateAndImprove does for stylization: below EVAL_THRESHOLD
+ *   an improvement is added to the pair's icebreaker guidance and the interval grows;
+ *   at or above it the interval moves back towards the configured period
+ *
+ * @module icebreaker-feedback
+ */
+
+import { logFeedback } from './opik.js';
+import { fetchRecentMessages, getIcebreakerLog, updateIcebreakers, getIcebreakerAdaptation, setIcebreakerAdaptation } from './storage.js';
+import { canImprove, recordImprovement, generateImprovement, EVAL_THRESHOLD } from './feedback-utils.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const ENGAGEMENT_METRIC = 'icebreaker_engagement';
+
+const ENGAGEMENT_WINDOW_HOURS = 24; // A message within this time after an icebreaker counts as a reply
+const ADAPT_INTERVAL = 5;           // Scored icebreakers between adaptation checks
+const ADAPT_SAMPLE = 10;            // Last scored icebreakers the engagement rate is taken over
+const MAX_GUIDANCE = 5;             // Learned instructions kept per pair, oldest dropped first
+const INTERVAL_FACTOR_STEP = 0.25;  // Change of the interval factor per check
+const MAX_INTERVAL_FACTOR = 2;      // Unanswered icebreakers come at most half as often
+
+const DEFAULT_ADAPTATION = { guidance: [], intervalFactor: 1, lastCheckAt: null, lastRate: null };
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Score the icebreakers of a pair whose outcome is known by now
+ * Engaged as soon as either user sent a message after it within the window,
+ * not engaged once the window passed without one. Runs an adaptation check afterwards.
+ *
+ * @param {Object} pair - The pair
+ * @returns {Promise<number>} - Number of icebreakers scored
+ */
+export async function scoreIcebreakerEngagement(pair) {
+  try {
+    const pending = (await getIcebreakerLog(pair.id)).filter(entry => entry.id && entry.engaged === undefined);
+    if (pending.length === 0) return 0;
+
+    const messages = await fetchRecentMessages(pair.id, 100);
+    const windowMs = ENGAGEMENT_WINDOW_HOURS * 60 * 60 * 1000;
+    const changes = {};
+
+    for (const entry of pending) {
+      const sentAt = new Date(entry.sentAt).getTime();
+      const replies = messages.filter(message => {
+        const time = new Date(message.timestamp).getTime();
+        return time > sentAt && time <= sentAt + windowMs;
+      });
+
+      // Window still open and nobody replied yet
+      if (replies.length === 0 && Date.now() < sentAt + windowMs) continue;
+
+      const engaged = replies.length > 0;
+      const responders = [...new Set(replies.map(message => message.senderRole))];
+      changes[entry.id] = { engaged, responders, scoredAt: new Date().toISOString() };
+
+      for (const traceId of entry.traceIds || []) {
+        await logFeedback(traceId, {
+          name: ENGAGEMENT_METRIC,
+          value: engaged ? 1 : 0,
+          reason: engaged ? `Reply from User ${responders.join(' and ')}` : `No reply within ${ENGAGEMENT_WINDOW_HOURS} hours`,
+        });
+      }
+      console.log(`[IcebreakerEval] Pair ${pair.id} icebreaker ${entry.id}: ${engaged ? 'engaged' : 'no reply'}`);
+    }
+
+    const scoredCount = Object.keys(changes).length;
+    if (scoredCount === 0) return 0;
+
+    await updateIcebreakers(pair.id, changes);
+    await adaptIcebreakers(pair);
+    return scoredCount;
+  } catch (error) {
+    console.error(`[IcebreakerEval] Error scoring pair ${pair.id}:`, error.message);
+    return 0;
+  }
+}
+
+// ============================================================================
+// ADAPTATION
+// ============================================================================
+
+/**
+ * Get what was learned from a pair's icebreaker engagement
+ *
+ * @param {string} pairId - Pair ID
+ * @returns {Promise<Object>} - { guidance, intervalFactor, lastCheckAt, lastRate }
+ */
+export async function getAdaptation(pairId) {
+  return { ...DEFAULT_ADAPTATION, ...(await getIcebreakerAdaptation(pairId)) };
+}
+
+/**
+ * Check the engagement rate once enough icebreakers were scored since the last check,
+ * and adjust guidance and interval
+ */
+async function adaptIcebreakers(pair) {
+  const adaptation = await getAdaptation(pair.id);
+  const scored = (await getIcebreakerLog(pair.id)).filter(entry => typeof entry.engaged === 'boolean');
+  const newSinceCheck = scored.filter(entry => !adaptation.lastCheckAt || entry.scoredAt > adaptation.lastCheckAt);
+  if (newSinceCheck.length < ADAPT_INTERVAL) return;
+
+  const sample = scored.slice(-ADAPT_SAMPLE);
+  const rate = sample.filter(entry => entry.engaged).length / sample.length;
+  console.log(`[IcebreakerEval] Pair ${pair.id} engagement ${rate.toFixed(2)} over ${sample.length} icebreakers`);
+
+  adaptation.lastCheckAt = new Date().toISOString();
+  adaptation.lastRate = rate;
+
+  if (rate >= EVAL_THRESHOLD) {
+    adaptation.intervalFactor = Math.max(1, adaptation.intervalFactor - INTERVAL_FACTOR_STEP);
+    await setIcebreakerAdaptation(pair.id, adaptation);
+    return;
+  }
+
+  // Unanswered icebreakers: come less often and try to do better
+  adaptation.intervalFactor = Math.min(MAX_INTERVAL_FACTOR, adaptation.intervalFactor + INTERVAL_FACTOR_STEP);
+
+  if (canImprove()) {
+    const currentInstructions = adaptation.guidance.length > 0
+      ? `Icebreaker instructions learned so far:\n${adaptation.guidance.map(line => `- ${line}`).join('\n')}`
+      : 'No icebreaker instructions learned yet.';
+    const improvement = await generateImprovement('evaluation', { metric: ENGAGEMENT_METRIC, score: rate }, pair.icebreakerMode, 'en', currentInstructions);
+
+    if (improvement?.improvement) {
+      adaptation.guidance = [...adaptation.guidance, improvement.improvement].slice(-MAX_GUIDANCE);
+      recordImprovement();
+      console.log(`[IcebreakerEval] Pair ${pair.id} new guidance: ${improvement.improvement}`);
+    }
+  } else {
+    console.log('[IcebreakerEval] Limit reached');
+  }
+
+  await setIcebreakerAdaptation(pair.id, adaptation);
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+function addOutcome(groups, key, engaged) {
+  if (!groups[key]) {
+    groups[key] = { scored: 0, engaged: 0, rate: 0 };
+  }
+  groups[key].scored++;
+  if (engaged) groups[key].engaged++;
+  groups[key].rate = groups[key].engaged / groups[key].scored;
+}
+
+/**
+ * Get the success rate of a pair's icebreakers by mode and style (for UI)
+ * Styles only count for individual icebreakers; shared ones aren't written in a user's style.
+ *
+ * @param {string} pairId - Pair ID
+ * @returns {Promise<Object>} - { sent, pending, byMode, byStyle, adaptation }; groups are { scored, engaged, rate }
+ */
+export async function getIcebreakerStats(pairId) {
+  const log = await getIcebreakerLog(pairId);
+  const byMode = {};
+  const byStyle = {};
+  let pending = 0;
+
+  for (const entry of log) {
+    if (typeof entry.engaged !== 'boolean') {
+      pending++;
+      continue;
+    }
+
+    addOutcome(byMode, entry.mode, entry.engaged);
+    if (entry.mode === 'individual' && entry.styles) {
+      for (const style of new Set(Object.values(entry.styles))) {
+        addOutcome(byStyle, style, entry.engaged);
+      }
+    }
+  }
+
+  return { sent: log.length, pending, byMode, byStyle, adaptation: await getAdaptation(pairId) };
+}
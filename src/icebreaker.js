@@ -2,15 +2,37 @@
  * Icebreaker System
  *
  * Periodically sends context-aware icebreakers when conversation is inactive.
- * Icebreakers are sent to BOTH users when timer is due.
+ * Each pair has its own timer; icebreakers are sent to BOTH users of a pair when it is due.
  *
- * Uses Opik traces for persistent timestamp storage (works on Vercel).
+ * The due time is drawn once per activity (relayed message or icebreaker) and stored,
+ * so checks, the web UI and /status all see the same date. Admins can snooze or reschedule it.
+ *
+ * Each pair has a mode (see ICEBREAKER_MODES): individual openers in each user's style,
+ * or one shared question or game written for User A and translated for User B.
+ * Topics are drawn by the pair's weights, and openers sent within the pair's repeat
+ * window are not sent again.
+ *
+ * Whether either user replies to an icebreaker is scored in icebreaker-feedback.js;
+ * guidance learned from it goes into the prompt and unanswered icebreakers stretch the interval.
  *
  * @module icebreaker
  */
 
-import { generateIcebreaker } from './llm.js';
-import { readConfig, fetchRecentMessagesFromOpik, getLastActivityTimestamp } from './opik.js';
+import { generateIcebreaker, translateIcebreaker } from './llm.js';
+import { ICEBREAKER_MODES, ICEBREAKER_TOPICS } from './prompts.js';
+import { scoreIcebreakerEngagement, getAdaptation } from './icebreaker-feedback.js';
+import { readConfig, fetchRecentMessages, getLastActivityTimestamp, appendMessage, listPairs, getIcebreakerSchedule, setIcebreakerSchedule, claimIcebreakerSchedule, getIcebreakerLog, logIcebreaker } from './storage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @type {number} Generations tried before giving up on an opener that wasn't sent recently */
+const MAX_GENERATION_ATTEMPTS = 3;
+
+/** @type {number} Most recent openers listed in the prompt as ones to avoid */
+const AVOID_LIST_SIZE = 20;
+
+/** @type {number} Wait before trying again when no icebreaker could be composed */
+const RETRY_DELAY_MS = DAY_MS;
 
 // Local scheduler interval
 let localSchedulerInterval = null;
@@ -19,7 +41,7 @@ let localSchedulerInterval = null;
  * Start local icebreaker scheduler (for local development)
  * Runs independently and sends icebreakers when due
  * 
- * @param {Function} sendToUser - Function to send message (role, text) => Promise
+ * @param {Function} sendToUser - Function to send message (pairId, role, text) => Promise
  * @param {number} checkIntervalMs - How often to check (default: 1 hour)
  */
 export function startLocalScheduler(sendToUser, checkIntervalMs = 3600000) {
@@ -51,60 +73,230 @@ function calculateIcebreakerInterval(periodDays) {
   const maxDays = periodDays + 2;
   const randomDays = minDays + Math.random() * (maxDays - minDays);
   
-  return randomDays * 24 * 60 * 60 * 1000;
+  return randomDays * DAY_MS;
+}
+
+// Next due time counted from an activity, stretched by the pair's learned interval factor
+async function drawNextDueAt(pair, fromTimestamp) {
+  const { intervalFactor } = await getAdaptation(pair.id);
+  return fromTimestamp + calculateIcebreakerInterval(pair.icebreakerPeriodDays) * intervalFactor;
+}
+
+/**
+ * Draw and store the next due time of a pair, counted from an activity
+ * The interval is stretched by the pair's learned interval factor (1 to 2).
+ * 
+ * @param {Object} pair - The pair
+ * @param {number} fromTimestamp - Time of the activity (default: now)
+ * @param {string} reason - 'activity' or 'icebreaker'
+ * @returns {Promise<Date|null>} - New due time, or null if it could not be stored
+ */
+export async function scheduleNextIcebreaker(pair, fromTimestamp = Date.now(), reason = 'activity') {
+  try {
+    const dueAt = await drawNextDueAt(pair, fromTimestamp);
+    await setIcebreakerSchedule(pair.id, dueAt, reason);
+    return new Date(dueAt);
+  } catch (error) {
+    console.error(`[Icebreaker] Error scheduling pair ${pair.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Push the next icebreaker of a pair back by some days
+ * Counted from the current due time, or from now if it is already overdue.
+ * 
+ * @param {Object} pair - The pair
+ * @param {number} days - Days to snooze
+ * @returns {Promise<Date|null>} - New due time, or null if there is no schedule yet
+ */
+export async function snoozeIcebreaker(pair, days) {
+  const due = await getNextIcebreakerDue(pair);
+  if (!due) return null;
+
+  const dueAt = Math.max(due.getTime(), Date.now()) + days * DAY_MS;
+  await setIcebreakerSchedule(pair.id, dueAt, 'snooze');
+  console.log(`[Icebreaker] Pair ${pair.id} snoozed ${days} day(s) to ${new Date(dueAt).toISOString()}`);
+  return new Date(dueAt);
+}
+
+/**
+ * Set the next icebreaker of a pair to a given time
+ * New activity draws a fresh due time as usual.
+ * 
+ * @param {Object} pair - The pair
+ * @param {Date} dueAt - New due time
+ * @returns {Promise<Date>} - New due time
+ */
+export async function rescheduleIcebreaker(pair, dueAt) {
+  await setIcebreakerSchedule(pair.id, dueAt, 'reschedule');
+  console.log(`[Icebreaker] Pair ${pair.id} rescheduled to ${dueAt.toISOString()}`);
+  return dueAt;
+}
+
+/**
+ * Resolve the language a user of a pair receives messages in
+ */
+function getUserLanguage(user) {
+  return user.language === 'auto' ? (user.languageCode || 'en') : user.language;
+}
+
+// Openers count as the same regardless of case, punctuation and spacing
+function normalizeOpener(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Draw a topic category by the pair's weights
+ * 
+ * @param {Object} weights - ICEBREAKER_TOPICS key -> weight
+ * @returns {string|null} - Topic, or null if no topic has a weight
+ */
+function pickTopic(weights = {}) {
+  const weighted = Object.entries(weights).filter(([topic, weight]) => ICEBREAKER_TOPICS[topic] && weight > 0);
+  const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  let point = Math.random() * total;
+  for (const [topic, weight] of weighted) {
+    point -= weight;
+    if (point < 0) return topic;
+  }
+  return weighted[weighted.length - 1][0];
+}
+
+/**
+ * Generate the icebreakers of both users in the pair's mode
+ * 
+ * @returns {Promise<Object>} - { texts: { A, B }, traceIds } (traceIds of the generate_icebreaker traces)
+ */
+async function generatePairIcebreakers(pair, recentMessages, options) {
+  const languageA = getUserLanguage(pair.userA);
+  const languageB = getUserLanguage(pair.userB);
+  const icebreakerA = await generateIcebreaker(recentMessages, pair.userA.style, pair.userA.customStyle, languageA, pair.id, options);
+
+  // Shared question or game: the same text for both, translated if needed
+  if (options.mode !== 'individual') {
+    const textB = languageB === languageA ? icebreakerA.text : await translateIcebreaker(icebreakerA.text, languageB, pair.id);
+    return { texts: { A: icebreakerA.text, B: textB }, traceIds: [icebreakerA.traceId].filter(Boolean) };
+  }
+
+  const icebreakerB = await generateIcebreaker(recentMessages, pair.userB.style, pair.userB.customStyle, languageB, pair.id, options);
+  return {
+    texts: { A: icebreakerA.text, B: icebreakerB.text },
+    traceIds: [icebreakerA.traceId, icebreakerB.traceId].filter(Boolean),
+  };
+}
+
+/**
+ * Generate icebreakers for a pair that weren't sent within its repeat window
+ * 
+ * @param {Object} pair - The pair
+ * @param {Array} recentMessages - Conversation history for context
+ * @returns {Promise<Object|null>} - { mode, topic, texts: { A, B }, styles: { A, B }, traceIds }, or null if every attempt repeated an opener
+ */
+async function composeIcebreakers(pair, recentMessages) {
+  const mode = ICEBREAKER_MODES[pair.icebreakerMode] ? pair.icebreakerMode : 'individual';
+  const topic = pickTopic(pair.icebreakerTopics);
+  const { guidance } = await getAdaptation(pair.id);
+  const styles = { A: pair.userA.style, B: pair.userB.style };
+
+  const since = Date.now() - pair.icebreakerRepeatDays * DAY_MS;
+  const recentTexts = (await getIcebreakerLog(pair.id))
+    .filter(entry => new Date(entry.sentAt).getTime() >= since)
+    .flatMap(entry => Object.values(entry.texts));
+  const sent = new Set(recentTexts.map(normalizeOpener));
+  const avoid = [...new Set(recentTexts)].slice(-AVOID_LIST_SIZE);
+
+  for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+    const { texts, traceIds } = await generatePairIcebreakers(pair, recentMessages, { mode, topic, avoid, guidance });
+    const repeated = Object.values(texts).filter(text => sent.has(normalizeOpener(text)));
+    if (repeated.length === 0) {
+      return { mode, topic, texts, styles, traceIds };
+    }
+
+    console.log(`[Icebreaker] Pair ${pair.id}: attempt ${attempt} repeated a recent icebreaker`);
+    avoid.push(...repeated.filter(text => !avoid.includes(text)));
+  }
+
+  return null;
 }
 
 /**
- * Check and send icebreaker if due
+ * Check and send icebreaker for one pair if due
  * Sends to both users when timer is due
  */
+async function checkAndSendPairIcebreaker(pair, sendToUser) {
+  // Score earlier icebreakers first, so a new schedule uses what was learned
+  await scoreIcebreakerEngagement(pair);
+
+  // Both users are needed for a conversation
+  if (!pair.userA.telegramId || !pair.userB.telegramId) {
+    return;
+  }
+
+  // No icebreakers while either user has paused relaying
+  if (pair.userA.paused || pair.userB.paused) {
+    return;
+  }
+
+  // No activity yet (no schedule) or not due yet
+  const due = await getNextIcebreakerDue(pair);
+  if (!due || due.getTime() > Date.now()) {
+    return;
+  }
+
+  // Move the schedule on first; of overlapping checks (cron and a message, or two instances) only one sends
+  if (!await claimIcebreakerSchedule(pair.id, due, await drawNextDueAt(pair, Date.now()))) {
+    console.log(`[Icebreaker] Pair ${pair.id}: already sent by another check`);
+    return;
+  }
+  
+  // Time is due - send icebreakers to BOTH users
+  const recentMessages = await fetchRecentMessages(pair.id, 20);
+  let icebreaker = null;
+  try {
+    icebreaker = await composeIcebreakers(pair, recentMessages);
+  } catch (error) {
+    console.error(`[Icebreaker] Pair ${pair.id}: generation failed:`, error.message);
+  }
+  
+  // Try again later instead of skipping the whole period
+  if (!icebreaker) {
+    const retryAt = Date.now() + RETRY_DELAY_MS;
+    await setIcebreakerSchedule(pair.id, retryAt, 'retry');
+    console.warn(`[Icebreaker] Pair ${pair.id}: no icebreaker composed, retrying at ${new Date(retryAt).toISOString()}`);
+    return;
+  }
+
+  const { A: icebreakerA, B: icebreakerB } = icebreaker.texts;
+  await sendToUser(pair.id, 'A', icebreakerA);
+  console.log(`[Icebreaker] Sent to User A of pair ${pair.id}: ${icebreakerA}`);
+  await sendToUser(pair.id, 'B', icebreakerB);
+  console.log(`[Icebreaker] Sent to User B of pair ${pair.id}: ${icebreakerB}`);
+
+  await logIcebreaker(pair.id, icebreaker);
+  
+  // Keep the icebreaker in the history as conversation context
+  await appendMessage(pair.id, { type: 'icebreaker', stylizedText: icebreakerB });
+}
+
+/**
+ * Check and send icebreakers for all pairs that are due
+ */
 async function checkAndSendIcebreaker(sendToUser) {
   try {
     const config = await readConfig();
-    const lastActivityTimestamp = await getLastActivityTimestamp();
-    
-    // If no activity yet, don't send icebreaker
-    if (!lastActivityTimestamp) {
-      return;
-    }
     
-    const timeSinceLastActivity = Date.now() - lastActivityTimestamp;
-    const icebreakerInterval = calculateIcebreakerInterval(config.icebreakerPeriodDays);
-    
-    // Check if enough time has passed
-    if (timeSinceLastActivity < icebreakerInterval) {
-      return;
+    for (const pair of listPairs(config)) {
+      try {
+        await checkAndSendPairIcebreaker(pair, sendToUser);
+      } catch (error) {
+        console.error(`[Icebreaker] Error for pair ${pair.id}:`, error.message);
+      }
     }
-    
-    // Time is due - send icebreakers to BOTH users
-    const recentMessages = await fetchRecentMessagesFromOpik(20);
-    
-    // Generate and send to User A
-    const languageA = config.userA.language === 'auto' 
-      ? (config.userA.languageCode || 'en') 
-      : config.userA.language;
-    const icebreakerA = await generateIcebreaker(
-      recentMessages,
-      config.style,
-      config.customStyle,
-      languageA
-    );
-    await sendToUser('A', icebreakerA);
-    console.log(`[Icebreaker] Sent to User A: ${icebreakerA}`);
-    
-    // Generate and send to User B
-    const languageB = config.userB.language === 'auto'
-      ? (config.userB.languageCode || 'en')
-      : config.userB.language;
-    const icebreakerB = await generateIcebreaker(
-      recentMessages,
-      config.style,
-      config.customStyle,
-      languageB
-    );
-    await sendToUser('B', icebreakerB);
-    console.log(`[Icebreaker] Sent to User B: ${icebreakerB}`);
-    
   } catch (error) {
     console.error('[Icebreaker] Error:', error.message);
   }
@@ -112,9 +304,9 @@ async function checkAndSendIcebreaker(sendToUser) {
 
 /**
  * Trigger scheduled icebreaker check (called by GitHub Actions cron)
- * Sends icebreakers to both users using the provided sendToUser function
+ * Sends icebreakers to both users of every due pair using the provided sendToUser function
  * 
- * @param {Function} sendToUser - Function to send message (role, text) => Promise
+ * @param {Function} sendToUser - Function to send message (pairId, role, text) => Promise
  * @returns {Object} - Result with sent status
  */
 export async function triggerScheduledIcebreaker(sendToUser) {
@@ -123,13 +315,15 @@ export async function triggerScheduledIcebreaker(sendToUser) {
 }
 
 /**
- * Manually trigger icebreaker check (called on each message)
+ * Manually trigger the icebreaker check of one pair (called on each message)
+ * Only the sender's pair: the other pairs are left to the cron.
  * 
- * @param {Function} sendToUser - Function to send message (role, text) => Promise
+ * @param {Object} pair - The pair a message was relayed in
+ * @param {Function} sendToUser - Function to send message (pairId, role, text) => Promise
  */
-export async function triggerIcebreakerCheck(sendToUser) {
+export async function triggerIcebreakerCheck(pair, sendToUser) {
   try {
-    await checkAndSendIcebreaker(sendToUser);
+    await checkAndSendPairIcebreaker(pair, sendToUser);
     return true;
   } catch (error) {
     console.error('Error triggering icebreaker check:', error);
@@ -138,24 +332,25 @@ export async function triggerIcebreakerCheck(sendToUser) {
 }
 
 /**
- * Get next icebreaker due time (for UI display)
+ * Get next icebreaker due time of a pair
+ * Pairs from before schedules were stored get one drawn from their last activity.
  * 
- * @returns {Promise<Date|null>} - Date when next icebreaker is due, or null
+ * @param {Object} pair - The pair
+ * @returns {Promise<Date|null>} - Date when next icebreaker is due, or null without any activity
  */
-export async function getNextIcebreakerDue() {
+export async function getNextIcebreakerDue(pair) {
   try {
-    const config = await readConfig();
-    const lastActivityTimestamp = await getLastActivityTimestamp();
-    
+    const schedule = await getIcebreakerSchedule(pair.id);
+    if (schedule?.nextDueAt) {
+      return new Date(schedule.nextDueAt);
+    }
+
+    const lastActivityTimestamp = await getLastActivityTimestamp(pair.id);
     if (!lastActivityTimestamp) {
       return null;
     }
-    
-    const icebreakerInterval = calculateIcebreakerInterval(config.icebreakerPeriodDays);
-    const dueTime = lastActivityTimestamp + icebreakerInterval;
-    
-    return new Date(dueTime);
-    
+
+    return await scheduleNextIcebreaker(pair, lastActivityTimestamp);
   } catch (error) {
     console.error('Error getting next icebreaker due:', error);
     return null;
@@ -0,0 +1,209 @@
+/**
+ * LLM Providers
+ *
+ * One interface for every model call the bot makes. Each task picks its
+ * provider and model from config.llm, falling back to LLM_PROVIDER / LLM_MODEL.
+ *
+ * Providers:
+ * - gemini: Google GenAI API (GEMINI_API_KEY)
+ * - openai: any OpenAI-compatible chat completions API, e.g. a llama.cpp server
+ *   (OPENAI_BASE_URL, OPENAI_API_KEY)
+ * - ollama: local Ollama server through its OpenAI-compatible API (OLLAMA_BASE_URL)
+ * - mock: deterministic offline responses, no network
+ *
+ * @module llm-providers
+ */
+
+import { GoogleGenAI } from '@google/genai';
+import { readConfig } from './storage.js';
+import { withRetry } from './resilience.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** Tasks that call an LLM; each can use its own provider and model */
+export const LLM_TASKS = ['stylize', 'icebreaker', 'improvement'];
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OLLAMA_BASE_URL = 'http://localhost:11434/v1';
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+let geminiClient = null;
+
+function getGeminiClient() {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY is not set');
+  }
+  if (!geminiClient) {
+    geminiClient = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  }
+  return geminiClient;
+}
+
+/**
+ * Call an OpenAI-compatible chat completions endpoint
+ */
+async function chatCompletion(baseUrl, apiKey, model, prompt) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model, messages: [{ role: 'user', content: prompt }] }),
+  });
+
+  if (!response.ok) {
+    // status and Retry-After let the resilience layer decide whether and when to retry
+    const error = new Error(`LLM request failed: ${response.status} ${await response.text()}`);
+    error.status = response.status;
+    const retryAfter = Number(response.headers.get('retry-after'));
+    if (retryAfter > 0) {
+      error.retryAfterMs = retryAfter * 1000;
+    }
+    throw error;
+  }
+
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content || '';
+}
+
+let mockResponder = null;
+
+/**
+ * Canned mock output per task, derived only from the task input
+ */
+function getMockResponse(task, prompt, input) {
+  switch (task) {
+    case 'stylize':
+      return `[${input.style || 'none'}/${input.language || 'en'}] ${input.message ?? ''}`;
+    case 'icebreaker': {
+      // Translations of a shared icebreaker keep the source text
+      if (input.sourceText) return `[icebreaker/${input.language || 'en'}] ${input.sourceText}`;
+      const mode = input.mode && input.mode !== 'individual' ? `/${input.mode}` : '';
+      return `[icebreaker/${input.language || 'en'}${mode}] What was the best part of your week?`;
+    }
+    case 'improvement':
+      return JSON.stringify({
+        issue: `mock ${input.type || 'improvement'}`,
+        improvement: `Address: ${typeof input.input === 'string' ? input.input : input.input?.metric || 'quality'}`,
+      });
+    default:
+      return `[mock] ${prompt.slice(0, 50)}`;
+  }
+}
+
+const PROVIDERS = {
+  gemini: {
+    defaultModel: 'gemini-3.1-flash-lite',
+    async generate(prompt, model) {
+      const response = await getGeminiClient().models.generateContent({ model, contents: prompt });
+      return response?.text || '';
+    },
+  },
+
+  openai: {
+    defaultModel: 'gpt-4o-mini',
+    async generate(prompt, model) {
+      return chatCompletion(
+        process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+        process.env.OPENAI_API_KEY,
+        model,
+        prompt
+      );
+    },
+  },
+
+  ollama: {
+    defaultModel: 'llama3.2',
+    async generate(prompt, model) {
+      return chatCompletion(process.env.OLLAMA_BASE_URL || DEFAULT_OLLAMA_BASE_URL, null, model, prompt);
+    },
+  },
+
+  mock: {
+    defaultModel: 'mock',
+    async generate(prompt, model, task, input) {
+      const custom = mockResponder ? await mockResponder(task, prompt, input) : undefined;
+      return custom ?? getMockResponse(task, prompt, input);
+    },
+  },
+};
+
+/** Names of the available providers */
+export const LLM_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Override mock output, e.g. in tests
+ *
+ * @param {Function|null} responder - (task, prompt, input) => string; return undefined for the canned response, null to reset
+ */
+export function setMockResponder(responder) {
+  mockResponder = responder;
+}
+
+// ============================================================================
+// TASK RESOLUTION
+// ============================================================================
+
+function getDefaultProvider() {
+  const provider = process.env.LLM_PROVIDER;
+  return PROVIDERS[provider] ? provider : 'gemini';
+}
+
+/**
+ * Get the provider and model a task runs on
+ *
+ * @param {Object} config - The bot configuration
+ * @param {string} task - One of LLM_TASKS
+ * @returns {{provider: string, model: string}}
+ */
+export function resolveTaskModel(config, task) {
+  const defaultProvider = getDefaultProvider();
+  const taskConfig = config?.llm?.[task] || {};
+  const provider = PROVIDERS[taskConfig.provider] ? taskConfig.provider : defaultProvider;
+
+  // LLM_MODEL names a model of the default provider only
+  const model = taskConfig.model ||
+    (provider === defaultProvider && process.env.LLM_MODEL) ||
+    PROVIDERS[provider].defaultModel;
+
+  return { provider, model };
+}
+
+/**
+ * Get the default model of a provider
+ *
+ * @param {string} provider - Provider name
+ * @returns {string|null}
+ */
+export function getDefaultModel(provider) {
+  return PROVIDERS[provider]?.defaultModel || null;
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Generate text for a task with its configured provider and model
+ * Transient provider errors are retried (see resilience.js); throws when the
+ * call still fails, and callers keep their own fallbacks.
+ *
+ * @param {string} task - One of LLM_TASKS
+ * @param {string} prompt - Full prompt
+ * @param {Object} input - Structured task input (used by the mock provider)
+ * @returns {Promise<{text: string, provider: string, model: string}>}
+ */
+export async function generateText(task, prompt, input = {}) {
+  const config = await readConfig();
+  const { provider, model } = resolveTaskModel(config, task);
+  const text = await withRetry(`llm:${provider}`, () => PROVIDERS[provider].generate(prompt, model, task, input));
+  return { text: String(text ?? ''), provider, model };
+}
@@ -1,23 +1,30 @@
 /**
- * LLM Service - Message Stylization using Google GenAI API
+ * LLM Service - Message Stylization
  * 
- * Uses Gemini model to rewrite messages in the selected style.
+ * Rewrites messages in the selected style with the provider and model
+ * configured for each task (see llm-providers.js).
  * Returns only the stylized text, no explanations or metadata.
  */
 
 import dotenv from 'dotenv';
-import { GoogleGenAI } from '@google/genai';
+import { generateText } from './llm-providers.js';
 import { 
-  createSimpleTrace
+  createSimpleTrace,
+  getTraceId
 } from './opik.js';
 import { 
   getStyleDescription,
   getLanguageName,
   generateBasePrompt,
   getAvailableStyles,
-  getStylePresetDescription
+  getStylePresetDescription,
+  getPromptStyleKey,
+  formatConversationContext,
+  ICEBREAKER_MODES,
+  ICEBREAKER_TOPICS,
+  fillPromptTemplate
  } from './prompts.js';
-import { getPromptConfig, fetchRecentMessagesFromOpik } from './opik.js';
+import { readConfig, getPromptConfig, fetchRecentMessages } from './storage.js';
 import { 
   shouldEvaluateAndImprove
 } from './opik-feedback.js';
@@ -25,8 +32,9 @@ import {
 // Load environment variables
 dotenv.config();
 
-// Initialize GenAI client
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+// Conversation context for stylization: last N messages of the pair, if not older than the max age
+const CONTEXT_MESSAGES = 6;
+const CONTEXT_MAX_AGE_HOURS = 24;
 
 // Fallback icebreaker messages by language
 const FALLBACK_ICEBREAKERS = {
@@ -53,18 +61,51 @@ const FALLBACK_ICEBREAKERS = {
 };
 
 /**
- * Stylize a message using Gemini LLM
- * Uses stored improved prompts when available
+ * Get the recent messages of a pair used as context for the next rewrite
+ * 
+ * @param {string} pairId - Pair ID
+ * @returns {Promise<Array>} - Messages, oldest first
+ */
+async function fetchConversationContext(pairId) {
+  const cutoff = Date.now() - CONTEXT_MAX_AGE_HOURS * 60 * 60 * 1000;
+  const messages = await fetchRecentMessages(pairId, CONTEXT_MESSAGES);
+  return messages.filter(m => new Date(m.timestamp).getTime() > cutoff);
+}
+
+/**
+ * Stylize a message using the configured LLM
+ * Uses stored improved prompts of the pair (conversationId) when available
+ * style and customStyle are the sender's (userRole) choice; prompts are keyed on it
+ * Recent messages of the pair are added as context so short replies keep their meaning
+ * On failure or empty output the original is returned with fallback: true, so the sender can be told
  */
 export async function stylizeMessage(originalMessage, style, customStyle = '', recipientLanguage = 'en', senderLanguage = 'en', userId = null, userRole = null, username = null, conversationId = null) {
+  const styleKey = getPromptStyleKey(style, userRole);
+  const senderCustomStyle = style === 'custom' ? customStyle : '';
   try {
     // Check for stored improved prompt first
     let promptTemplate = null;
+    let promptVersion = null;
+    let promptVariant = null;
     try {
-      const promptConfig = await getPromptConfig(style, recipientLanguage);
+      const promptConfig = conversationId ? await getPromptConfig(conversationId, styleKey, recipientLanguage) : null;
       if (promptConfig && promptConfig.prompt) {
         promptTemplate = promptConfig.prompt;
-        console.log(`Using stored improved prompt for ${style}/${recipientLanguage}`);
+        promptVersion = promptConfig.activeVersion;
+        console.log(`Using stored improved prompt for ${styleKey}/${recipientLanguage}`);
+      }
+
+      // A/B test: a share of messages get the candidate prompt, the rest the live (champion) one
+      if (promptConfig?.candidate && !promptConfig.locked) {
+        const { abTest } = await readConfig();
+        if (Math.random() < abTest.candidateShare) {
+          promptTemplate = promptConfig.candidate.prompt;
+          promptVersion = promptConfig.candidate.id ?? null;
+          promptVariant = 'candidate';
+          console.log(`Using candidate prompt for ${styleKey}/${recipientLanguage}`);
+        } else {
+          promptVariant = 'champion';
+        }
       }
     } catch (e) {
       // Storage not available, use default
@@ -75,19 +116,24 @@ export async function stylizeMessage(originalMessage, style, customStyle = '', r
       promptTemplate = generateBasePrompt(style, customStyle, recipientLanguage);
     }
     
-    // Replace {message} placeholder with actual message
-    const prompt = promptTemplate.replace('{message}', originalMessage);
+    // Recent exchanges with roles labelled, so references and pronouns survive the rewrite
+    const contextMessages = conversationId ? await fetchConversationContext(conversationId) : [];
+    const context = formatConversationContext(contextMessages, userRole);
+
+    // Replace {message} placeholder with actual message, with the context before it
+    const prompt = fillPromptTemplate(promptTemplate, originalMessage, context);
 
     const startTime = Date.now();
-    const response = await ai.models.generateContent({
-      model: 'gemini-3.1-flash-lite',
-      contents: prompt
+    const response = await generateText('stylize', prompt, {
+      message: originalMessage,
+      style,
+      language: recipientLanguage,
     });
     const latency = Date.now() - startTime;
     
     let stylizedText = '';
     try {
-      stylizedText = (response?.text || '').toString().trim();
+      stylizedText = response.text.trim();
     } catch (e) {
       console.error('Error extracting text from response:', e);
     }
@@ -109,25 +155,29 @@ export async function stylizeMessage(originalMessage, style, customStyle = '', r
         username: username,
         user_role: userRole,
         conversation_id: conversationId,
+        context_messages: contextMessages.length,
         prompt: prompt,
       },
       {
         result: finalResult,
         language: recipientLanguage,
         success: stylizedText.length >= 2,
-        model: 'gemini-3.1-flash-lite',
+        provider: response.provider,
+        model: response.model,
         latency,
         fallback: stylizedText.length < 2,
       },
-      { message_type: 'stylize', style }
+      { message_type: 'stylize', style: styleKey, pair_id: conversationId, prompt_version: promptVersion, prompt_variant: promptVariant }
     );
     
     // Check evaluation scores and improve prompt (async, runs in background)
-    shouldEvaluateAndImprove(style, recipientLanguage).catch(err => {
-      console.error('[Evaluation] Error:', err.message);
-    });
+    if (conversationId) {
+      shouldEvaluateAndImprove(conversationId, styleKey, recipientLanguage, senderCustomStyle).catch(err => {
+        console.error('[Evaluation] Error:', err.message);
+      });
+    }
     
-    return { text: finalResult, trace, model: 'gemini-3.1-flash-lite', latency };
+    return { text: finalResult, trace, model: response.model, latency, fallback: stylizedText.length < 2 };
     
   } catch (error) {
     console.error('Error stylizing message:', error);
@@ -135,21 +185,30 @@ export async function stylizeMessage(originalMessage, style, customStyle = '', r
       'stylize_message',
       { original_message: originalMessage, style, custom_style: customStyle || null, language: senderLanguage, user_id: userId, username: username, error: error.message },
       { result: originalMessage, language: recipientLanguage, success: false, error: error.message, fallback: true },
-      { message_type: 'stylize', style, error: true }
+      { message_type: 'stylize', style: styleKey, pair_id: conversationId, error: true }
     );
-    return { text: originalMessage, trace: null, model: null, latency: null };
+    return { text: originalMessage, trace: null, model: null, latency: null, fallback: true };
   }
 }
 
 /**
- * Generate an icebreaker message based on conversation history from Opik traces
+ * Generate an icebreaker message based on conversation history of a pair
+ * 
+ * @param {Array} recentMessages - Conversation history entries (fetched by pairId if empty)
+ * @param {string} style - Style of the recipient (individual mode)
+ * @param {string} customStyle - Custom style description
+ * @param {string} language - Language code to write in
+ * @param {string|null} pairId - Pair ID
+ * @param {Object} options - { mode (ICEBREAKER_MODES key), topic (ICEBREAKER_TOPICS key or null), avoid (openers not to repeat),
+ *   guidance (instructions learned from engagement, see icebreaker-feedback.js) }
+ * @returns {Promise<Object>} - { text, traceId } (traceId is null without tracing)
  */
-export async function generateIcebreaker(recentMessages, style, customStyle = '', language = 'en') {
+export async function generateIcebreaker(recentMessages, style, customStyle = '', language = 'en', pairId = null, { mode = 'individual', topic = null, avoid = [], guidance = [] } = {}) {
   try {
-    // If no messages provided, fetch from Opik traces
+    // If no messages provided, fetch from conversation history
     let messagesToUse = recentMessages;
-    if (!recentMessages || recentMessages.length === 0) {
-      messagesToUse = await fetchRecentMessagesFromOpik(20);
+    if ((!recentMessages || recentMessages.length === 0) && pairId) {
+      messagesToUse = await fetchRecentMessages(pairId, 20);
     }
     
     const styleDescription = getStyleDescription(style, customStyle);
@@ -166,7 +225,33 @@ export async function generateIcebreaker(recentMessages, style, customStyle = ''
       context = 'No previous conversation context.';
     }
     
-    const prompt = `You are generating a natural conversation starter (icebreaker) for two people who haven't spoken in a while.
+    // Individual openers read as a message from the partner; shared ones address both people
+    const isShared = mode !== 'individual' && !!ICEBREAKER_MODES[mode];
+    const task = isShared
+      ? `You are hosting a chat between two people who haven't spoken in a while. Write ${ICEBREAKER_MODES[mode]}, addressed to both of them.`
+      : 'You are generating a natural conversation starter (icebreaker) for two people who haven\'t spoken in a while.';
+    const rules = isShared
+      ? [
+        'Address both people together ("you both", "each of you")',
+        'Keep it brief and concise (maximum 40 words)',
+        'Make it feel warm and inviting',
+      ]
+      : [
+        'Make it sound completely natural as if continuing a conversation',
+        `Write in a ${styleDescription} style`,
+        'Keep it brief and concise (1-2 sentences, maximum 20 words)',
+        'Make it feel human and genuine',
+        'Write from FIRST PERSON perspective (use "I", "me", "my", "we", "us", "our") since this is a message from the sender',
+      ];
+    if (ICEBREAKER_TOPICS[topic]) {
+      rules.push(`Make it about ${ICEBREAKER_TOPICS[topic]}`);
+    }
+    rules.push(...guidance);
+    if (avoid.length > 0) {
+      rules.push(`Do NOT repeat or closely paraphrase any of these earlier icebreakers:\n${avoid.map(text => `  * ${text}`).join('\n')}`);
+    }
+    
+    const prompt = `${task}
 
 ${context}
 
@@ -174,20 +259,13 @@ IMPORTANT RULES:
 - Return ONLY the icebreaker message, nothing else
 - No explanations, no metadata, no quotes
 - Do NOT mention inactivity, time passed, or "it's been a while"
-- Make it sound completely natural as if continuing a conversation
-- Write in a ${styleDescription} style
-- Keep it brief and concise (1-2 sentences, maximum 20 words)
-- Make it feel human and genuine
-- Write from FIRST PERSON perspective (use "I", "me", "my", "we", "us", "our") since this is a message from the sender
+${rules.map(rule => `- ${rule}`).join('\n')}
 - ${languageInstruction}
 
 Icebreaker message:`;
 
     const startTime = Date.now();
-    const response = await ai.models.generateContent({
-      model: 'gemini-3.1-flash-lite',
-      contents: prompt
-    });
+    const response = await generateText('icebreaker', prompt, { style, language, mode, topic });
     const latency = Date.now() - startTime;
     
     let icebreaker = response.text.trim();
@@ -200,22 +278,58 @@ Icebreaker message:`;
     
     const trace = createSimpleTrace(
       'generate_icebreaker',
-      { style, custom_style: customStyle || null, language, message_count: recentMessages?.length || 0, context, prompt },
-      { result: icebreaker, language, success: !useFallback, model: 'gemini-3.1-flash-lite', latency, fallback: useFallback },
-      { message_type: 'icebreaker', style }
+      { style, custom_style: customStyle || null, language, mode, topic, message_count: recentMessages?.length || 0, context, prompt },
+      { result: icebreaker, language, success: !useFallback, provider: response.provider, model: response.model, latency, fallback: useFallback },
+      { message_type: 'icebreaker', style, mode, pair_id: pairId }
     );
     
-    return icebreaker;
+    return { text: icebreaker, traceId: getTraceId(trace) };
     
   } catch (error) {
     console.error('Error generating icebreaker:', error);
-    createSimpleTrace(
+    const trace = createSimpleTrace(
       'generate_icebreaker',
-      { style, custom_style: customStyle || null, language, error: error.message },
+      { style, custom_style: customStyle || null, language, mode, topic, error: error.message },
       { result: FALLBACK_ICEBREAKERS[language] || FALLBACK_ICEBREAKERS.en, language, success: false, error: error.message, fallback: true },
-      { message_type: 'icebreaker', style, error: true }
+      { message_type: 'icebreaker', style, mode, pair_id: pairId, error: true }
+    );
+    return { text: FALLBACK_ICEBREAKERS[language] || FALLBACK_ICEBREAKERS.en, traceId: getTraceId(trace) };
+  }
+}
+
+/**
+ * Translate a shared icebreaker for the other user of a pair
+ * Falls back to the source text if the translation fails.
+ * 
+ * @param {string} text - Icebreaker as generated for the first user
+ * @param {string} language - Target language code
+ * @param {string|null} pairId - Pair ID
+ * @returns {Promise<string>} - Translated icebreaker
+ */
+export async function translateIcebreaker(text, language, pairId = null) {
+  try {
+    const prompt = `Translate this message into ${getLanguageName(language)}. Keep its tone, any question and any game instructions.
+Return ONLY the translation, no explanations, no quotes.
+
+Message:
+${text}
+
+Translation:`;
+
+    const response = await generateText('icebreaker', prompt, { language, sourceText: text });
+    const translated = response.text.trim();
+
+    createSimpleTrace(
+      'translate_icebreaker',
+      { text, language },
+      { result: translated || text, provider: response.provider, model: response.model, fallback: !translated },
+      { message_type: 'icebreaker', pair_id: pairId }
     );
-    return FALLBACK_ICEBREAKERS[language] || FALLBACK_ICEBREAKERS.en;
+
+    return translated || text;
+  } catch (error) {
+    console.error('Error translating icebreaker:', error);
+    return text;
   }
 }
 
@@ -0,0 +1,115 @@
+/**
+ * Media Relay Module
+ *
+ * Detects what a Telegram message contains and re-sends it to the partner
+ * with the matching Bot API method. Files are re-sent by file_id, so nothing
+ * is downloaded. Captions are passed in already stylized by the caller.
+ *
+ * @module media
+ */
+
+// Checked in order: animations also carry a document, venues also carry a location
+const MESSAGE_TYPES = [
+  'text',
+  'animation',
+  'photo',
+  'video',
+  'video_note',
+  'voice',
+  'audio',
+  'document',
+  'sticker',
+  'venue',
+  'location',
+  'contact',
+  'poll',
+];
+
+// Types whose relayed copy can carry a caption
+const CAPTION_TYPES = ['animation', 'photo', 'video', 'voice', 'audio', 'document'];
+
+/**
+ * Get the relayable content type of a message
+ *
+ * @param {Object} msg - Telegram message object
+ * @returns {string|null} - Content type, or null if it can't be relayed
+ */
+export function getMessageType(msg) {
+  return MESSAGE_TYPES.find(type => msg[type] !== undefined) || null;
+}
+
+/**
+ * Check if a content type can carry a caption
+ *
+ * @param {string} type - Content type from getMessageType()
+ * @returns {boolean}
+ */
+export function supportsCaption(type) {
+  return CAPTION_TYPES.includes(type);
+}
+
+/**
+ * Send the media of a message to another chat
+ *
+ * @param {Object} bot - TelegramBot instance
+ * @param {number} chatId - Recipient chat ID
+ * @param {Object} msg - Original Telegram message
+ * @param {string} caption - Caption for the copy (already stylized), may be empty
+ * @param {Object} options - Extra Bot API options (reply_to_message_id, reply_markup, ...)
+ * @returns {Promise<Object>} - The sent Telegram message
+ */
+export async function sendMedia(bot, chatId, msg, caption = '', options = {}) {
+  const type = getMessageType(msg);
+  const captionOptions = caption && supportsCaption(type) ? { ...options, caption } : { ...options };
+
+  switch (type) {
+    case 'animation':
+      return bot.sendAnimation(chatId, msg.animation.file_id, captionOptions);
+    case 'photo':
+      // Largest size is last
+      return bot.sendPhoto(chatId, msg.photo[msg.photo.length - 1].file_id, captionOptions);
+    case 'video':
+      return bot.sendVideo(chatId, msg.video.file_id, captionOptions);
+    case 'video_note':
+      return bot.sendVideoNote(chatId, msg.video_note.file_id, captionOptions);
+    case 'voice':
+      return bot.sendVoice(chatId, msg.voice.file_id, captionOptions);
+    case 'audio':
+      return bot.sendAudio(chatId, msg.audio.file_id, captionOptions);
+    case 'document':
+      return bot.sendDocument(chatId, msg.document.file_id, captionOptions);
+    case 'sticker':
+      return bot.sendSticker(chatId, msg.sticker.file_id, captionOptions);
+    case 'venue':
+      return bot.sendVenue(
+        chatId,
+        msg.venue.location.latitude,
+        msg.venue.location.longitude,
+        msg.venue.title,
+        msg.venue.address,
+        captionOptions
+      );
+    case 'location':
+      return bot.sendLocation(chatId, msg.location.latitude, msg.location.longitude, captionOptions);
+    case 'contact':
+      return bot.sendContact(chatId, msg.contact.phone_number, msg.contact.first_name, {
+        ...captionOptions,
+        last_name: msg.contact.last_name,
+      });
+    case 'poll': {
+      const { poll } = msg;
+      const pollOptions = {
+        ...captionOptions,
+        is_anonymous: poll.is_anonymous,
+        type: poll.type,
+        allows_multiple_answers: poll.allows_multiple_answers,
+      };
+      if (poll.type === 'quiz' && poll.correct_option_id !== undefined) {
+        pollOptions.correct_option_id = poll.correct_option_id;
+      }
+      return bot.sendPoll(chatId, poll.question, poll.options.map(o => ({ text: o.text })), pollOptions);
+    }
+    default:
+      throw new Error(`Unsupported message type: ${type}`);
+  }
+}
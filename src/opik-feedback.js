@@ -5,7 +5,8 @@
  * Fetches scores from Opik and improves prompts based on averages.
  */
 
-import { getPromptConfig, updatePromptConfig, getOpikClient, searchOpikTraces } from './opik.js';
+import { getOpikClient, searchOpikTraces } from './opik.js';
+import { readConfig, getPromptConfig, savePromptVersion, setPromptCandidate, promotePromptCandidate, discardPromptCandidate } from './storage.js';
 import { generateBasePrompt } from './prompts.js';
 import { canImprove, recordImprovement, applyImprovement, generateImprovement, EVAL_THRESHOLD, MAX_IMPROVEMENTS_PER_DAY } from './feedback-utils.js';
 
@@ -14,86 +15,117 @@ import { canImprove, recordImprovement, applyImprovement, generateImprovement, E
 // ============================================================================
 
 const SCORE_CHECK_INTERVAL = 10; // Check every 10 messages
+const CANDIDATE_TRACE_LIMIT = 200; // Traces searched per variant when comparing a candidate with the champion
+const CANDIDATE_MAX_AGE_DAYS = 14; // Candidates that can't collect enough samples are dropped
+const RATING_METRIC = 'user_rating'; // Recipients' 👍/👎 score (1 or 0) written by bot.js
 
 // ============================================================================
 // STATE
 // ============================================================================
 
-let messageCount = 0;
+// Message count per pair (pairId -> count)
+const messageCounts = new Map();
 
 // ============================================================================
 // SCORE FETCHING
 // ============================================================================
 
+/**
+ * Fetch the latest stylize traces of one pair, style and output language
+ * Pair, style and any further metadata are filtered by Opik, so traces of other pairs
+ * and other trace types don't crowd them out of the limit; the language is checked here.
+ * 
+ * @param {string} pairId - Pair to filter by
+ * @param {string} style - Style to filter by
+ * @param {string} language - Language to filter by
+ * @param {number} limit - Max number of traces to fetch
+ * @param {Object} metadata - More metadata values to filter by, e.g. { prompt_variant: 'candidate' }
+ * @returns {Promise<Array>} - Matching traces
+ */
+async function fetchMatchingTraces(pairId, style, language, limit, metadata = {}) {
+  const conditions = { message_type: 'stylize', pair_id: pairId, style, ...metadata };
+  const filterString = Object.entries(conditions)
+    .map(([key, value]) => `metadata.${key}=${JSON.stringify(String(value))}`)
+    .join(' and ');
+  const traces = await searchOpikTraces(limit, filterString);
+  console.log(`[ScoreEval] Fetched ${traces.length} traces`);
+
+  // Checked again locally, and by output language
+  const matchingTraces = traces.filter(trace => {
+    const meta = trace.metadata || {};
+    const out = trace.output || {};
+    return Object.entries(conditions).every(([key, value]) => String(meta[key]) === String(value)) && out.language === language;
+  });
+
+  console.log(`[ScoreEval] Filtered: ${matchingTraces.length} matching ${pairId} ${style}/${language}`);
+  return matchingTraces;
+}
+
+/**
+ * Average the feedback scores of traces per metric
+ * 
+ * @param {Array} traces - Opik traces
+ * @returns {{averages: Object, scoredCount: number}} - Averages per metric and number of traces with scores
+ */
+function averageScores(traces) {
+  const metrics = {};
+  let scoredCount = 0;
+
+  for (const trace of traces) {
+    const scores = trace.feedbackScores || trace.feedbackScore || trace.feedback_scores;
+    if (!scores) continue;
+
+    // feedbackScores is an array of {name, value} objects; object format is legacy
+    const entries = Array.isArray(scores)
+      ? scores.map(score => [score.name, score.value])
+      : Object.entries(scores);
+
+    let scored = false;
+    for (const [metric, value] of entries) {
+      if (typeof value === 'number' && metric && !metric.includes('_reason')) {
+        if (!metrics[metric]) {
+          metrics[metric] = { total: 0, count: 0 };
+        }
+        metrics[metric].total += value;
+        metrics[metric].count++;
+        scored = true;
+      }
+    }
+    if (scored) scoredCount++;
+  }
+
+  const averages = {};
+  for (const [metric, data] of Object.entries(metrics)) {
+    averages[metric] = data.total / data.count;
+  }
+
+  return { averages, scoredCount };
+}
+
 /**
  * Fetch last N traces and calculate average scores
  * Uses unified searchOpikTraces function
+ * Averages cover the LLM-judge metrics and the recipients' 👍/👎 user_rating alike
  * 
+ * @param {string} pairId - Pair to filter by
  * @param {string} style - Style to filter by
  * @param {string} language - Language to filter by
  * @param {number} limit - Max number of traces to fetch
  * @returns {Promise<Object|null>} - Average scores object or null
  */
-async function fetchAndAverageScores(style, language, limit = 10) {
+async function fetchAndAverageScores(pairId, style, language, limit = 10) {
   if (!getOpikClient()) {
     console.log('[ScoreEval] Opik client not available');
     return null;
   }
 
   try {
-    const traces = await searchOpikTraces(limit);
-    console.log(`[ScoreEval] Fetched ${traces.length} traces`);
-
-    // Filter locally by message_type, style AND output language
-    const matchingTraces = traces.filter(trace => {
-      const meta = trace.metadata || {};
-      const out = trace.output || {};
-      return meta.message_type === 'stylize' && meta.style === style && out.language === language;
-    });
-
-    console.log(`[ScoreEval] Filtered: ${matchingTraces.length} matching ${style}/${language}`);
-
+    const matchingTraces = await fetchMatchingTraces(pairId, style, language, limit);
     if (matchingTraces.length === 0) {
       return null;
     }
 
-    // Calculate averages for all metrics
-    const metrics = {};
-
-    for (const trace of matchingTraces) {
-      const scores = trace.feedbackScores || trace.feedbackScore || trace.feedback_scores;
-      if (scores) {
-        // feedbackScores is an array of {name, value} objects
-        if (Array.isArray(scores)) {
-          for (const score of scores) {
-            if (typeof score.value === 'number' && score.name && !score.name.includes('_reason')) {
-              if (!metrics[score.name]) {
-                metrics[score.name] = { total: 0, count: 0 };
-              }
-              metrics[score.name].total += score.value;
-              metrics[score.name].count++;
-            }
-          }
-        } else if (typeof scores === 'object') {
-          // Object format (legacy)
-          for (const [metric, value] of Object.entries(scores)) {
-            if (typeof value === 'number' && !metric.includes('_reason')) {
-              if (!metrics[metric]) {
-                metrics[metric] = { total: 0, count: 0 };
-              }
-              metrics[metric].total += value;
-              metrics[metric].count++;
-            }
-          }
-        }
-      }
-    }
-
-    const averages = {};
-    for (const [metric, data] of Object.entries(metrics)) {
-      averages[metric] = data.total / data.count;
-    }
-
+    const { averages } = averageScores(matchingTraces);
     console.log(`[ScoreEval] ${matchingTraces.length} traces, averages:`, averages);
     return averages;
 
@@ -103,6 +135,111 @@ async function fetchAndAverageScores(style, language, limit = 10) {
   }
 }
 
+// ============================================================================
+// CANDIDATE PROMPTS (A/B)
+// ============================================================================
+
+function meanOf(averages) {
+  const values = Object.values(averages);
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Decide whether the candidate beat the champion
+ * The 0/1 user_rating is compared on its own, not averaged in with the LLM-judge metrics,
+ * which have a scale of their own: a lower rating keeps the champion, otherwise the judge metrics decide.
+ *
+ * @param {Object} candidate - Candidate averages per metric
+ * @param {Object} champion - Champion averages per metric
+ * @returns {boolean}
+ */
+function isCandidateBetter(candidate, champion) {
+  const { [RATING_METRIC]: candidateRating, ...candidateJudge } = candidate;
+  const { [RATING_METRIC]: championRating, ...championJudge } = champion;
+  const bothRated = candidateRating !== undefined && championRating !== undefined;
+
+  if (bothRated && candidateRating < championRating) return false;
+  if (Object.keys(candidateJudge).length > 0 && Object.keys(championJudge).length > 0) {
+    return meanOf(candidateJudge) > meanOf(championJudge);
+  }
+  return bothRated && candidateRating > championRating;
+}
+
+/**
+ * Compare a candidate prompt with the champion on traces served since the candidate was created
+ * Traces are matched on the variant and the ID of the prompt that served them (prompt_version).
+ * 
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Style
+ * @param {string} language - Language
+ * @param {Object} promptConfig - Prompt config with the candidate and the live version
+ * @param {number} minSamples - Scored traces each variant needs before deciding
+ * @returns {Promise<Object|null>} - { promote, candidate, champion } averages, or null if undecided
+ */
+async function compareCandidate(pairId, style, language, promptConfig, minSamples) {
+  if (!getOpikClient()) return null;
+
+  try {
+    const { candidate } = promptConfig;
+    const since = new Date(candidate.createdAt);
+    const championVersion = promptConfig.prompt ? promptConfig.activeVersion : null;
+
+    // Each variant is fetched on its own, so a busy champion doesn't push the candidate's traces out
+    const candidateTraces = await fetchMatchingTraces(pairId, style, language, CANDIDATE_TRACE_LIMIT,
+      { prompt_variant: 'candidate', prompt_version: candidate.id });
+    const championTraces = (await fetchMatchingTraces(pairId, style, language, CANDIDATE_TRACE_LIMIT, { prompt_variant: 'champion' }))
+      .filter(trace => (trace.metadata.prompt_version ?? null) === (championVersion ?? null));
+    const isRecent = trace => new Date(trace.startTime) >= since;
+
+    const candidateScores = averageScores(candidateTraces.filter(isRecent));
+    const championScores = averageScores(championTraces.filter(isRecent));
+
+    console.log(`[ABTest] ${pairId} ${style}/${language}: candidate ${candidateScores.scoredCount}, champion ${championScores.scoredCount} scored traces`);
+
+    if (candidateScores.scoredCount < minSamples || championScores.scoredCount < minSamples) {
+      return null;
+    }
+
+    return {
+      promote: isCandidateBetter(candidateScores.averages, championScores.averages),
+      candidate: candidateScores.averages,
+      champion: championScores.averages,
+    };
+  } catch (error) {
+    console.error('[ABTest] Error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Promote or discard the running candidate once it has enough samples or got too old
+ * 
+ * @returns {Promise<boolean>} - True if the candidate was promoted or discarded
+ */
+async function settleCandidate(pairId, style, language, promptConfig, minSamples) {
+  const { candidate } = promptConfig;
+  const result = await compareCandidate(pairId, style, language, promptConfig, minSamples);
+
+  let settled;
+  if (!result) {
+    const ageDays = (Date.now() - new Date(candidate.createdAt).getTime()) / (1000 * 60 * 60 * 24);
+    if (ageDays <= CANDIDATE_MAX_AGE_DAYS) return false;
+
+    settled = await discardPromptCandidate(pairId, style, language, candidate.id);
+    if (settled) console.log(`[ABTest] Candidate for ${pairId} ${style}/${language} expired without enough samples, discarded`);
+  } else if (result.promote) {
+    settled = await promotePromptCandidate(pairId, style, language, candidate.id, result.candidate);
+    if (settled) console.log(`[ABTest] Candidate for ${pairId} ${style}/${language} promoted:`, result.candidate);
+  } else {
+    settled = await discardPromptCandidate(pairId, style, language, candidate.id);
+    if (settled) console.log(`[ABTest] Candidate for ${pairId} ${style}/${language} discarded, champion kept:`, result.champion);
+  }
+
+  // Another candidate replaced the tested one meanwhile; it gets its own test
+  if (!settled) console.log(`[ABTest] Candidate for ${pairId} ${style}/${language} was replaced meanwhile, left as is`);
+  return !!settled;
+}
+
 // ============================================================================
 // PUBLIC FUNCTIONS
 // ============================================================================
@@ -110,23 +247,42 @@ async function fetchAndAverageScores(style, language, limit = 10) {
 /**
  * Check if it's time to evaluate AND run evaluation if needed
  * Called after every stylizeMessage
- * Improves ALL metrics below threshold, not just the worst one
+ * Improves ALL metrics below threshold, not just the worst one.
+ * With A/B testing on, the improved prompt becomes a candidate served to a share
+ * of messages; it replaces the champion only if it scores better.
  * 
- * @param {string} style - Current style being used
+ * @param {string} pairId - Pair the message belongs to
+ * @param {string} style - Style key of the sender's style (see getPromptStyleKey)
  * @param {string} language - Current language being used
+ * @param {string} customStyle - Sender's custom style description, for custom styles
  */
-export async function shouldEvaluateAndImprove(style, language) {
-  messageCount++;
+export async function shouldEvaluateAndImprove(pairId, style, language, customStyle = '') {
+  const messageCount = (messageCounts.get(pairId) || 0) + 1;
+  messageCounts.set(pairId, messageCount);
   const isTime = messageCount % SCORE_CHECK_INTERVAL === 0;
-  console.log(`[ScoreEval] Message ${messageCount}${isTime ? ' - EVALUATING' : ''}`);
+  console.log(`[ScoreEval] Pair ${pairId} message ${messageCount}${isTime ? ' - EVALUATING' : ''}`);
 
   if (!isTime) return;
+
+  const config = await getPromptConfig(pairId, style, language);
+  if (config.locked) {
+    console.log(`[ScoreEval] Prompt pinned for ${pairId} ${style}/${language}, not improving`);
+    return;
+  }
+
+  // One candidate at a time: settle the running test before proposing another
+  const { abTest } = await readConfig();
+  if (config.candidate) {
+    await settleCandidate(pairId, style, language, config, abTest.minSamples);
+    return;
+  }
+
   if (!canImprove()) {
     console.log('[ScoreEval] Limit reached');
     return;
   }
 
-  const averages = await fetchAndAverageScores(style, language);
+  const averages = await fetchAndAverageScores(pairId, style, language);
   if (!averages) return;
 
   // Find ALL metrics below threshold
@@ -145,8 +301,8 @@ export async function shouldEvaluateAndImprove(style, language) {
   console.log(`[ScoreEval] Low metrics:`, lowMetrics.map(m => `${m.metric}=${m.score.toFixed(2)}`));
 
   // Get current prompt
-  const config = await getPromptConfig(style, language);
-  let currentPrompt = config.prompt || generateBasePrompt(style, '', language);
+  const basePrompt = config.prompt || generateBasePrompt(style, customStyle, language);
+  let currentPrompt = basePrompt;
 
   // Generate and apply improvement for EACH low-scoring metric using consolidated function
   for (const { metric, score } of lowMetrics) {
@@ -169,15 +325,30 @@ export async function shouldEvaluateAndImprove(style, language) {
     console.log(`[ScoreEval] Improved ${metric}: ${score.toFixed(2)}`);
   }
 
-  // Save updated prompt with all improvements
-  await updatePromptConfig(style, language, {
+  // Save updated prompt with all improvements as one new version
+  if (currentPrompt === basePrompt) return;
+
+  const version = {
     prompt: currentPrompt,
+    source: 'evaluation',
+    note: lowMetrics.map(m => `${m.metric}=${m.score.toFixed(2)}`).join(', '),
+    scores: averages,
+    basePrompt,
+  };
+  const changes = {
     lastImprovement: new Date().toISOString(),
     improvementCount: (config.improvementCount || 0) + lowMetrics.length,
     lastEvaluationScores: averages,
-  });
+  };
+
+  if (abTest.candidateShare > 0) {
+    await setPromptCandidate(pairId, style, language, version, changes);
+    console.log(`[ABTest] Candidate with ${lowMetrics.length} improvements for ${pairId} ${style}/${language}, serving ${Math.round(abTest.candidateShare * 100)}%`);
+    return;
+  }
 
-  console.log(`[ScoreEval] Saved ${lowMetrics.length} improvements for ${style}/${language}`);
+  await savePromptVersion(pairId, style, language, version, changes);
+  console.log(`[ScoreEval] Saved ${lowMetrics.length} improvements for ${pairId} ${style}/${language}`);
 }
 
 /**
@@ -0,0 +1,87 @@
+/**
+ * Opik Storage Adapter
+ *
+ * Key-value store backed by Opik traces: each key is one trace whose
+ * input holds the value. Kept for deployments that already store their
+ * state in Opik; prefer the file backend when a writable disk is available.
+ *
+ * Implements the storage interface used by storage.js:
+ * get(key), set(key, value), delete(key), clear()
+ *
+ * @module opik-store
+ */
+
+import { getOpikClient, searchOpikTraces, deleteTraces, deleteAllTraces } from './opik.js';
+
+// Trace names used before the storage interface existed, kept so old data is still found
+const LEGACY_TRACE_NAMES = {
+  config: 'bot_settings',
+  'prompts:default': 'prompt_configs',
+};
+
+function getTraceName(key) {
+  return LEGACY_TRACE_NAMES[key] || `kv_${key}`;
+}
+
+async function findTrace(key) {
+  const traces = await searchOpikTraces(1, `name="${getTraceName(key)}"`);
+  return traces[0] || null;
+}
+
+/**
+ * Create a key-value store on top of Opik traces
+ *
+ * @returns {Object} - Store implementing get/set/delete/clear
+ */
+export function createOpikStore() {
+  return {
+    name: 'opik',
+
+    async get(key) {
+      const trace = await findTrace(key);
+      return trace?.input ?? null;
+    },
+
+    async set(key, value) {
+      const opikClient = getOpikClient();
+      if (!opikClient) {
+        console.warn('Opik not initialized, value not persisted');
+        return;
+      }
+
+      const name = getTraceName(key);
+      const existing = await findTrace(key);
+
+      if (existing?.id) {
+        // Update existing trace by ID
+        const existingTrace = opikClient.trace({ id: existing.id });
+        await existingTrace.update({
+          name,
+          input: value,
+          output: { stored: true, updated: true },
+          metadata: { action: 'storage_set', updated_at: new Date().toISOString() },
+        });
+      } else {
+        opikClient.trace({
+          name,
+          input: value,
+          output: { stored: true },
+          metadata: { action: 'storage_set', created_at: new Date().toISOString() },
+        });
+      }
+
+      await opikClient.flush();
+    },
+
+    async delete(key) {
+      const existing = await findTrace(key);
+      if (existing?.id) {
+        await deleteTraces([existing.id]);
+      }
+    },
+
+    async clear() {
+      await deleteAllTraces();
+    },
+  };
+}
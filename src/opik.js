@@ -1,11 +1,11 @@
 /**
  * Opik Integration Module
  * 
- * Provides tracing, observability, and storage for LLM operations.
+ * Provides tracing and observability for LLM operations.
+ * Bot state lives in storage.js; opik-store.js adapts Opik traces as one storage backend.
  */
 
 import dotenv from 'dotenv';
-import { Opik } from 'opik';
 
 dotenv.config();
 
@@ -37,6 +37,8 @@ export async function initializeOpik() {
 
     console.log('Initializing Opik:', { projectName: OPIK_CONFIG.projectName });
 
+    // Loaded lazily so the bot runs without the SDK when tracing is off
+    const { Opik } = await import('opik');
     opikClient = new Opik(OPIK_CONFIG);
     
     isInitialized = true;
@@ -52,6 +54,15 @@ export function getOpikClient() {
   return opikClient;
 }
 
+/**
+ * Replace the Opik client (tests, custom clients)
+ * @param {Object|null} client - Object with the Opik client methods used here, or null to disable tracing
+ */
+export function setOpikClient(client) {
+  opikClient = client;
+  isInitialized = !!client;
+}
+
 // ============================================================================
 // TRACE CREATION (SDK)
 // ============================================================================
@@ -77,200 +88,26 @@ export function createSimpleTrace(name, input, output, metadata = {}) {
   }
 }
 
-export function logFeedback(trace, feedback) {
-  if (!trace || !isInitialized) return;
-
-  try {
-    trace.feedback({ ...feedback, timestamp: new Date().toISOString() });
-  } catch (error) {
-    console.error('Failed to log feedback:', error.message);
-  }
-}
-
-export function getTraceId(trace) {
-  return trace?.id || null;
-}
-
-// ============================================================================
-// CONFIG MANAGEMENT
-// ============================================================================
-
-const SETTINGS_TRACE_NAME = 'bot_settings';
-
-export const DEFAULT_CONFIG = {
-  language: 'en',
-  userA: { telegramId: null, username: null, language: 'auto', customLanguage: '' },
-  userB: { telegramId: null, username: null, language: 'auto', customLanguage: '' },
-  style: 'friendly',
-  customStyle: '',
-  stylizationEnabled: true,
-  icebreakerPeriodDays: 7
-};
-
-export async function readConfig() {
-  // Always fetch fresh data from Opik
-  if (opikClient) {
-    try {
-      const traces = await searchOpikTraces(1, `name="${SETTINGS_TRACE_NAME}"`);
-      
-      if (traces.length > 0 && traces[0]?.input) {
-        return { ...DEFAULT_CONFIG, ...traces[0].input };
-      }
-    } catch (error) {
-      console.error('Failed to read config:', error.message);
-    }
-  }
-  
-  return { ...DEFAULT_CONFIG };
-}
-
-export async function writeConfig(config) {
-  if (!isInitialized || !opikClient) {
-    console.warn('Opik not initialized, config not persisted');
-    return;
-  }
-
-  try {
-    const traces = await searchOpikTraces(1, `name="${SETTINGS_TRACE_NAME}"`);
-    
-    if (traces.length > 0 && traces[0]?.id) {
-      // Update existing trace by ID
-      const existingTrace = opikClient.trace({ id: traces[0].id });
-      await existingTrace.update({
-        name: SETTINGS_TRACE_NAME,
-        input: config,
-        output: { stored: true, updated: true },
-        metadata: { 
-          action: 'config_save',
-          updated_at: new Date().toISOString()
-        }
-      });
-    } else {
-      // Create new trace
-      opikClient.trace({
-        name: SETTINGS_TRACE_NAME,
-        input: config,
-        output: { stored: true },
-        metadata: { 
-          action: 'config_save',
-          created_at: new Date().toISOString()
-        },
-      });
-    }
-    
-    await opikClient.flush();
-  } catch (error) {
-    console.error('Failed to write config:', error.message);
-  }
-}
-
-// ============================================================================
-// PROMPT MANAGEMENT
-// ============================================================================
-
-const PROMPTS_TRACE_NAME = 'prompt_configs';
-
-export function getDefaultPromptConfig() {
-  return {
-    prompt: null,
-    locked: false,
-    lockReason: null,
-    lockDate: null,
-    lastImprovement: null,
-    comments: [],
-    improvementCount: 0,
-  };
-}
-
 /**
- * Get prompt configs - filter locally by style and language
- * @param {string} style - Style to filter (optional)
- * @param {string} language - Language to filter (optional)
- * @returns {Object|Object} - All configs, or single config if style+language provided
+ * Write a numeric feedback score on an existing trace
+ * Scores come back in the trace's feedbackScores, next to the LLM-judge metrics.
+ * @param {string} traceId - Trace ID
+ * @param {{name: string, value: number, reason?: string}} feedback - Score
+ * @returns {Promise<void>} - Resolves once the score was flushed, so serverless work can wait for it
  */
-export async function getPromptConfig(style, language) {
-  if (!opikClient) return style && language ? getDefaultPromptConfig() : {};
-
-  try {
-    const traces = await searchOpikTraces(1, `name="${PROMPTS_TRACE_NAME}"`);
-    const all = traces[0]?.input?.prompts || {};
-    
-    if (style && language) {
-      return all[style]?.[language] || getDefaultPromptConfig();
-    }
-    return all;
-  } catch (error) {
-    console.error('Failed to get prompt config:', error.message);
-  }
-  return style && language ? getDefaultPromptConfig() : {};
-}
-
-export async function updatePromptConfig(style, language, config) {
-  if (!isInitialized || !opikClient) {
-    return { ...getDefaultPromptConfig(), ...config };
-  }
+export async function logFeedback(traceId, feedback) {
+  if (!traceId || !isInitialized) return;
 
   try {
-    let promptsData = { prompts: {} };
-    
-    const traces = await searchOpikTraces(1, `name="${PROMPTS_TRACE_NAME}"`);
-    
-    if (traces.length > 0 && traces[0]?.input) {
-      promptsData = traces[0].input;
-    }
-    
-    // Update the specific prompt
-    if (!promptsData.prompts[style]) promptsData.prompts[style] = {};
-    promptsData.prompts[style][language] = {
-      ...getDefaultPromptConfig(),
-      ...promptsData.prompts[style][language],
-      ...config
-    };
-
-    if (traces.length > 0 && traces[0]?.id) {
-      // Update existing trace
-      const existingTrace = opikClient.trace({ id: traces[0].id });
-      await existingTrace.update({
-        name: PROMPTS_TRACE_NAME,
-        input: promptsData,
-        output: { stored: true },
-        metadata: { 
-          action: 'prompt_update',
-          updated_at: new Date().toISOString() 
-        }
-      });
-    } else {
-      // Create new trace
-      opikClient.trace({
-        name: PROMPTS_TRACE_NAME,
-        input: promptsData,
-        output: { stored: true },
-        metadata: { 
-          action: 'prompt_update',
-          created_at: new Date().toISOString() 
-        },
-      });
-    }
-    
+    opikClient.logTracesFeedbackScores([{ id: traceId, ...feedback }]);
     await opikClient.flush();
-    return promptsData.prompts[style][language];
   } catch (error) {
-    console.error('Failed to update prompt:', error.message);
-    return { ...getDefaultPromptConfig(), ...config };
+    console.error('Failed to log feedback:', error.message);
   }
 }
 
-export async function getAllPromptConfigs() {
-  if (!opikClient) return {};
-
-  try {
-    const traces = await searchOpikTraces(1, `name="${PROMPTS_TRACE_NAME}"`);
-    
-    return traces[0]?.input?.prompts || {};
-  } catch (error) {
-    console.error('Failed to get all prompts:', error.message);
-  }
-  return {};
+export function getTraceId(trace) {
+  return trace?.id || null;
 }
 
 // ============================================================================
@@ -299,75 +136,26 @@ async function searchOpikTraces(limit, filterString = '') {
 
 export { searchOpikTraces };
 
-export async function fetchRecentMessagesFromOpik(limit = 20) {
-  // Use filter to get only stylize_message traces directly
-  const traces = await searchOpikTraces(limit, 'name="stylize_message"');
-  
-  return traces
-    .map(t => ({
-      senderRole: t.input?.user_role || 'A',
-      username: t.input?.username || '',
-      stylizedText: t.output?.result || '',
-      timestamp: t.startTime,
-      traceId: t.id,
-    }))
-    .filter(m => m.stylizedText)
-}
-
-// ============================================================================
-// ICEBREAKER TRACKING
-// ============================================================================
-
-/**
- * Get last activity timestamp from stylize_message or generate_icebreaker traces
- */
-export async function getLastActivityTimestamp() {
-  try {
-    // Query recent traces and filter client-side (Opik doesn't support OR)
-    const traces = await searchOpikTraces(20);
-    
-    // Find first trace that is stylize or icebreaker
-    const activityTrace = traces.find(t => 
-      t.name === 'stylize_message' || t.name === 'generate_icebreaker'
-    );
-    
-    if (activityTrace?.startTime) {
-      return new Date(activityTrace.startTime).getTime();
-    }
-  } catch (error) {
-    console.error('Failed to get last activity:', error.message);
-  }
-  return null;
-}
-
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
 /**
- * Delete all traces for this project (except settings traces)
+ * Delete traces by ID via REST API
+ * @param {string[]} traceIds - Trace IDs to delete
+ * @returns {Promise<Object>} - { deleted, error? }
  */
-export async function deleteAllTraces() {
+export async function deleteTraces(traceIds) {
   if (!opikClient || !OPIK_CONFIG.apiKey) {
     console.warn('Opik not configured, cannot delete traces');
     return { deleted: 0 };
   }
 
-  try {
-    const traces = await searchOpikTraces(1000);
-
-    if (traces.length === 0) {
-      return { deleted: 0 };
-    }
-
-    // Get trace IDs to delete (all traces for complete reset)
-    const traceIds = traces.map(t => t.id);
-
-    if (traceIds.length === 0) {
-      return { deleted: 0 };
-    }
+  if (traceIds.length === 0) {
+    return { deleted: 0 };
+  }
 
-    // Delete traces via REST API
+  try {
     const apiBase = 'https://www.comet.com/opik/api';
     const workspace = OPIK_CONFIG.workspaceName || 'default';
     const response = await fetch(`${apiBase}/v1/private/traces/delete`, {
@@ -393,3 +181,18 @@ export async function deleteAllTraces() {
     return { deleted: 0, error: error.message };
   }
 }
+
+/**
+ * Delete all traces for this project
+ */
+export async function deleteAllTraces() {
+  if (!opikClient || !OPIK_CONFIG.apiKey) {
+    console.warn('Opik not configured, cannot delete traces');
+    return { deleted: 0 };
+  }
+
+  const traces = await searchOpikTraces(1000);
+
+  // Get trace IDs to delete (all traces for complete reset)
+  return deleteTraces(traces.map(t => t.id));
+}
@@ -5,6 +5,7 @@
  * - Base prompt template
  * - Style descriptions
  * - Language names
+ * - Icebreaker modes and topics
  * - Prompt generation utilities
  */
 
@@ -19,6 +20,26 @@ export const STYLE_PRESETS = {
   poetic: 'expressive, metaphorical, and artistic'
 };
 
+// Icebreaker modes: an opener per user in their own style, or one shared question or game translated for both
+export const ICEBREAKER_MODES = {
+  individual: 'a natural conversation starter that continues the conversation',
+  shared: 'one open question that both people answer, so they can compare their answers',
+  would_you_rather: 'a playful "Would you rather ...?" question with two fun options to choose from',
+  two_truths: 'an invitation to play "two truths and a lie": each person shares three statements about themselves, one of them false, and the other guesses the lie',
+};
+
+// Icebreaker topic categories; pairs weight them in the config (all 0: topic follows the conversation)
+export const ICEBREAKER_TOPICS = {
+  travel: 'travel, places and trips',
+  food: 'food, cooking and favourite dishes',
+  memories: 'memories, from childhood or shared ones',
+  plans: 'plans, dreams and things to look forward to',
+  hobbies: 'hobbies, books, music and films',
+};
+
+// Longer messages are cut in the conversation context to keep prompts small
+const CONTEXT_MESSAGE_MAX_CHARS = 300;
+
 // Language names mapping for better instructions
 export const LANGUAGE_NAMES = {
   en: 'English',
@@ -50,12 +71,23 @@ export const LANGUAGE_NAMES = {
  * @returns {string} - Style description
  */
 export function getStyleDescription(style, customStyle = '') {
-  if (style === 'custom' && customStyle) {
+  if (style?.startsWith('custom') && customStyle) {
     return customStyle;
   }
   return STYLE_PRESETS[style] || 'natural and clear';
 }
 
+/**
+ * Get the style key prompt configs and traces use for a sender's style
+ * Custom descriptions belong to one user, so each sender gets their own custom prompts
+ * @param {string} style - Sender's style
+ * @param {string} senderRole - 'A' or 'B'
+ * @returns {string} - Style key (e.g. 'friendly' or 'custom-A')
+ */
+export function getPromptStyleKey(style, senderRole) {
+  return style === 'custom' && senderRole ? `custom-${senderRole}` : style;
+}
+
 /**
  * Get language name for a given language code
  * @param {string} language - Language code
@@ -104,6 +136,53 @@ Original message: {message}
 Rewritten message:`;
 }
 
+/**
+ * Format recent messages as the conversation the recipient saw: the sender's
+ * messages as delivered (stylized), the recipient's own as they wrote them
+ * @param {Array} messages - Recent messages, oldest first (from fetchRecentMessages)
+ * @param {string} senderRole - Role of the user whose message is rewritten
+ * @returns {string} - Context block, or '' when there are no messages
+ */
+export function formatConversationContext(messages, senderRole) {
+  if (!messages || messages.length === 0) return '';
+
+  const lines = messages.map(m => {
+    const fromSender = m.senderRole === senderRole;
+    const text = (fromSender ? m.stylizedText : m.originalText) || '';
+    const clipped = text.length > CONTEXT_MESSAGE_MAX_CHARS ? `${text.slice(0, CONTEXT_MESSAGE_MAX_CHARS)}…` : text;
+    return `${fromSender ? 'Sender' : 'Recipient'}: ${clipped.replace(/\s+/g, ' ')}`;
+  });
+
+  return `RECENT CONVERSATION (oldest first, for context only - do NOT rewrite or answer it):
+${lines.join('\n')}
+
+Use it to keep references ("that one", "same to you"), pronouns and tone consistent. The Sender wrote the original message below.`;
+}
+
+/**
+ * Fill in the message and insert a conversation context block before the line that held {message}
+ * The message goes in first, so a {message} quoted in the context is left alone, and through a
+ * replacer function, so $& or $1 in the user's text stay as typed.
+ * Works with the base prompt and with stored improved prompts alike.
+ * @param {string} promptTemplate - Prompt template with a {message} placeholder
+ * @param {string} message - Message to rewrite
+ * @param {string} context - Context block from formatConversationContext, or ''
+ * @returns {string} - Prompt for the LLM
+ */
+export function fillPromptTemplate(promptTemplate, message, context = '') {
+  const lines = promptTemplate.split('\n');
+  const index = lines.findIndex(line => line.includes('{message}'));
+  if (index !== -1) {
+    lines[index] = lines[index].replace('{message}', () => message);
+  }
+
+  if (!context) return lines.join('\n');
+  if (index === -1) return `${context}\n\n${promptTemplate}`;
+
+  lines.splice(index, 0, context, '');
+  return lines.join('\n');
+}
+
 /**
  * Get list of available preset styles
  * @returns {string[]} - Array of style keys
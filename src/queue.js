@@ -0,0 +1,117 @@
+/**
+ * Per-Chat Message Ordering
+ *
+ * Messages of one chat are handled concurrently (stylization takes a while),
+ * but their side effects must happen in send order. Each incoming message
+ * enters its chat's queue under its Telegram message_id, which grows with
+ * every message of a chat; before delivering, a message waits for the turn
+ * of every earlier message still in the queue.
+ *
+ * The queue is kept in storage, so it also orders messages that different
+ * instances handle (on Vercel, updates that arrive while an instance is busy
+ * go to another one). Messages of this process signal when they leave; those
+ * of other instances are noticed by checking the stored queue every POLL_MS.
+ *
+ * A message whose handler hangs or died is waited for at most MAX_WAIT_MS.
+ *
+ * @module queue
+ */
+
+import { enterChatQueue, leaveChatQueue, getChatQueue } from './storage.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/** @type {number} Longest a message waits for earlier ones before going out anyway */
+const MAX_WAIT_MS = 60000;
+
+/** @type {number} How often the stored queue is checked while waiting for another instance */
+const POLL_MS = 250;
+
+// Chat ID -> Map(message_id -> Promise resolved when that message left the queue), for messages of this process
+const chats = new Map();
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function readStoredQueue(chatId) {
+  try {
+    const cutoff = Date.now() - MAX_WAIT_MS;
+    return (await getChatQueue(chatId)).filter(entry => new Date(entry.enteredAt).getTime() > cutoff);
+  } catch (error) {
+    console.error(`[Queue] Chat ${chatId}: failed to read the stored queue:`, error.message);
+    return [];
+  }
+}
+
+async function waitFor(chatId, isEarlier) {
+  const deadline = Date.now() + MAX_WAIT_MS;
+
+  for (;;) {
+    const local = [...(chats.get(chatId) || [])].filter(([messageId]) => isEarlier(messageId)).map(([, done]) => done);
+    const stored = (await readStoredQueue(chatId)).filter(entry => isEarlier(entry.id));
+    if (local.length === 0 && stored.length === 0) return;
+
+    if (Date.now() >= deadline) {
+      console.warn(`[Queue] Chat ${chatId}: gave up waiting for ${Math.max(local.length, stored.length)} earlier message(s) after ${MAX_WAIT_MS}ms`);
+      return;
+    }
+    await Promise.race([pause(POLL_MS), ...local]);
+  }
+}
+
+/**
+ * Add a message to its chat's queue
+ * Call before the first await of the handler so messages keep their arrival order,
+ * and always call leave() when done, also on errors.
+ *
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Telegram message_id
+ * @returns {{waitTurn: Function, leave: Function}} - waitTurn() resolves once all earlier messages left the queue
+ */
+export function enterQueue(chatId, messageId) {
+  if (!chats.has(chatId)) {
+    chats.set(chatId, new Map());
+  }
+  const chat = chats.get(chatId);
+
+  let resolve;
+  chat.set(messageId, new Promise(r => { resolve = r; }));
+
+  const entered = enterChatQueue(chatId, messageId, MAX_WAIT_MS).catch(error => {
+    console.error(`[Queue] Chat ${chatId}: failed to store message ${messageId} in the queue:`, error.message);
+  });
+
+  return {
+    waitTurn: async () => {
+      await entered;
+      await waitFor(chatId, id => id < messageId);
+    },
+    leave: async () => {
+      await entered;
+      await leaveChatQueue(chatId, messageId).catch(error => {
+        console.error(`[Queue] Chat ${chatId}: failed to remove message ${messageId} from the queue:`, error.message);
+      });
+      resolve();
+      chat.delete(messageId);
+      if (chat.size === 0 && chats.get(chatId) === chat) {
+        chats.delete(chatId);
+      }
+    },
+  };
+}
+
+/**
+ * Wait until a message and all earlier ones of its chat left the queue,
+ * e.g. before applying an edit to a message that may still be in flight
+ *
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Telegram message_id
+ */
+export function waitForMessage(chatId, messageId) {
+  return waitFor(chatId, id => id <= messageId);
+}
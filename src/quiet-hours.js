@@ -0,0 +1,214 @@
+/**
+ * Quiet Hours
+ *
+ * Each user has a time zone and an optional quiet-hours window ('22:00'-'08:00'
+ * wraps past midnight). Messages the bot starts on its own (icebreakers, partner
+ * notices) are not sent during the window: they wait in the pair's outbox and go
+ * out with the next delivery run after it ends (cron, local scheduler). A message
+ * whose send fails stays in the outbox for the next run, up to MAX_SEND_ATTEMPTS.
+ * Relayed messages are never held back; they can be delivered silently instead.
+ *
+ * @module quiet-hours
+ */
+
+import { readConfig, listPairs, addToOutbox, takeDueOutbox, returnToOutbox } from './storage.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/** @type {number} Delivery runs that try a held-back message before it is dropped */
+const MAX_SEND_ATTEMPTS = 3;
+
+// Local outbox scheduler
+let localOutboxInterval = null;
+
+// ============================================================================
+// TIME WINDOWS
+// ============================================================================
+
+/**
+ * Check if a string is a time zone the runtime knows (IANA name, e.g. 'Europe/Berlin')
+ *
+ * @param {string} timezone - Time zone name
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check if a string is a time of day in 'HH:MM' (24h) format
+ *
+ * @param {string} time - Time of day
+ * @returns {boolean}
+ */
+export function isValidTime(time) {
+  return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Minutes since local midnight in the user's time zone (UTC if it is unknown)
+function getLocalMinutes(timezone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+/**
+ * Check if a user has a quiet-hours window set
+ *
+ * @param {Object} user - Pair user
+ * @returns {boolean}
+ */
+export function hasQuietHours(user) {
+  return isValidTime(user.quietStart) && isValidTime(user.quietEnd) && user.quietStart !== user.quietEnd;
+}
+
+/**
+ * Check if it is quiet hours for a user
+ *
+ * @param {Object} user - Pair user
+ * @param {Date} date - Moment to check (default: now)
+ * @returns {boolean}
+ */
+export function isQuietTime(user, date = new Date()) {
+  if (!hasQuietHours(user)) return false;
+
+  const now = getLocalMinutes(user.timezone, date);
+  const start = toMinutes(user.quietStart);
+  const end = toMinutes(user.quietEnd);
+
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Get the first moment a user may be messaged again
+ *
+ * @param {Object} user - Pair user
+ * @param {Date} date - Moment to start from (default: now)
+ * @returns {Date} - date itself outside quiet hours, otherwise the end of the window
+ */
+export function getNextAllowedTime(user, date = new Date()) {
+  if (!isQuietTime(user, date)) return date;
+
+  const now = getLocalMinutes(user.timezone, date);
+  const waitMinutes = (toMinutes(user.quietEnd) - now + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const next = new Date(date.getTime() + waitMinutes * 60 * 1000);
+  next.setUTCSeconds(0, 0);
+  return next;
+}
+
+// ============================================================================
+// OUTBOX
+// ============================================================================
+
+function getPairUser(pair, role) {
+  return role === 'A' ? pair.userA : pair.userB;
+}
+
+/**
+ * Send a bot-initiated message, or hold it back until the recipient's quiet hours end
+ *
+ * @param {Object} bot - TelegramBot instance
+ * @param {Object} pair - The recipient's pair
+ * @param {string} role - Recipient: 'A' or 'B'
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>} - True if sent now, false if deferred
+ */
+export async function sendOrDefer(bot, pair, role, text) {
+  const user = getPairUser(pair, role);
+  const notBefore = getNextAllowedTime(user);
+
+  if (notBefore.getTime() > Date.now()) {
+    await addToOutbox(pair.id, { role, text, notBefore: notBefore.toISOString() });
+    console.log(`[QuietHours] Message to User ${role} of pair ${pair.id} deferred until ${notBefore.toISOString()}`);
+    return false;
+  }
+
+  await bot.sendMessage(user.telegramId, text);
+  return true;
+}
+
+/**
+ * Send the held-back messages of every pair whose time has come
+ *
+ * @param {Object} bot - TelegramBot instance
+ * @returns {Promise<number>} - Number of messages sent
+ */
+export async function deliverDeferredMessages(bot) {
+  let delivered = 0;
+
+  try {
+    const config = await readConfig();
+
+    for (const pair of listPairs(config)) {
+      const due = await takeDueOutbox(pair.id);
+      const unsent = [];
+
+      for (const entry of due) {
+        const telegramId = getPairUser(pair, entry.role).telegramId;
+        if (!telegramId) continue;
+
+        // Later messages to a user wait behind one that failed, so they keep their order
+        if (unsent.some(other => other.role === entry.role)) {
+          unsent.push(entry);
+          continue;
+        }
+
+        try {
+          await bot.sendMessage(telegramId, entry.text);
+          delivered++;
+        } catch (error) {
+          const attempts = (entry.attempts || 0) + 1;
+          if (attempts < MAX_SEND_ATTEMPTS) {
+            unsent.push({ ...entry, attempts });
+            console.error(`[QuietHours] Error delivering deferred message to User ${entry.role} of pair ${pair.id}, kept for the next run:`, error.message);
+          } else {
+            console.error(`[QuietHours] Deferred message to User ${entry.role} of pair ${pair.id} failed after ${attempts} attempts, dropped:`, error.message);
+          }
+        }
+      }
+
+      await returnToOutbox(pair.id, unsent);
+    }
+  } catch (error) {
+    console.error('[QuietHours] Error delivering deferred messages:', error.message);
+  }
+
+  if (delivered > 0) {
+    console.log(`[QuietHours] Delivered ${delivered} deferred message(s)`);
+  }
+  return delivered;
+}
+
+/**
+ * Start delivering deferred messages periodically (for local development)
+ *
+ * @param {Object} bot - TelegramBot instance
+ * @param {number} checkIntervalMs - How often to check (default: 15 minutes)
+ */
+export function startLocalOutbox(bot, checkIntervalMs = 900000) {
+  if (localOutboxInterval) {
+    console.log('[QuietHours] Outbox scheduler already running');
+    return;
+  }
+
+  console.log(`[QuietHours] Starting outbox scheduler (every ${checkIntervalMs / 60000} minutes)`);
+  localOutboxInterval = setInterval(() => {
+    deliverDeferredMessages(bot);
+  }, checkIntervalMs);
+}
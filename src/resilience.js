@@ -0,0 +1,211 @@
+/**
+ * Resilience Layer
+ *
+ * Shared retry and circuit breaker logic for calls to external APIs
+ * (LLM providers, Telegram):
+ * - transient failures (rate limits, 5xx, network errors) are retried with jittered exponential backoff
+ * - a server-provided retry_after / Retry-After is honoured, also past the backoff cap, as long as it fits the call's time budget
+ * - after repeated failures a circuit opens and calls fail fast until a cooldown passes
+ *
+ * Permanent errors (bad request, forbidden, ...) are thrown right away and don't count against the circuit.
+ *
+ * @module resilience
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_OPTIONS = {
+  retries: 2,              // Extra attempts after the first one
+  baseDelayMs: 500,        // Backoff before the first retry, doubled per attempt
+  maxDelayMs: 10000,       // Cap of the backoff between attempts
+  budgetMs: 30000,         // Longest a call may take with all attempts and waits; a retry_after past it fails instead
+  failureThreshold: 5,     // Consecutive failed calls that open the circuit
+  cooldownMs: 30000,       // How long an open circuit fails fast before allowing a trial call
+};
+
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Thrown without calling the API while a circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit "${name}" is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.circuit = name;
+    this.retryAt = retryAt;
+  }
+}
+
+// ============================================================================
+// ERROR CLASSIFICATION
+// ============================================================================
+
+// HTTP status of an error from Telegram (node-telegram-bot-api), @google/genai or fetch-based providers
+function getStatus(error) {
+  return error?.response?.body?.error_code ?? error?.status ?? error?.response?.statusCode ?? null;
+}
+
+/**
+ * Check if a failed call is worth retrying
+ *
+ * @param {Error} error - Error thrown by the call
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (!error || error instanceof CircuitOpenError) return false;
+
+  const status = getStatus(error);
+  if (status !== null) return TRANSIENT_STATUS_CODES.includes(Number(status));
+
+  // node-telegram-bot-api wraps network failures as EFATAL; fetch throws TypeError with a cause
+  const code = error.cause?.code || error.code;
+  return error.code === 'EFATAL' || TRANSIENT_NETWORK_CODES.includes(code) || error.message === 'fetch failed';
+}
+
+/**
+ * Get how long the server asked to wait before retrying
+ *
+ * @param {Error} error - Error thrown by the call
+ * @returns {number|null} - Milliseconds, or null if the server didn't say
+ */
+export function getRetryAfterMs(error) {
+  const seconds = error?.response?.body?.parameters?.retry_after;
+  if (typeof seconds === 'number') return seconds * 1000;
+  return typeof error?.retryAfterMs === 'number' ? error.retryAfterMs : null;
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+// Circuit name -> { failures, openUntil }
+const circuits = new Map();
+
+function getCircuit(name) {
+  if (!circuits.has(name)) {
+    circuits.set(name, { failures: 0, openUntil: 0 });
+  }
+  return circuits.get(name);
+}
+
+function recordSuccess(name) {
+  const circuit = getCircuit(name);
+  if (circuit.openUntil) {
+    console.log(`[Resilience] Circuit "${name}" closed`);
+  }
+  circuit.failures = 0;
+  circuit.openUntil = 0;
+}
+
+function recordFailure(name, options) {
+  const circuit = getCircuit(name);
+  circuit.failures++;
+  if (circuit.failures >= options.failureThreshold) {
+    circuit.openUntil = Date.now() + options.cooldownMs;
+    console.warn(`[Resilience] Circuit "${name}" opened after ${circuit.failures} failures, cooling down ${options.cooldownMs}ms`);
+  }
+}
+
+/**
+ * Get the state of every circuit (for health checks)
+ *
+ * @returns {Object} - Circuit name -> { state: 'closed'|'open'|'half-open', failures }
+ */
+export function getCircuitStates() {
+  const states = {};
+  const now = Date.now();
+  for (const [name, circuit] of circuits) {
+    let state = 'closed';
+    if (circuit.openUntil) state = circuit.openUntil > now ? 'open' : 'half-open';
+    states[name] = { state, failures: circuit.failures };
+  }
+  return states;
+}
+
+/**
+ * Close all circuits, e.g. between tests
+ */
+export function resetCircuits() {
+  circuits.clear();
+}
+
+// ============================================================================
+// RETRIES
+// ============================================================================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Full jitter: a random wait up to the exponential backoff, so retries of many callers spread out
+function getBackoffMs(attempt, options) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run a call with retries and a circuit breaker
+ *
+ * @param {string} name - Circuit name, one per external service (e.g. 'telegram', 'llm:gemini')
+ * @param {Function} fn - Async call to make
+ * @param {Object} options - Overrides of DEFAULT_OPTIONS
+ * @returns {Promise<*>} - Result of the call
+ * @throws {CircuitOpenError} - While the circuit is open
+ * @throws {Error} - The last error once retries are used up, or the first permanent error
+ */
+export async function withRetry(name, fn, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const circuit = getCircuit(name);
+
+  if (circuit.openUntil > Date.now()) {
+    throw new CircuitOpenError(name, circuit.openUntil);
+  }
+
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await fn();
+      recordSuccess(name);
+      return result;
+    } catch (error) {
+      if (!isTransientError(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delayMs = retryAfterMs ?? getBackoffMs(attempt, settings);
+      const overBudget = Date.now() - startedAt + delayMs > settings.budgetMs;
+
+      if (attempt >= settings.retries || overBudget) {
+        recordFailure(name, settings);
+        const reason = overBudget ? `, next wait of ${delayMs}ms would exceed the ${settings.budgetMs}ms budget` : '';
+        console.error(`[Resilience] ${name} failed after ${attempt + 1} attempt(s)${reason}: ${error.message}`);
+        throw error;
+      }
+
+      console.warn(`[Resilience] ${name} attempt ${attempt + 1} failed (${error.message}), retrying in ${delayMs}ms`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Replace methods of an API client with versions that go through withRetry
+ *
+ * @param {Object} target - Client instance, e.g. a TelegramBot
+ * @param {string[]} methods - Method names to wrap
+ * @param {string} name - Circuit name shared by the methods
+ * @param {Object} options - Overrides of DEFAULT_OPTIONS
+ */
+export function wrapMethods(target, methods, name, options = {}) {
+  for (const method of methods) {
+    const original = target[method];
+    if (typeof original !== 'function') continue;
+    target[method] = (...args) => withRetry(name, () => original.apply(target, args), options);
+  }
+}
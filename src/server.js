@@ -1,20 +1,34 @@
 /**
  * Express Server - Web UI and API Endpoints
  * 
- * Provides a public configuration UI for the bot.
- * All settings managed through the UI - no external API endpoints exposed.
+ * Serves the bot's control panel and the endpoints around it:
+ * - the panel and its APIs (config, pairs, prompts, traces) need a login session as viewer or admin,
+ *   and state-changing requests also the session's CSRF token; see auth.js
+ * - POST /api/webhook receives Telegram updates, checked by the webhook secret token
+ * - POST /api/cron/icebreaker is called by the scheduler with CRON_SECRET (bearer or HMAC)
+ * - /health and /health/kv are open for uptime checks
  */
 
 import express from 'express';
-import { initializeBot, setupBotHandlers, startBot, getBotInfo, sendToUser } from './bot.js';
+import { waitUntil } from '@vercel/functions';
+import { initializeBot, setupBotHandlers, startBot, getBotInfo, getBot, sendToUser, getInviteLink, receiveUpdate, retryStaleUpdates } from './bot.js';
+import { registerCommands } from './commands.js';
 import { getAvailableStyles } from './llm.js';
-import { getNextIcebreakerDue, triggerScheduledIcebreaker, startLocalScheduler } from './icebreaker.js';
+import { ICEBREAKER_MODES, ICEBREAKER_TOPICS } from './prompts.js';
+import { diffLines } from './diff.js';
+import { authenticate, requireWebhookSecret, requireCronAuth, getAuthConfig, checkPassword, verifyTelegramLogin, isTelegramLoginEnabled, startSession, endSession } from './auth.js';
+import { LLM_TASKS, LLM_PROVIDERS, resolveTaskModel, getDefaultModel } from './llm-providers.js';
+import { getCircuitStates } from './resilience.js';
+import { getNextIcebreakerDue, scheduleNextIcebreaker, snoozeIcebreaker, rescheduleIcebreaker, triggerScheduledIcebreaker, startLocalScheduler } from './icebreaker.js';
+import { getIcebreakerStats } from './icebreaker-feedback.js';
+import { isValidTimezone, isValidTime, deliverDeferredMessages, startLocalOutbox } from './quiet-hours.js';
 import { t } from './translations.js';
 import {
   translateStyleName,
   translateLanguageName
 } from './translations.js';
-import { initializeOpik, readConfig, writeConfig, DEFAULT_CONFIG, fetchRecentMessagesFromOpik, deleteAllTraces, getPromptConfig, searchOpikTraces } from './opik.js';
+import { initializeOpik, deleteAllTraces, searchOpikTraces } from './opik.js';
+import { readConfig, updateConfig, updatePair, fetchRecentMessages, getLastActivityTimestamp, getPromptConfig, activatePromptVersion, unpinPrompt, getStore, clearStorage, DEFAULT_PAIR, createPair, createInvite, listPairs, deletePairData } from './storage.js';
 import dotenv from 'dotenv';
 import { readFile } from 'fs/promises';
 import path from 'path';
@@ -38,10 +52,13 @@ app.use((req, res, next) => {
   next();
 });
 
+// Login required for the panel and its APIs (see auth.js)
+app.use(authenticate);
+
 // Track initialization state
 let isInitialized = false;
 
-// Initialize storage and bot
+// Initialize tracing, storage and bot
 async function initialize() {
   if (isInitialized) {
     console.log('Already initialized, skipping...');
@@ -51,6 +68,7 @@ async function initialize() {
   isInitialized = true;
   try {
     await initializeOpik();
+    getStore();
     const botToken = process.env.BOT_TOKEN;
     if (!botToken) {
       console.warn('BOT_TOKEN not set. Bot will not start.');
@@ -59,6 +77,7 @@ async function initialize() {
     
     const isVercel = process.env.VERCEL === '1';
     initializeBot(botToken, isVercel);
+    await registerCommands(getBot());
     
     if (!isVercel) {
       setupBotHandlers();
@@ -68,6 +87,9 @@ async function initialize() {
       
       // Start local icebreaker scheduler (runs independently)
       startLocalScheduler(sendToUser, 3600000); // Check every hour
+
+      // Deliver messages held back for quiet hours
+      startLocalOutbox(getBot());
     } else {
       const botInfo = await getBotInfo();
       console.log(`Bot initialized: @${botInfo.username}`);
@@ -81,43 +103,192 @@ async function initialize() {
 function renderTemplate(template, data) {
   let result = template;
   for (const [key, value] of Object.entries(data)) {
-    result = result.replace(new RegExp(`__${key}__`, 'g'), value || '');
+    // A function, so "$&" and the like in user text are not taken as replacement patterns
+    result = result.replace(new RegExp(`__${key}__`, 'g'), () => value || '');
   }
   return result;
 }
 
+// Escape text from users (names, messages, custom styles) for HTML text and attribute values
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Short label for a pair: "alice ↔ bob"
+function getPairLabel(pair, lang) {
+  const nameA = pair.userA.username ? escapeHtml(pair.userA.username) : t(lang, 'notRegistered');
+  const nameB = pair.userB.username ? escapeHtml(pair.userB.username) : t(lang, 'notRegistered');
+  return `${nameA} ↔ ${nameB}`;
+}
+
+// Translation keys of icebreaker modes and topics: icebreakerModeWouldYouRather, topicTravel, ...
+const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+function getIcebreakerModeName(mode, lang) {
+  return t(lang, 'icebreakerMode' + mode.split('_').map(capitalize).join(''));
+}
+
+// Login page: password form and/or Telegram Login Widget
+async function renderLogin(res, errorKey = null, status = 200) {
+  const config = await readConfig();
+  const lang = config.language || 'en';
+  const authConfig = getAuthConfig();
+  const passwordEnabled = !!(authConfig.adminPassword || authConfig.viewerPassword);
+
+  let telegramLoginHtml = '';
+  const botInfo = isTelegramLoginEnabled() ? await getBotInfo() : null;
+  if (botInfo) {
+    telegramLoginHtml = `<script async src="https://telegram.org/js/telegram-widget.js?22" data-telegram-login="${botInfo.username}" data-size="large" data-auth-url="/auth/telegram" data-request-access="write"></script>`;
+  }
+
+  // Nothing to log in with: explain instead of showing an empty form
+  if (!errorKey && !passwordEnabled && !botInfo) {
+    errorKey = 'authNotConfigured';
+  }
+
+  const template = await readFile(path.join(process.cwd(), 'src', 'login.html'), 'utf-8');
+  res.status(status).send(renderTemplate(template, {
+    LANG: lang,
+    TITLE: t(lang, 'title'),
+    ERROR_HTML: errorKey ? `<div class="error">${t(lang, errorKey)}</div>` : '',
+    PASSWORD_DISPLAY: passwordEnabled ? 'block' : 'none',
+    PASSWORD: t(lang, 'password'),
+    LOGIN: t(lang, 'login'),
+    TELEGRAM_LOGIN_HTML: telegramLoginHtml,
+  }));
+}
+
+app.get('/login', async (req, res) => {
+  try {
+    await renderLogin(res, req.query.error === 'telegram' ? 'loginFailed' : null);
+  } catch (error) {
+    console.error('Error rendering login page:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+app.post('/login', async (req, res) => {
+  try {
+    const role = checkPassword(req.body.password);
+    if (!role) {
+      // Slow down password guessing
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return renderLogin(res, 'loginFailed', 401);
+    }
+
+    startSession(req, res, role, 'password');
+    console.log(`[Auth] Password login as ${role}`);
+    res.redirect('/');
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// Telegram Login Widget callback
+app.get('/auth/telegram', (req, res) => {
+  const role = verifyTelegramLogin(req.query);
+  if (!role) {
+    return res.redirect('/login?error=telegram');
+  }
+
+  startSession(req, res, role, `telegram:${req.query.id}`);
+  console.log(`[Auth] Telegram login of ${req.query.id} as ${role}`);
+  res.redirect('/');
+});
+
+app.post('/logout', (req, res) => {
+  endSession(res);
+  res.redirect('/login');
+});
+
 // Serve the main UI page
+// Pair-specific sections show the pair selected by ?pair=<id> (first pair by default)
 app.get('/', async (req, res) => {
   try {
     const config = await readConfig();
-    const recentMessages = await fetchRecentMessagesFromOpik(5);
-    const nextIcebreaker = await getNextIcebreakerDue();
+    const pairs = listPairs(config);
+    const selectedPair = config.pairs[req.query.pair] || pairs[0] || null;
+    const pair = selectedPair || structuredClone(DEFAULT_PAIR);
+    const recentMessages = selectedPair ? await fetchRecentMessages(selectedPair.id, 5) : [];
+    const nextIcebreaker = selectedPair ? await getNextIcebreakerDue(selectedPair) : null;
     const botInfo = await getBotInfo();
     
     const lang = config.language || 'en';
     
+    // Pair list
+    const pairsHtml = pairs.length > 0 ? pairs.map(p =>
+      '<a class="pair-item' + (p.id === selectedPair?.id ? ' selected' : '') + '" href="/?pair=' + p.id + '">' +
+      '<span class="pair-id">#' + p.id + '</span> ' + getPairLabel(p, lang) + '</a>'
+    ).join('') : '<p style="color: #999; font-style: italic;">' + t(lang, 'noPairs') + '</p>';
+    
     // Next icebreaker text
     let nextIcebreakerText = t(lang, 'noMessagesYet');
     if (nextIcebreaker) {
       const now = new Date();
       const diffDays = Math.ceil((nextIcebreaker - now) / (1000 * 60 * 60 * 24));
-      if (diffDays <= 0) nextIcebreakerText = t(lang, 'dueNow');
-      else nextIcebreakerText = `~${diffDays} ${t(lang, 'days')}`;
+      const relative = diffDays <= 0 ? t(lang, 'dueNow') : `~${diffDays} ${t(lang, 'days')}`;
+      nextIcebreakerText = `${nextIcebreaker.toLocaleString()} (${relative})`;
     }
     
-    // Style options
-    const styleOptionsHtml = getAvailableStyles().map(style => {
+    // Invite link for the open slot of the pair
+    let inviteHtml = t(lang, 'noInvite');
+    if (selectedPair?.invite) {
+      const inviteLink = await getInviteLink(selectedPair.invite.code) || selectedPair.invite.code;
+      const expired = new Date(selectedPair.invite.expiresAt) <= new Date();
+      inviteHtml = '<span style="font-size: 12px; word-break: break-all;">' + inviteLink + '</span>' +
+        '<p style="font-size: 12px; color: ' + (expired ? '#dc3545' : '#666') + '; margin-top: 5px;">' +
+        t(lang, 'inviteExpires') + ' ' + new Date(selectedPair.invite.expiresAt).toLocaleString() + '</p>';
+    }
+    
+    // Style options of each user's outgoing messages
+    const getStyleOptionsHtml = (selected) => getAvailableStyles().map(style => {
       const styleKey = 'style' + style.charAt(0).toUpperCase() + style.slice(1);
       const styleDescKey = styleKey + 'Desc';
-      return '<option value="' + style + '"' + (config.style === style ? ' selected' : '') + '>' +
+      return '<option value="' + style + '"' + (selected === style ? ' selected' : '') + '>' +
              t(lang, styleKey) + ' - ' + t(lang, styleDescKey) + '</option>';
     }).join('');
     
+    // Icebreaker modes and topic weights
+    const icebreakerModeOptionsHtml = Object.keys(ICEBREAKER_MODES).map(mode =>
+      '<option value="' + mode + '"' + (pair.icebreakerMode === mode ? ' selected' : '') + '>' +
+      getIcebreakerModeName(mode, lang) + '</option>'
+    ).join('');
+    const icebreakerTopicsHtml = Object.keys(ICEBREAKER_TOPICS).map(topic =>
+      '<label style="display: flex; align-items: center; margin-top: 6px;">' +
+      '<input type="number" class="topic-weight" data-topic="' + topic + '" value="' + (pair.icebreakerTopics[topic] || 0) + '" min="0" max="10" style="width: 80px; margin-right: 10px;">' +
+      '<span>' + t(lang, 'topic' + capitalize(topic)) + '</span></label>'
+    ).join('');
+    
+    // Provider and model per LLM task; empty fields fall back to env defaults
+    const llmSettingsHtml = LLM_TASKS.map(task => {
+      const taskConfig = config.llm?.[task] || {};
+      const effective = resolveTaskModel(config, task);
+      const taskKey = 'llmTask' + task.charAt(0).toUpperCase() + task.slice(1);
+      const providerOptions = ['<option value="">' + t(lang, 'llmDefault') + ' (' + resolveTaskModel({}, task).provider + ')</option>']
+        .concat(LLM_PROVIDERS.map(provider =>
+          '<option value="' + provider + '"' + (taskConfig.provider === provider ? ' selected' : '') + '>' + provider + '</option>'
+        )).join('');
+      return '<div class="form-group llm-task" data-task="' + task + '">' +
+        '<label>' + t(lang, taskKey) + '</label>' +
+        '<div style="display: flex; gap: 10px;">' +
+        '<select class="llm-provider" style="flex: 1;">' + providerOptions + '</select>' +
+        '<input type="text" class="llm-model" style="flex: 2;" value="' + escapeHtml(taskConfig.model) + '" placeholder="' + (getDefaultModel(effective.provider) || '') + '">' +
+        '</div>' +
+        '<p class="help-text">' + t(lang, 'llmInUse') + ' ' + effective.provider + ' / ' + escapeHtml(effective.model) + '</p>' +
+        '</div>';
+    }).join('');
+    
     // Recent messages (newest at bottom)
     const sortedMessages = [...recentMessages].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     const recentMessagesHtml = sortedMessages.length > 0 ? sortedMessages.map(msg =>
-      '<div class="message-item"><div class="sender">' + (msg.username || (t(lang, 'user') + ' ' + msg.senderRole)) + '</div>' +
-      '<div class="text">' + msg.stylizedText + '</div>' +
+      '<div class="message-item"><div class="sender">' + (msg.username ? escapeHtml(msg.username) : (t(lang, 'user') + ' ' + msg.senderRole)) + '</div>' +
+      '<div class="text">' + escapeHtml(msg.stylizedText) + '</div>' +
       '<div class="time">' + new Date(msg.timestamp).toLocaleString() + '</div></div>'
     ).join('') : '<p style="color: #999; font-style: italic;">' + t(lang, 'noMessages') + '</p>';
     
@@ -128,74 +299,135 @@ app.get('/', async (req, res) => {
     // Render template with all values
     const html = renderTemplate(template, {
       LANG: lang,
+      ROLE: req.session.role,
+      CSRF_TOKEN: req.session.csrf,
+      LOGOUT: t(lang, 'logout'),
+      LOGOUT_DISPLAY: getAuthConfig().disabled ? 'none' : 'block',
       LANG_EN_SELECTED: lang === 'en' ? 'selected' : '',
       LANG_RU_SELECTED: lang === 'ru' ? 'selected' : '',
       TITLE: t(lang, 'title'),
       SUBTITLE: t(lang, 'subtitle'),
       BOT_USERNAME: botInfo ? `<p style="margin-top: 10px; font-size: 12px;"><a href="https://t.me/${botInfo.username}" target="_blank" style="color: white; text-decoration: underline;">@${botInfo.username}</a></p>` : '',
       SETTINGS_SAVED: t(lang, 'settingsSaved'),
+      PAIRS: t(lang, 'pairs'),
+      PAIRS_HTML: pairsHtml,
+      ADD_PAIR: t(lang, 'addPair'),
+      PAIR_ID: selectedPair ? selectedPair.id : '',
+      PAIR_SECTIONS_DISPLAY: selectedPair ? 'block' : 'none',
+      DELETE_PAIR: t(lang, 'deletePair'),
+      DELETE_PAIR_CONFIRM: t(lang, 'deletePairConfirm'),
       CONNECTED_USERS: t(lang, 'connectedUsers'),
       USER_A: t(lang, 'userA'),
-      USER_A_CLASS: config.userA.username ? '' : 'not-set',
-      USER_A_NAME: config.userA.username || t(lang, 'notRegistered'),
-      USER_A_LANGUAGE: config.userA.language ? `<p style="font-size: 12px; color: #666; margin-top: 5px;">${t(lang, 'languageLabel')} ${config.userA.language === 'auto' ? (config.userA.languageCode ? config.userA.languageCode.toUpperCase() : 'AUTO') : config.userA.language.toUpperCase()}</p>` : '',
+      USER_A_CLASS: pair.userA.username ? '' : 'not-set',
+      USER_A_NAME: pair.userA.username ? escapeHtml(pair.userA.username) : t(lang, 'notRegistered'),
+      USER_A_LANGUAGE: pair.userA.language ? `<p style="font-size: 12px; color: #666; margin-top: 5px;">${t(lang, 'languageLabel')} ${pair.userA.language === 'auto' ? (pair.userA.languageCode ? pair.userA.languageCode.toUpperCase() : 'AUTO') : pair.userA.language.toUpperCase()}</p>` : '',
       USER_B: t(lang, 'userB'),
-      USER_B_CLASS: config.userB.username ? '' : 'not-set',
-      USER_B_NAME: config.userB.username || t(lang, 'notRegistered'),
-      USER_B_LANGUAGE: config.userB.language ? `<p style="font-size: 12px; color: #666; margin-top: 5px;">${t(lang, 'languageLabel')} ${config.userB.language === 'auto' ? (config.userB.languageCode ? config.userB.languageCode.toUpperCase() : 'AUTO') : config.userB.language.toUpperCase()}</p>` : '',
+      USER_B_CLASS: pair.userB.username ? '' : 'not-set',
+      USER_B_NAME: pair.userB.username ? escapeHtml(pair.userB.username) : t(lang, 'notRegistered'),
+      USER_B_LANGUAGE: pair.userB.language ? `<p style="font-size: 12px; color: #666; margin-top: 5px;">${t(lang, 'languageLabel')} ${pair.userB.language === 'auto' ? (pair.userB.languageCode ? pair.userB.languageCode.toUpperCase() : 'AUTO') : pair.userB.language.toUpperCase()}</p>` : '',
+      INVITE_LINK: t(lang, 'inviteLink'),
+      INVITE_HTML: inviteHtml,
+      NEW_INVITE: t(lang, 'newInvite'),
       NEXT_ICEBREAKER: t(lang, 'nextIcebreaker'),
       NEXT_ICEBREAKER_TEXT: nextIcebreakerText,
+      ICEBREAKER_CONTROLS_DISPLAY: selectedPair ? 'block' : 'none',
+      SNOOZE_ONE_DAY: t(lang, 'snoozeOneDay'),
+      SNOOZE_THREE_DAYS: t(lang, 'snoozeThreeDays'),
+      RESCHEDULE: t(lang, 'reschedule'),
       SETTINGS: t(lang, 'settings'),
-      MESSAGE_STYLE: t(lang, 'messageStyle'),
-      STYLE_OPTIONS: styleOptionsHtml,
+      USER_A_STYLE_LABEL: t(lang, 'userAStyle'),
+      USER_A_STYLE_OPTIONS: getStyleOptionsHtml(pair.userA.style),
+      USER_A_CUSTOM_STYLE_SELECTED: pair.userA.style === 'custom' ? 'selected' : '',
+      USER_A_CUSTOM_STYLE_DISPLAY: pair.userA.style === 'custom' ? 'block' : 'none',
+      USER_A_CUSTOM_STYLE_VALUE: escapeHtml(pair.userA.customStyle),
+      USER_A_STYLIZATION_CHECKED: pair.userA.stylizationEnabled !== false ? 'checked' : '',
+      USER_B_STYLE_LABEL: t(lang, 'userBStyle'),
+      USER_B_STYLE_OPTIONS: getStyleOptionsHtml(pair.userB.style),
+      USER_B_CUSTOM_STYLE_SELECTED: pair.userB.style === 'custom' ? 'selected' : '',
+      USER_B_CUSTOM_STYLE_DISPLAY: pair.userB.style === 'custom' ? 'block' : 'none',
+      USER_B_CUSTOM_STYLE_VALUE: escapeHtml(pair.userB.customStyle),
+      USER_B_STYLIZATION_CHECKED: pair.userB.stylizationEnabled !== false ? 'checked' : '',
       CUSTOM: t(lang, 'custom'),
-      CUSTOM_STYLE_SELECTED: config.style === 'custom' ? 'selected' : '',
-      CUSTOM_STYLE_DISPLAY: config.style === 'custom' ? 'block' : 'none',
       CUSTOM_STYLE: t(lang, 'customStyle'),
-      CUSTOM_STYLE_VALUE: config.customStyle,
       CUSTOM_STYLE_PLACEHOLDER: t(lang, 'customStylePlaceholder'),
       CUSTOM_STYLE_HELP: t(lang, 'customStyleHelp'),
       STYLIZATION_ENABLED: t(lang, 'stylizationEnabled'),
-      STYLIZATION_CHECKED: config.stylizationEnabled !== false ? 'checked' : '',
       STYLIZATION_ENABLED_HELP: t(lang, 'stylizationEnabledHelp'),
       USER_A_LANGUAGE_LABEL: t(lang, 'userALanguage'),
-      USER_A_LANG_AUTO: config.userA.language === 'auto' ? 'selected' : '',
-      USER_A_LANG_EN: config.userA.language === 'en' ? 'selected' : '',
-      USER_A_LANG_RU: config.userA.language === 'ru' ? 'selected' : '',
-      USER_A_LANG_ES: config.userA.language === 'es' ? 'selected' : '',
-      USER_A_LANG_FR: config.userA.language === 'fr' ? 'selected' : '',
-      USER_A_LANG_DE: config.userA.language === 'de' ? 'selected' : '',
-      USER_A_LANG_CUSTOM: config.userA.language === 'custom' ? 'selected' : '',
+      USER_A_LANG_AUTO: pair.userA.language === 'auto' ? 'selected' : '',
+      USER_A_LANG_EN: pair.userA.language === 'en' ? 'selected' : '',
+      USER_A_LANG_RU: pair.userA.language === 'ru' ? 'selected' : '',
+      USER_A_LANG_ES: pair.userA.language === 'es' ? 'selected' : '',
+      USER_A_LANG_FR: pair.userA.language === 'fr' ? 'selected' : '',
+      USER_A_LANG_DE: pair.userA.language === 'de' ? 'selected' : '',
+      USER_A_LANG_CUSTOM: pair.userA.language === 'custom' ? 'selected' : '',
       AUTO: t(lang, 'auto'),
       ENGLISH: t(lang, 'english'),
       RUSSIAN: t(lang, 'russian'),
-      USER_A_LANGUAGE_HELP: config.userA.language === 'auto' ? t(lang, 'autoDetectHelp') : (lang === 'ru' ? 'Язык для сообщений, отправляемых Пользователю A' : 'Language for messages sent to User A'),
-      USER_A_CUSTOM_DISPLAY: config.userA.language === 'custom' ? 'block' : 'none',
+      USER_A_LANGUAGE_HELP: pair.userA.language === 'auto' ? t(lang, 'autoDetectHelp') : (lang === 'ru' ? 'Язык для сообщений, отправляемых Пользователю A' : 'Language for messages sent to User A'),
+      USER_A_CUSTOM_DISPLAY: pair.userA.language === 'custom' ? 'block' : 'none',
       USER_A_CUSTOM_LANGUAGE: lang === 'ru' ? 'Кастомный язык для Пользователя A' : 'Custom Language for User A',
-      USER_A_CUSTOM_VALUE: config.userA.customLanguage || '',
+      USER_A_CUSTOM_VALUE: escapeHtml(pair.userA.customLanguage),
       USER_A_CUSTOM_PLACEHOLDER: lang === 'ru' ? 'например: Японский, Китайский, Итальянский' : 'e.g., Japanese, Chinese, Italian',
       USER_A_CUSTOM_HELP: lang === 'ru' ? 'Укажите название языка (например: Японский, Китайский, Итальянский)' : 'Specify the language name (e.g., Japanese, Chinese, Italian)',
       USER_B_LANGUAGE_LABEL: t(lang, 'userBLanguage'),
-      USER_B_LANG_AUTO: config.userB.language === 'auto' ? 'selected' : '',
-      USER_B_LANG_EN: config.userB.language === 'en' ? 'selected' : '',
-      USER_B_LANG_RU: config.userB.language === 'ru' ? 'selected' : '',
-      USER_B_LANG_ES: config.userB.language === 'es' ? 'selected' : '',
-      USER_B_LANG_FR: config.userB.language === 'fr' ? 'selected' : '',
-      USER_B_LANG_DE: config.userB.language === 'de' ? 'selected' : '',
-      USER_B_LANG_CUSTOM: config.userB.language === 'custom' ? 'selected' : '',
-      USER_B_LANGUAGE_HELP: config.userB.language === 'auto' ? t(lang, 'autoDetectHelp') : (lang === 'ru' ? 'Язык для сообщений, отправляемых Пользователю B' : 'Language for messages sent to User B'),
-      USER_B_CUSTOM_DISPLAY: config.userB.language === 'custom' ? 'block' : 'none',
+      USER_B_LANG_AUTO: pair.userB.language === 'auto' ? 'selected' : '',
+      USER_B_LANG_EN: pair.userB.language === 'en' ? 'selected' : '',
+      USER_B_LANG_RU: pair.userB.language === 'ru' ? 'selected' : '',
+      USER_B_LANG_ES: pair.userB.language === 'es' ? 'selected' : '',
+      USER_B_LANG_FR: pair.userB.language === 'fr' ? 'selected' : '',
+      USER_B_LANG_DE: pair.userB.language === 'de' ? 'selected' : '',
+      USER_B_LANG_CUSTOM: pair.userB.language === 'custom' ? 'selected' : '',
+      USER_B_LANGUAGE_HELP: pair.userB.language === 'auto' ? t(lang, 'autoDetectHelp') : (lang === 'ru' ? 'Язык для сообщений, отправляемых Пользователю B' : 'Language for messages sent to User B'),
+      USER_B_CUSTOM_DISPLAY: pair.userB.language === 'custom' ? 'block' : 'none',
       USER_B_CUSTOM_LANGUAGE: lang === 'ru' ? 'Кастомный язык для Пользователя B' : 'Custom Language for User B',
-      USER_B_CUSTOM_VALUE: config.userB.customLanguage || '',
+      USER_B_CUSTOM_VALUE: escapeHtml(pair.userB.customLanguage),
       USER_B_CUSTOM_PLACEHOLDER: lang === 'ru' ? 'например: Японский, Китайский, Итальянский' : 'e.g., Japanese, Chinese, Italian',
       USER_B_CUSTOM_HELP: lang === 'ru' ? 'Укажите название языка (например: Японский, Китайский, Итальянский)' : 'Specify the language name (e.g., Japanese, Chinese, Italian)',
+      USER_A_PREVIEW: t(lang, 'userAPreview'),
+      USER_A_PREVIEW_CHECKED: pair.userA.previewEnabled ? 'checked' : '',
+      USER_B_PREVIEW: t(lang, 'userBPreview'),
+      USER_B_PREVIEW_CHECKED: pair.userB.previewEnabled ? 'checked' : '',
+      PREVIEW_HELP: t(lang, 'previewHelp'),
+      USER_A_QUIET_HOURS: t(lang, 'userAQuietHours'),
+      USER_A_TIMEZONE_VALUE: escapeHtml(pair.userA.timezone),
+      USER_A_QUIET_START_VALUE: pair.userA.quietStart,
+      USER_A_QUIET_END_VALUE: pair.userA.quietEnd,
+      USER_A_SILENT_CHECKED: pair.userA.silentInQuiet ? 'checked' : '',
+      USER_B_QUIET_HOURS: t(lang, 'userBQuietHours'),
+      USER_B_TIMEZONE_VALUE: escapeHtml(pair.userB.timezone),
+      USER_B_QUIET_START_VALUE: pair.userB.quietStart,
+      USER_B_QUIET_END_VALUE: pair.userB.quietEnd,
+      USER_B_SILENT_CHECKED: pair.userB.silentInQuiet ? 'checked' : '',
+      SILENT_IN_QUIET: t(lang, 'silentInQuiet'),
+      QUIET_HOURS_HELP: t(lang, 'quietHoursHelp'),
       ICEBREAKER_PERIOD: t(lang, 'icebreakerPeriod'),
-      ICEBREAKER_PERIOD_VALUE: config.icebreakerPeriodDays,
+      ICEBREAKER_PERIOD_VALUE: pair.icebreakerPeriodDays,
       ICEBREAKER_PERIOD_HELP: t(lang, 'icebreakerPeriodHelp'),
+      ICEBREAKER_MODE: t(lang, 'icebreakerMode'),
+      ICEBREAKER_MODE_OPTIONS: icebreakerModeOptionsHtml,
+      ICEBREAKER_MODE_HELP: t(lang, 'icebreakerModeHelp'),
+      ICEBREAKER_TOPICS: t(lang, 'icebreakerTopics'),
+      ICEBREAKER_TOPICS_HTML: icebreakerTopicsHtml,
+      ICEBREAKER_TOPICS_HELP: t(lang, 'icebreakerTopicsHelp'),
+      ICEBREAKER_REPEAT_DAYS: t(lang, 'icebreakerRepeatDays'),
+      ICEBREAKER_REPEAT_DAYS_VALUE: String(pair.icebreakerRepeatDays),
+      ICEBREAKER_REPEAT_DAYS_HELP: t(lang, 'icebreakerRepeatDaysHelp'),
       SAVE_SETTINGS: t(lang, 'saveSettings'),
       RECENT_MESSAGES: t(lang, 'recentMessages'),
       LAST_MESSAGES: t(lang, 'lastMessages'),
       RECENT_MESSAGES_HTML: recentMessagesHtml,
+      LLM_MODELS: t(lang, 'llmModels'),
+      LLM_MODELS_HELP: t(lang, 'llmModelsHelp'),
+      LLM_SETTINGS_HTML: llmSettingsHtml,
+      SAVE_MODELS: t(lang, 'saveModels'),
+      AB_TESTING: t(lang, 'abTesting'),
+      AB_TESTING_HELP: t(lang, 'abTestingHelp'),
+      CANDIDATE_SHARE: t(lang, 'candidateShare'),
+      CANDIDATE_SHARE_VALUE: Math.round(config.abTest.candidateShare * 100),
+      CANDIDATE_MIN_SAMPLES: t(lang, 'candidateMinSamples'),
+      CANDIDATE_MIN_SAMPLES_VALUE: config.abTest.minSamples,
+      SAVE_AB_TEST: t(lang, 'saveAbTest'),
       RESET: t(lang, 'reset'),
       RESET_DESCRIPTION: t(lang, 'resetDescription'),
       RESET_CONFIG: t(lang, 'resetConfig'),
@@ -208,11 +440,34 @@ app.get('/', async (req, res) => {
       METRIC_GRAMMAR: t(lang, 'metricGrammar'),
       METRIC_APPROPRIATENESS: t(lang, 'metricAppropriateness'),
       METRIC_NATURALNESS: t(lang, 'metricNaturalness'),
+      METRIC_USER_RATING: t(lang, 'metricUserRating'),
       FEEDBACK: t(lang, 'feedback'),
       LAST_FEEDBACK: t(lang, 'lastFeedback'),
       LOADING: t(lang, 'loading'),
       NO_EVALUATIONS: t(lang, 'noEvaluations'),
       NO_FEEDBACK: t(lang, 'noFeedback'),
+      ICEBREAKER_EFFECTIVENESS: t(lang, 'icebreakerEffectiveness'),
+      ICEBREAKER_EFFECTIVENESS_HELP: t(lang, 'icebreakerEffectivenessHelp'),
+      ICEBREAKER_GROUP: t(lang, 'icebreakerGroup'),
+      ICEBREAKER_GROUP_MODE: t(lang, 'icebreakerGroupMode'),
+      ICEBREAKER_GROUP_STYLE: t(lang, 'icebreakerGroupStyle'),
+      ICEBREAKERS_SCORED: t(lang, 'icebreakersScored'),
+      ICEBREAKERS_ENGAGED: t(lang, 'icebreakersEngaged'),
+      SUCCESS_RATE: t(lang, 'successRate'),
+      NO_ICEBREAKER_SCORES: t(lang, 'noIcebreakerScores'),
+      ICEBREAKERS_PENDING: t(lang, 'icebreakersPending'),
+      INTERVAL_FACTOR: t(lang, 'intervalFactor'),
+      LEARNED_GUIDANCE: t(lang, 'learnedGuidance'),
+      PROMPT_VERSIONS: t(lang, 'promptVersions'),
+      NO_PROMPT_VERSIONS: t(lang, 'noPromptVersions'),
+      PROMPT_VERSION: t(lang, 'promptVersion'),
+      PROMPT_ACTIVE: t(lang, 'promptActive'),
+      PROMPT_PINNED: t(lang, 'promptPinned'),
+      SHOW_DIFF: t(lang, 'showDiff'),
+      ROLLBACK: t(lang, 'rollback'),
+      PIN_VERSION: t(lang, 'pinVersion'),
+      UNPIN: t(lang, 'unpin'),
+      PROMPT_CANDIDATE: t(lang, 'promptCandidate'),
     });
     
     res.send(html);
@@ -222,21 +477,115 @@ app.get('/', async (req, res) => {
   }
 });
 
+// Apply time zone and quiet hours from the settings form to a pair user
+// Returns an error message for an unknown time zone or malformed time, null if applied
+function applyQuietHours(user, { timezone, quietStart, quietEnd, silentInQuiet }) {
+  if (timezone !== undefined && !isValidTimezone(timezone)) return `Unknown time zone: ${timezone}`;
+  for (const time of [quietStart, quietEnd]) {
+    if (time !== undefined && time !== '' && !isValidTime(time)) return `Invalid time: ${time}`;
+  }
+
+  if (timezone !== undefined) user.timezone = timezone;
+  if (quietStart !== undefined) user.quietStart = quietStart;
+  if (quietEnd !== undefined) user.quietEnd = quietEnd;
+  if (silentInQuiet !== undefined) user.silentInQuiet = !!silentInQuiet;
+  return null;
+}
+
 // Internal API: Update configuration
+// Pair settings require pairId; UI language is global
 app.post('/api/config', async (req, res) => {
   try {
-    const { style, customStyle, stylizationEnabled, userALanguage, userACustomLanguage, userBLanguage, userBCustomLanguage, icebreakerPeriodDays, language } = req.body;
-    const config = await readConfig();
+    const { pairId, userAStyle, userACustomStyle, userAStylizationEnabled, userBStyle, userBCustomStyle, userBStylizationEnabled, userALanguage, userACustomLanguage, userBLanguage, userBCustomLanguage, icebreakerPeriodDays, userAPreviewEnabled, userBPreviewEnabled, userATimezone, userAQuietStart, userAQuietEnd, userASilentInQuiet, userBTimezone, userBQuietStart, userBQuietEnd, userBSilentInQuiet, icebreakerMode, icebreakerTopics, icebreakerRepeatDays, language, llm, abTest } = req.body;
+
+    // Changed under the config lock; a failed check leaves the config untouched
+    let failure = null;
+    let periodChangedPair = null;
+    const fail = (status, error) => {
+      failure = { status, error };
+      return false;
+    };
+
+    const config = await updateConfig(config => {
+      if (language && (language === 'en' || language === 'ru')) config.language = language;
+
+      // LLM provider/model per task; an empty provider means the env default
+      if (llm && typeof llm === 'object') {
+        for (const task of LLM_TASKS) {
+          if (!llm[task]) continue;
+          const { provider = '', model = '' } = llm[task];
+          if (provider && !LLM_PROVIDERS.includes(provider)) {
+            return fail(400, `Unknown LLM provider: ${provider}`);
+          }
+          config.llm[task] = { provider, model: String(model).trim() };
+        }
+      }
 
-    if (style) config.style = style;
-    if (customStyle !== undefined) config.customStyle = customStyle;
-    if (stylizationEnabled !== undefined) config.stylizationEnabled = stylizationEnabled;
-    if (userALanguage) { config.userA.language = userALanguage; config.userA.customLanguage = userACustomLanguage || ''; }
-    if (userBLanguage) { config.userB.language = userBLanguage; config.userB.customLanguage = userBCustomLanguage || ''; }
-    if (icebreakerPeriodDays) config.icebreakerPeriodDays = Math.max(3, Math.min(30, icebreakerPeriodDays));
-    if (language && (language === 'en' || language === 'ru')) config.language = language;
+      // A/B testing of candidate prompts; a share of 0 makes improvements go live directly
+      if (abTest && typeof abTest === 'object') {
+        if (abTest.candidateShare !== undefined) {
+          config.abTest.candidateShare = Math.max(0, Math.min(0.5, Number(abTest.candidateShare) || 0));
+        }
+        if (abTest.minSamples !== undefined) {
+          config.abTest.minSamples = Math.max(3, Math.min(100, parseInt(abTest.minSamples) || 10));
+        }
+      }
 
-    await writeConfig(config);
+      if (pairId !== undefined) {
+        const pair = config.pairs[pairId];
+        if (!pair) {
+          return fail(404, 'Pair not found');
+        }
+
+        if (userAStyle) pair.userA.style = userAStyle;
+        if (userACustomStyle !== undefined) pair.userA.customStyle = userACustomStyle;
+        if (userAStylizationEnabled !== undefined) pair.userA.stylizationEnabled = userAStylizationEnabled;
+        if (userBStyle) pair.userB.style = userBStyle;
+        if (userBCustomStyle !== undefined) pair.userB.customStyle = userBCustomStyle;
+        if (userBStylizationEnabled !== undefined) pair.userB.stylizationEnabled = userBStylizationEnabled;
+        if (userALanguage) { pair.userA.language = userALanguage; pair.userA.customLanguage = userACustomLanguage || ''; }
+        if (userBLanguage) { pair.userB.language = userBLanguage; pair.userB.customLanguage = userBCustomLanguage || ''; }
+        if (userAPreviewEnabled !== undefined) pair.userA.previewEnabled = !!userAPreviewEnabled;
+        if (userBPreviewEnabled !== undefined) pair.userB.previewEnabled = !!userBPreviewEnabled;
+
+        const quietHoursError =
+          applyQuietHours(pair.userA, { timezone: userATimezone, quietStart: userAQuietStart, quietEnd: userAQuietEnd, silentInQuiet: userASilentInQuiet }) ||
+          applyQuietHours(pair.userB, { timezone: userBTimezone, quietStart: userBQuietStart, quietEnd: userBQuietEnd, silentInQuiet: userBSilentInQuiet });
+        if (quietHoursError) {
+          return fail(400, quietHoursError);
+        }
+        if (icebreakerPeriodDays) {
+          const periodDays = Math.max(3, Math.min(30, icebreakerPeriodDays));
+          if (periodDays !== pair.icebreakerPeriodDays) periodChangedPair = pair;
+          pair.icebreakerPeriodDays = periodDays;
+        }
+        if (icebreakerMode !== undefined) {
+          if (!ICEBREAKER_MODES[icebreakerMode]) {
+            return fail(400, `Unknown icebreaker mode: ${icebreakerMode}`);
+          }
+          pair.icebreakerMode = icebreakerMode;
+        }
+        if (icebreakerTopics && typeof icebreakerTopics === 'object') {
+          for (const topic of Object.keys(ICEBREAKER_TOPICS)) {
+            if (icebreakerTopics[topic] === undefined) continue;
+            pair.icebreakerTopics[topic] = Math.max(0, Math.min(10, parseInt(icebreakerTopics[topic]) || 0));
+          }
+        }
+        if (icebreakerRepeatDays !== undefined) {
+          pair.icebreakerRepeatDays = Math.max(0, Math.min(365, parseInt(icebreakerRepeatDays) || 0));
+        }
+      }
+      return config;
+    });
+    if (failure) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    // A new period applies right away: redraw the due time from the last activity
+    if (periodChangedPair) {
+      const lastActivity = await getLastActivityTimestamp(periodChangedPair.id);
+      if (lastActivity) await scheduleNextIcebreaker(periodChangedPair, lastActivity);
+    }
     res.json({ success: true, config });
   } catch (error) {
     console.error('Error updating config:', error);
@@ -244,13 +593,104 @@ app.post('/api/config', async (req, res) => {
   }
 });
 
+// Internal API: Create an empty pair (filled as users register)
+app.post('/api/pairs', async (req, res) => {
+  try {
+    const pair = await updateConfig(config => createPair(config));
+    res.json({ success: true, pair });
+  } catch (error) {
+    console.error('Error creating pair:', error);
+    res.status(500).json({ error: 'Failed to create pair' });
+  }
+});
+
+// Internal API: Issue a new invite code for the open slot of a pair
+app.post('/api/pairs/:id/invite', async (req, res) => {
+  try {
+    const { pairs } = await readConfig();
+    if (!pairs[req.params.id]) {
+      return res.status(404).json({ error: 'Pair not found' });
+    }
+
+    let invite = null;
+    await updatePair(req.params.id, pair => {
+      if (pair.userA.telegramId && pair.userB.telegramId) return false;
+      invite = createInvite(pair);
+    });
+    if (!invite) {
+      return res.status(400).json({ error: 'Pair is complete' });
+    }
+    res.json({ success: true, invite, link: await getInviteLink(invite.code) });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// Internal API: Snooze or reschedule the next icebreaker of a pair
+// Body: { snoozeDays } or { dueAt } (ISO date)
+app.post('/api/pairs/:id/icebreaker', async (req, res) => {
+  try {
+    const config = await readConfig();
+    const pair = config.pairs[req.params.id];
+    if (!pair) {
+      return res.status(404).json({ error: 'Pair not found' });
+    }
+
+    const { snoozeDays, dueAt } = req.body;
+    let nextDue;
+    if (snoozeDays !== undefined) {
+      const days = Number(snoozeDays);
+      if (!(days > 0 && days <= 30)) {
+        return res.status(400).json({ error: 'snoozeDays must be more than 0 and at most 30' });
+      }
+      nextDue = await snoozeIcebreaker(pair, days);
+      if (!nextDue) {
+        return res.status(400).json({ error: 'No icebreaker scheduled yet' });
+      }
+    } else if (dueAt !== undefined) {
+      const date = new Date(dueAt);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ error: 'Invalid dueAt' });
+      }
+      nextDue = await rescheduleIcebreaker(pair, date);
+    } else {
+      return res.status(400).json({ error: 'snoozeDays or dueAt is required' });
+    }
+
+    res.json({ success: true, nextDueAt: nextDue.toISOString() });
+  } catch (error) {
+    console.error('Error scheduling icebreaker:', error);
+    res.status(500).json({ error: 'Failed to schedule icebreaker' });
+  }
+});
+
+// Internal API: Delete a pair with its prompts and history
+app.delete('/api/pairs/:id', async (req, res) => {
+  try {
+    const deleted = await updateConfig(config => {
+      if (!config.pairs[req.params.id]) return false;
+      delete config.pairs[req.params.id];
+    });
+    if (deleted === false) {
+      return res.status(404).json({ error: 'Pair not found' });
+    }
+
+    await deletePairData(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting pair:', error);
+    res.status(500).json({ error: 'Failed to delete pair' });
+  }
+});
+
 // Internal API: Reset configuration
 app.post('/api/config/reset', async (req, res) => {
   try {
-    // Reset config to defaults
-    await writeConfig(DEFAULT_CONFIG);
+    // Delete all stored state (config falls back to defaults)
+    await clearStorage();
     
-    // Delete all traces (except settings traces)
+    // Delete all traces
     const deleteResult = await deleteAllTraces();
     
     res.json({ 
@@ -265,13 +705,15 @@ app.post('/api/config/reset', async (req, res) => {
 });
 
 // Webhook endpoint for Telegram
-app.post('/api/webhook', async (req, res) => {
+// Answers as soon as the update is recorded; stylization and delivery continue in the background
+app.post('/api/webhook', requireWebhookSecret, async (req, res) => {
   try {
-    const botModule = await import('./bot.js');
-    let message = req.body.message || req.body.edited_message || req.body.channel_post || req.body.edited_channel_post;
-    if (message?.from) {
-      await botModule.handleMessage(message);
+    const { claimed, processing } = receiveUpdate(req.body);
+    if (!await claimed) {
+      console.log(`[Webhook] Update ${req.body.update_id} already received, skipped`);
     }
+    // Keeps the function alive until processing is done; a no-op outside Vercel
+    waitUntil(processing);
     res.status(200).send('OK');
   } catch (error) {
     console.error('Webhook error:', error);
@@ -281,27 +723,30 @@ app.post('/api/webhook', async (req, res) => {
 
 // Health check endpoints
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: Date.now() });
+  res.json({ status: 'ok', timestamp: Date.now(), circuits: getCircuitStates() });
 });
 
 app.get('/health/kv', async (req, res) => {
   try {
     const { getOpikClient } = await import('./opik.js');
-    const client = getOpikClient();
-    res.json({ status: client ? 'ok' : 'not_configured', storage: 'opik', connected: !!client, timestamp: Date.now() });
+    const store = getStore();
+    const needsOpik = store.name === 'opik';
+    const connected = !needsOpik || !!getOpikClient();
+    res.json({ status: connected ? 'ok' : 'not_configured', storage: store.name, connected, timestamp: Date.now() });
   } catch (error) {
-    res.status(500).json({ status: 'error', message: error.message, storage: 'opik' });
+    res.status(500).json({ status: 'error', message: error.message });
   }
 });
 
-// API: Fetch traces with evaluation metrics
+// API: Fetch traces with evaluation metrics (optionally for one pair: ?pair=<id>)
 app.get('/api/traces/evaluations', async (req, res) => {
   try {
     const traces = await searchOpikTraces(50);
+    const pairId = req.query.pair;
 
     // Filter traces with message_type = 'stylize', sort by newest first, take last 10
     const styledTraces = traces
-      .filter(t => t.metadata?.message_type === 'stylize')
+      .filter(t => t.metadata?.message_type === 'stylize' && (!pairId || t.metadata?.pair_id === pairId))
       .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
       .slice(0, 10)
       .map((t) => {
@@ -327,7 +772,7 @@ app.get('/api/traces/evaluations', async (req, res) => {
       });
 
     // Calculate average scores
-    const metrics = ['completeness', 'perspective', 'clarity', 'grammar', 'appropriateness', 'naturalness'];
+    const metrics = ['completeness', 'perspective', 'clarity', 'grammar', 'appropriateness', 'naturalness', 'user_rating'];
     const totals = {};
     const counts = {};
 
@@ -358,14 +803,18 @@ app.get('/api/traces/evaluations', async (req, res) => {
   }
 });
 
-// API: Fetch user feedback from prompt configs
+// API: Fetch user feedback from prompt configs of a pair (?pair=<id>)
 app.get('/api/feedback', async (req, res) => {
   try {
     // Get user's language preference for translations
     const config = await readConfig();
     const userLang = config.language || 'en';
     
-    const allConfigs = await getPromptConfig();
+    if (!config.pairs[req.query.pair]) {
+      return res.json({ feedback: [] });
+    }
+    
+    const allConfigs = await getPromptConfig(req.query.pair);
     const feedback = [];
     
     for (const [style, languages] of Object.entries(allConfigs)) {
@@ -395,32 +844,183 @@ app.get('/api/feedback', async (req, res) => {
   }
 });
 
-// API: Scheduled icebreaker trigger (called by GitHub Actions cron)
-// Uses random probability to trigger at random times throughout the day
-app.post('/api/cron/icebreaker', async (req, res) => {
+// API: Icebreaker success rate of a pair by mode and style, and what was learned from it (?pair=<id>)
+app.get('/api/icebreakers/stats', async (req, res) => {
   try {
-    // Random trigger: ~1/24 chance per hour (avg once per day)
-    const triggerProbability = 1 / 24;
-    const random = Math.random();
-    
-    console.log(`[CRON] Random check: ${random.toFixed(4)} vs ${triggerProbability.toFixed(4)}`);
-    
-    if (random > triggerProbability) {
-      return res.json({ 
-        success: true, 
-        triggered: false, 
-        reason: 'Random skip',
-        nextAttempt: 'Next hour'
-      });
+    const config = await readConfig();
+    const userLang = config.language || 'en';
+
+    if (!config.pairs[req.query.pair]) {
+      return res.status(404).json({ error: 'Pair not found' });
     }
-    
-    // Check if icebreaker is due and send to both users
+
+    const { sent, pending, byMode, byStyle, adaptation } = await getIcebreakerStats(req.query.pair);
+    const rows = [
+      ...Object.entries(byMode).map(([mode, group]) => ({ type: 'mode', key: mode, name: getIcebreakerModeName(mode, userLang), ...group })),
+      ...Object.entries(byStyle).map(([style, group]) => ({ type: 'style', key: style, name: translateStyleName(style, userLang), ...group })),
+    ];
+
+    res.json({ sent, pending, rows, adaptation });
+  } catch (error) {
+    console.error('Error fetching icebreaker stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Prompt versions of a pair (?pair=<id>), one entry per style/language that has history
+app.get('/api/prompts', async (req, res) => {
+  try {
+    const config = await readConfig();
+    const userLang = config.language || 'en';
+
+    if (!config.pairs[req.query.pair]) {
+      return res.status(404).json({ error: 'Pair not found' });
+    }
+
+    const allConfigs = await getPromptConfig(req.query.pair);
+    const prompts = [];
+
+    for (const [style, languages] of Object.entries(allConfigs)) {
+      for (const [language, promptConfig] of Object.entries(languages)) {
+        if (!promptConfig.versions?.length) continue;
+        prompts.push({
+          style,
+          styleName: translateStyleName(style, userLang),
+          language,
+          languageName: translateLanguageName(language, userLang),
+          locked: !!promptConfig.locked,
+          lockReason: promptConfig.lockReason,
+          activeVersion: promptConfig.activeVersion,
+          candidate: promptConfig.candidate ? {
+            source: promptConfig.candidate.source,
+            note: promptConfig.candidate.note,
+            createdAt: promptConfig.candidate.createdAt,
+          } : null,
+          versions: promptConfig.versions.map(({ prompt, ...version }) => version).reverse(),
+        });
+      }
+    }
+
+    res.json({ prompts });
+  } catch (error) {
+    console.error('Error fetching prompt versions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Prompt styles a pair can have: the presets, translation only, and each user's custom style
+const PROMPT_STYLES = [...getAvailableStyles(), 'neutral', 'custom-A', 'custom-B'];
+
+/**
+ * Find the stored prompt a request names, answering 400/404 if there is none
+ * Languages are not checked against a list: custom languages are stored under their own name.
+ *
+ * @param {Object} res - Express response
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Prompt style key
+ * @param {string} language - Language
+ * @returns {Promise<Object|null>} - Prompt config, or null once an error was sent
+ */
+async function findRequestedPrompt(res, pairId, style, language) {
+  if ([pairId, style, language].some(value => typeof value !== 'string' || !value)) {
+    res.status(400).json({ error: 'pair, style and language are required' });
+    return null;
+  }
+  if (!PROMPT_STYLES.includes(style)) {
+    res.status(400).json({ error: 'Unsupported style' });
+    return null;
+  }
+
+  const config = await readConfig();
+  if (!config.pairs[pairId]) {
+    res.status(404).json({ error: 'Pair not found' });
+    return null;
+  }
+
+  // Prompts that were never improved have no entry
+  const promptConfig = (await getPromptConfig(pairId))[style]?.[language];
+  if (!promptConfig) {
+    res.status(404).json({ error: 'Prompt not found' });
+    return null;
+  }
+  return promptConfig;
+}
+
+// API: Line diff between two prompt versions (?pair=&style=&language=&from=&to=)
+app.get('/api/prompts/diff', async (req, res) => {
+  try {
+    const { pair, style, language } = req.query;
+    const promptConfig = await findRequestedPrompt(res, pair, style, language);
+    if (!promptConfig) return;
+
+    const { versions = [] } = promptConfig;
+    const from = versions.find(v => v.id === Number(req.query.from));
+    const to = versions.find(v => v.id === Number(req.query.to));
+
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ from: from.id, to: to.id, diff: diffLines(from.prompt, to.prompt) });
+  } catch (error) {
+    console.error('Error diffing prompt versions:', error);
+    res.status(500).json({ error: 'Failed to diff prompt versions' });
+  }
+});
+
+// Internal API: Roll back to a prompt version, optionally pinning it
+app.post('/api/prompts/rollback', async (req, res) => {
+  try {
+    const { pairId, style, language, versionId, pin } = req.body;
+    if (!await findRequestedPrompt(res, pairId, style, language)) return;
+
+    const updated = await activatePromptVersion(pairId, style, language, Number(versionId), !!pin);
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    console.log(`Prompt ${pairId} ${style}/${language} rolled back to version ${versionId}${pin ? ' (pinned)' : ''}`);
+    res.json({ success: true, activeVersion: updated.activeVersion, locked: updated.locked });
+  } catch (error) {
+    console.error('Error rolling back prompt:', error);
+    res.status(500).json({ error: 'Failed to roll back prompt' });
+  }
+});
+
+// Internal API: Unpin a prompt so improvements apply again
+app.post('/api/prompts/unpin', async (req, res) => {
+  try {
+    const { pairId, style, language } = req.body;
+    if (!await findRequestedPrompt(res, pairId, style, language)) return;
+
+    await unpinPrompt(pairId, style, language);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unpinning prompt:', error);
+    res.status(500).json({ error: 'Failed to unpin prompt' });
+  }
+});
+
+// API: Scheduled icebreaker trigger (called by GitHub Actions cron)
+// Sends to every pair whose stored due time has passed, and delivers messages deferred for quiet hours
+app.post('/api/cron/icebreaker', requireCronAuth, async (req, res) => {
+  try {
+    // Webhook updates whose background processing was cut off
+    const retriedUpdates = await retryStaleUpdates();
+
+    // Messages held back until the end of a user's quiet hours
+    const deliveredMessages = await deliverDeferredMessages(getBot());
+
+    // Check which pairs are due and send to both users of each
     await triggerScheduledIcebreaker(sendToUser);
     
     res.json({ 
       success: true, 
       sent: true,
-      message: 'Icebreakers sent to both users'
+      retriedUpdates,
+      deliveredMessages,
+      message: 'Icebreakers sent to due pairs'
     });
   } catch (error) {
     console.error('Error in scheduled icebreaker:', error);
@@ -0,0 +1,1207 @@
+/**
+ * Storage Module
+ *
+ * Persists bot state (config, pairs, prompt configs, conversation history)
+ * behind a small key-value interface so tracing and state stay separate.
+ * Prompt configs and history are kept per pair.
+ *
+ * Backend is chosen by STORAGE_BACKEND:
+ * - file   (default without Opik) - JSON file at STORAGE_FILE
+ * - opik   (default with OPIK_API_KEY) - Opik traces, see opik-store.js
+ * - memory - process memory only
+ *
+ * @module storage
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { createFileStore, createMemoryStore } from './file-store.js';
+import { createOpikStore } from './opik-store.js';
+
+dotenv.config();
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+export const STORAGE_CONFIG = {
+  backend: process.env.STORAGE_BACKEND || (process.env.OPIK_API_KEY ? 'opik' : 'file'),
+  filePath: process.env.STORAGE_FILE || path.join(process.cwd(), 'data', 'storage.json'),
+};
+
+const CONFIG_KEY = 'config';
+const PROMPTS_KEY = 'prompts';
+const HISTORY_KEY = 'history';
+const LINKS_KEY = 'links';
+const DRAFTS_KEY = 'drafts';
+const UPDATES_KEY = 'updates';
+const SCHEDULE_KEY = 'schedule';
+const OUTBOX_KEY = 'outbox';
+const ICEBREAKERS_KEY = 'icebreakers';
+const QUEUE_KEY = 'queue';
+
+/** @type {number} Maximum number of history entries kept */
+const HISTORY_LIMIT = 100;
+
+/** @type {number} Maximum number of message links kept per pair */
+const LINKS_LIMIT = 500;
+
+/** @type {number} How long an unanswered preview draft is kept */
+const DRAFT_TTL_HOURS = 24;
+
+/** @type {number} Number of webhook update IDs remembered to skip redelivered updates */
+const UPDATES_LIMIT = 1000;
+
+/** @type {number} Maximum number of sent icebreakers remembered per pair */
+const ICEBREAKERS_LIMIT = 200;
+
+/** @type {number} Maximum number of prompt versions kept per style/language */
+const PROMPT_VERSIONS_LIMIT = 30;
+
+// ============================================================================
+// BACKEND SELECTION
+// ============================================================================
+
+let store = null;
+
+function createStore(backend) {
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'opik':
+      return createOpikStore();
+    case 'file':
+      return createFileStore(STORAGE_CONFIG.filePath);
+    default:
+      console.warn(`Unknown STORAGE_BACKEND "${backend}". Using file storage.`);
+      return createFileStore(STORAGE_CONFIG.filePath);
+  }
+}
+
+/**
+ * Get the active store, creating it on first use
+ *
+ * @returns {Object} - Store implementing get/set/delete/clear
+ */
+export function getStore() {
+  if (!store) {
+    store = createStore(STORAGE_CONFIG.backend);
+    console.log(`Storage backend: ${store.name}`);
+  }
+  return store;
+}
+
+/**
+ * Replace the active store (tests, custom backends)
+ *
+ * @param {Object} customStore - Store implementing get/set/delete/clear
+ */
+export function setStore(customStore) {
+  store = customStore;
+}
+
+// ============================================================================
+// WRITE LOCKS
+// ============================================================================
+
+// Key -> last pending update of that key; later updates wait for it
+const keyLocks = new Map();
+
+/**
+ * Read, change and write back one stored value, one update per key at a time
+ * Values are read and written whole, so two overlapping updates of a key (both
+ * partners sending at once) would otherwise drop one of them. The lock covers
+ * every update this process makes.
+ *
+ * @param {string} key - Storage key
+ * @param {Function} change - (stored value or null) => new value, or undefined to leave it unchanged
+ * @returns {Promise<void>}
+ */
+async function updateValue(key, change) {
+  const previous = keyLocks.get(key) || Promise.resolve();
+  const update = previous.then(async () => {
+    const next = await change(await getStore().get(key));
+    if (next !== undefined) {
+      await getStore().set(key, next);
+    }
+  });
+
+  const settled = update.catch(() => {});
+  keyLocks.set(key, settled);
+  settled.then(() => {
+    if (keyLocks.get(key) === settled) keyLocks.delete(key);
+  });
+
+  return update;
+}
+
+/**
+ * Delete all stored state
+ */
+export async function clearStorage() {
+  await getStore().clear();
+}
+
+// ============================================================================
+// CONFIG MANAGEMENT
+// ============================================================================
+
+export const DEFAULT_CONFIG = {
+  language: 'en',
+  // Provider and model per LLM task ({ stylize: { provider, model }, ... }); missing tasks use env defaults
+  llm: {},
+  // Share of messages that get a candidate prompt, and scored traces each side needs before deciding
+  abTest: { candidateShare: 0.2, minSamples: 10 },
+  pairs: {}
+};
+
+/** Settings of a single conversation pair (User A <-> User B) */
+export const DEFAULT_PAIR = {
+  id: null,
+  createdAt: null,
+  // style, customStyle and stylizationEnabled apply to the user's outgoing messages; paused stops relaying both ways
+  // timezone is an IANA name; quietStart/quietEnd ('HH:MM', empty = off) hold back bot-initiated messages,
+  // silentInQuiet delivers relayed messages without a notification during quiet hours
+  userA: { telegramId: null, username: null, language: 'auto', customLanguage: '', previewEnabled: false, style: 'friendly', customStyle: '', stylizationEnabled: true, paused: false, timezone: 'UTC', quietStart: '', quietEnd: '', silentInQuiet: false },
+  userB: { telegramId: null, username: null, language: 'auto', customLanguage: '', previewEnabled: false, style: 'friendly', customStyle: '', stylizationEnabled: true, paused: false, timezone: 'UTC', quietStart: '', quietEnd: '', silentInQuiet: false },
+  icebreakerPeriodDays: 7,
+  // Mode from ICEBREAKER_MODES, topic weights by ICEBREAKER_TOPICS key (prompts.js), days an opener isn't repeated
+  icebreakerMode: 'individual',
+  icebreakerTopics: {},
+  icebreakerRepeatDays: 30,
+  invite: null
+};
+
+/** @type {number} How long an invite code stays valid */
+export const INVITE_TTL_HOURS = 48;
+
+const LEGACY_PAIR_ID = 'default';
+const LEGACY_PAIR_FIELDS = ['userA', 'userB', 'style', 'customStyle', 'stylizationEnabled', 'icebreakerPeriodDays'];
+const PAIR_STYLE_FIELDS = ['style', 'customStyle', 'stylizationEnabled'];
+
+/**
+ * Move single-pair settings stored before multi-pair support into pairs.default
+ */
+function migrateLegacyConfig(stored) {
+  if (!stored.userA && !stored.userB) return stored;
+
+  const { pairs = {}, ...rest } = stored;
+  const legacyPair = { ...structuredClone(DEFAULT_PAIR), id: LEGACY_PAIR_ID, createdAt: new Date().toISOString() };
+  for (const field of LEGACY_PAIR_FIELDS) {
+    if (rest[field] !== undefined) legacyPair[field] = rest[field];
+    delete rest[field];
+  }
+
+  return { ...rest, pairs: { [LEGACY_PAIR_ID]: legacyPair, ...pairs } };
+}
+
+/**
+ * Fill in user defaults and move pair-wide style settings (stored before
+ * per-user styles) onto both users
+ */
+function migratePair(pair) {
+  const migrated = { ...structuredClone(DEFAULT_PAIR), ...pair };
+  for (const role of ['userA', 'userB']) {
+    const user = { ...structuredClone(DEFAULT_PAIR[role]) };
+    for (const field of PAIR_STYLE_FIELDS) {
+      if (pair[field] !== undefined) user[field] = pair[field];
+    }
+    migrated[role] = { ...user, ...pair[role] };
+  }
+  for (const field of PAIR_STYLE_FIELDS) {
+    delete migrated[field];
+  }
+  return migrated;
+}
+
+function toConfig(stored) {
+  if (!stored) return structuredClone(DEFAULT_CONFIG);
+
+  const config = { ...structuredClone(DEFAULT_CONFIG), ...migrateLegacyConfig(stored) };
+  for (const [id, pair] of Object.entries(config.pairs)) {
+    config.pairs[id] = migratePair(pair);
+  }
+  return config;
+}
+
+export async function readConfig() {
+  try {
+    return toConfig(await getStore().get(CONFIG_KEY));
+  } catch (error) {
+    console.error('Failed to read config:', error.message);
+  }
+
+  return structuredClone(DEFAULT_CONFIG);
+}
+
+export async function writeConfig(config) {
+  try {
+    await updateValue(CONFIG_KEY, () => config);
+  } catch (error) {
+    console.error('Failed to write config:', error.message);
+  }
+}
+
+/**
+ * Change the config under its write lock
+ * The config holds every pair, so changes must start from the latest stored
+ * config: a config read earlier would undo what other pairs changed meanwhile.
+ *
+ * @param {Function} change - (config) => result; changes config in place, returns false to write nothing
+ * @returns {Promise<*>} - What change returned
+ */
+export async function updateConfig(change) {
+  let result;
+  await updateValue(CONFIG_KEY, async stored => {
+    const config = toConfig(stored);
+    result = await change(config);
+    return result === false ? undefined : config;
+  });
+  return result;
+}
+
+/**
+ * Change one pair under the config write lock
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Function} change - (pair) => void; changes the pair in place, returns false to write nothing
+ * @returns {Promise<Object|null>} - Updated pair, or null if the pair doesn't exist or nothing was changed
+ */
+export async function updatePair(pairId, change) {
+  let updated = null;
+  await updateConfig(async config => {
+    const pair = config.pairs[pairId];
+    if (!pair) return false;
+
+    if (await change(pair) === false) return false;
+    updated = pair;
+  });
+  return updated;
+}
+
+// ============================================================================
+// PAIR MANAGEMENT
+// ============================================================================
+
+/**
+ * Add a new empty pair with a fresh invite code to the config (call inside updateConfig)
+ *
+ * @param {Object} config - The bot configuration
+ * @returns {Object} - The new pair
+ */
+export function createPair(config) {
+  let id;
+  do {
+    id = randomBytes(4).toString('hex');
+  } while (config.pairs[id]);
+
+  const pair = { ...structuredClone(DEFAULT_PAIR), id, createdAt: new Date().toISOString() };
+  createInvite(pair);
+  config.pairs[id] = pair;
+  return pair;
+}
+
+/**
+ * Issue a new invite code for the next open slot of a pair, replacing any previous one
+ * Codes are URL-safe so they fit a t.me/<bot>?start=<code> deep link.
+ *
+ * @param {Object} pair - The pair
+ * @returns {Object} - Invite { code, expiresAt }
+ */
+export function createInvite(pair) {
+  pair.invite = {
+    code: randomBytes(9).toString('base64url'),
+    expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+  };
+  return pair.invite;
+}
+
+/**
+ * Find the pair a valid invite code belongs to
+ * Expired codes and pairs without an open slot don't match.
+ *
+ * @param {Object} config - The bot configuration
+ * @param {string} code - Invite code from the /start payload
+ * @returns {Object|null} - Pair, or null if the code is unknown, expired or used up
+ */
+export function findPairByInvite(config, code) {
+  const pair = Object.values(config.pairs).find(p => p.invite?.code === code);
+  if (!pair) return null;
+
+  if (new Date(pair.invite.expiresAt).getTime() <= Date.now()) return null;
+  if (pair.userA.telegramId && pair.userB.telegramId) return null;
+
+  return pair;
+}
+
+/**
+ * Find the pair a Telegram user belongs to
+ *
+ * @param {Object} config - The bot configuration
+ * @param {number} telegramId - The Telegram user ID
+ * @returns {{pair: Object, role: string}|null} - Pair and role ('A' or 'B'), or null
+ */
+export function findPairByUser(config, telegramId) {
+  for (const pair of Object.values(config.pairs)) {
+    if (pair.userA.telegramId === telegramId) return { pair, role: 'A' };
+    if (pair.userB.telegramId === telegramId) return { pair, role: 'B' };
+  }
+  return null;
+}
+
+/**
+ * Get pairs sorted by creation time
+ *
+ * @param {Object} config - The bot configuration
+ * @returns {Object[]} - Pairs
+ */
+export function listPairs(config) {
+  return Object.values(config.pairs)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Delete all per-pair state (prompts, history, message links, drafts, icebreaker schedule)
+ *
+ * @param {string} pairId - Pair ID
+ */
+export async function deletePairData(pairId) {
+  try {
+    await getStore().delete(pairKey(PROMPTS_KEY, pairId));
+    await getStore().delete(pairKey(HISTORY_KEY, pairId));
+    await getStore().delete(pairKey(LINKS_KEY, pairId));
+    await getStore().delete(pairKey(DRAFTS_KEY, pairId));
+    await getStore().delete(pairKey(SCHEDULE_KEY, pairId));
+    await getStore().delete(pairKey(OUTBOX_KEY, pairId));
+    await getStore().delete(pairKey(ICEBREAKERS_KEY, pairId));
+  } catch (error) {
+    console.error('Failed to delete pair data:', error.message);
+  }
+}
+
+function pairKey(key, pairId) {
+  return `${key}:${pairId}`;
+}
+
+// ============================================================================
+// PROMPT MANAGEMENT
+// ============================================================================
+
+export function getDefaultPromptConfig() {
+  return {
+    prompt: null,
+    locked: false,
+    lockReason: null,
+    lockDate: null,
+    lastImprovement: null,
+    comments: [],
+    improvementCount: 0,
+    // Every prompt the config has had; activeVersion is the ID of the live one
+    versions: [],
+    activeVersion: null,
+    // Improved prompt under A/B test against the live one, if any
+    candidate: null,
+  };
+}
+
+async function readPrompts(pairId) {
+  const stored = await getStore().get(pairKey(PROMPTS_KEY, pairId));
+  return stored?.prompts || {};
+}
+
+/**
+ * Get prompt configs of a pair - filter locally by style and language
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Style to filter (optional)
+ * @param {string} language - Language to filter (optional)
+ * @returns {Object|Object} - All configs, or single config if style+language provided
+ */
+export async function getPromptConfig(pairId, style, language) {
+  try {
+    const all = await readPrompts(pairId);
+
+    if (style && language) {
+      return all[style]?.[language] || getDefaultPromptConfig();
+    }
+    return all;
+  } catch (error) {
+    console.error('Failed to get prompt config:', error.message);
+  }
+  return style && language ? getDefaultPromptConfig() : {};
+}
+
+/**
+ * Update one prompt config of a pair
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Style
+ * @param {string} language - Language
+ * @param {Object|Function} config - Fields to merge, or (current config) => fields to merge, or false to leave it unchanged
+ * @returns {Promise<Object|null>} - Updated prompt config, or null if the change left it unchanged
+ */
+export async function updatePromptConfig(pairId, style, language, config) {
+  let updated = null;
+  try {
+    await updateValue(pairKey(PROMPTS_KEY, pairId), stored => {
+      const prompts = stored?.prompts || {};
+      const current = { ...getDefaultPromptConfig(), ...prompts[style]?.[language] };
+      const changes = typeof config === 'function' ? config(current) : config;
+      if (changes === false) return undefined;
+
+      // Update the specific prompt
+      if (!prompts[style]) prompts[style] = {};
+      prompts[style][language] = updated = { ...current, ...changes };
+      return { ...stored, prompts };
+    });
+    return updated;
+  } catch (error) {
+    console.error('Failed to update prompt:', error.message);
+    return updated || { ...getDefaultPromptConfig(), ...(typeof config === 'function' ? {} : config) };
+  }
+}
+
+/**
+ * Fields that make a new prompt version live, for use inside an updatePromptConfig() change
+ * The first saved version is preceded by the prompt it replaces, so there is always a version to roll back to.
+ *
+ * @param {Object} config - Current prompt config
+ * @param {Object} version - New version
+ * @param {string} version.prompt - Prompt text
+ * @param {string} version.source - What produced it: 'user feedback', 'evaluation', ...
+ * @param {string} [version.note] - Feedback comment or low metrics behind the change
+ * @param {Object} [version.scores] - Evaluation score averages known when the version was created
+ * @param {string} [version.basePrompt] - Prompt in use before the first saved version
+ * @returns {Object} - { prompt, activeVersion, versions }
+ */
+export function addPromptVersion(config, version) {
+  const versions = [...(config.versions || [])];
+  const timestamp = new Date().toISOString();
+
+  if (versions.length === 0 && version.basePrompt) {
+    versions.push({ id: 1, prompt: version.basePrompt, source: 'initial', note: null, scores: null, timestamp });
+  }
+
+  const entry = {
+    id: (versions[versions.length - 1]?.id || 0) + 1,
+    prompt: version.prompt,
+    source: version.source,
+    note: version.note || null,
+    scores: version.scores || null,
+    timestamp,
+  };
+  versions.push(entry);
+
+  return {
+    prompt: entry.prompt,
+    activeVersion: entry.id,
+    versions: versions.slice(-PROMPT_VERSIONS_LIMIT),
+  };
+}
+
+/**
+ * Make a new prompt version live (see addPromptVersion)
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Style
+ * @param {string} language - Language
+ * @param {Object} version - New version, see addPromptVersion()
+ * @param {Object} changes - Other prompt config fields to update in the same write
+ * @returns {Promise<Object>} - Updated prompt config
+ */
+export async function savePromptVersion(pairId, style, language, version, changes = {}) {
+  return updatePromptConfig(pairId, style, language, config => ({ ...changes, ...addPromptVersion(config, version) }));
+}
+
+/**
+ * Roll back to a stored prompt version, optionally pinning it
+ * A pinned prompt is not changed by feedback or evaluation improvements.
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Style
+ * @param {string} language - Language
+ * @param {number} versionId - Version to make live
+ * @param {boolean} pin - Also pin the version
+ * @returns {Promise<Object|null>} - Updated prompt config, or null if the version doesn't exist
+ */
+export async function activatePromptVersion(pairId, style, language, versionId, pin = false) {
+  // Looked up under the write lock, so a version list or pin changed meanwhile is taken into account
+  return updatePromptConfig(pairId, style, language, config => {
+    const version = (config.versions || []).find(v => v.id === versionId);
+    if (!version) return false;
+
+    const changes = { prompt: version.prompt, activeVersion: version.id, candidate: null };
+    if (pin) {
+      Object.assign(changes, { locked: true, lockReason: `Pinned version ${version.id}`, lockDate: new Date().toISOString() });
+    }
+    return changes;
+  });
+}
+
+/**
+ * Start an A/B test of an improved prompt against the live one
+ * The candidate gets its own ID, so traces of messages it served can be told apart.
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Style
+ * @param {string} language - Language
+ * @param {Object} version - Candidate version, same fields as for savePromptVersion()
+ * @param {Object} changes - Other prompt config fields to update in the same write
+ * @returns {Promise<Object>} - Updated prompt config
+ */
+export async function setPromptCandidate(pairId, style, language, version, changes = {}) {
+  return updatePromptConfig(pairId, style, language, {
+    ...changes,
+    candidate: { ...version, id: `candidate-${randomBytes(4).toString('hex')}`, createdAt: new Date().toISOString() },
+  });
+}
+
+/**
+ * Make the candidate prompt the new live version
+ * Only the candidate that was tested is promoted: if another one replaced it meanwhile, nothing changes.
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Style
+ * @param {string} language - Language
+ * @param {string} candidateId - ID of the tested candidate
+ * @param {Object} scores - Score averages the candidate reached in the test
+ * @returns {Promise<Object|null>} - Updated prompt config, or null if that candidate is gone
+ */
+export async function promotePromptCandidate(pairId, style, language, candidateId, scores) {
+  return updatePromptConfig(pairId, style, language, config => {
+    if (!config.candidate || config.candidate.id !== candidateId) return false;
+
+    const { id, createdAt, ...version } = config.candidate;
+    return { ...addPromptVersion(config, { ...version, scores }), candidate: null };
+  });
+}
+
+/**
+ * Drop the candidate prompt and keep the live one
+ * Like promotePromptCandidate, only drops the candidate that was tested.
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Style
+ * @param {string} language - Language
+ * @param {string} candidateId - ID of the tested candidate
+ * @returns {Promise<Object|null>} - Updated prompt config, or null if that candidate is gone
+ */
+export async function discardPromptCandidate(pairId, style, language, candidateId) {
+  return updatePromptConfig(pairId, style, language, config =>
+    config.candidate?.id === candidateId ? { candidate: null } : false
+  );
+}
+
+/**
+ * Unpin a prompt so improvements can change it again
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} style - Style
+ * @param {string} language - Language
+ * @returns {Promise<Object>} - Updated prompt config
+ */
+export async function unpinPrompt(pairId, style, language) {
+  return updatePromptConfig(pairId, style, language, { locked: false, lockReason: null, lockDate: null });
+}
+
+export async function getAllPromptConfigs(pairId) {
+  return getPromptConfig(pairId);
+}
+
+// ============================================================================
+// CONVERSATION HISTORY
+// ============================================================================
+
+async function readHistory(pairId) {
+  const stored = await getStore().get(pairKey(HISTORY_KEY, pairId));
+  return stored?.messages || [];
+}
+
+/**
+ * Append an entry to the conversation history of a pair
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Object} entry - History entry
+ * @param {string} entry.type - 'message' or 'icebreaker'
+ * @param {string} entry.senderRole - 'A' or 'B' (messages only)
+ * @param {string} entry.username - Sender username (messages only)
+ * @param {string} entry.stylizedText - Text delivered to the recipient
+ * @param {string|null} entry.traceId - Trace of the LLM call, if any
+ */
+export async function appendMessage(pairId, entry) {
+  try {
+    await updateValue(pairKey(HISTORY_KEY, pairId), stored => {
+      const messages = stored?.messages || [];
+      messages.push({ timestamp: new Date().toISOString(), ...entry });
+      return { messages: messages.slice(-HISTORY_LIMIT) };
+    });
+  } catch (error) {
+    console.error('Failed to append message:', error.message);
+  }
+}
+
+/**
+ * Get recent relayed messages of a pair, oldest first
+ *
+ * @param {string} pairId - Pair ID
+ * @param {number} limit - Max number of messages
+ * @returns {Promise<Array>} - Messages
+ */
+export async function fetchRecentMessages(pairId, limit = 20) {
+  try {
+    const messages = await readHistory(pairId);
+
+    return messages
+      .filter(m => m.type === 'message' && m.stylizedText)
+      .slice(-limit)
+      .map(m => ({
+        senderRole: m.senderRole || 'A',
+        username: m.username || '',
+        originalText: m.originalText ?? m.stylizedText,
+        stylizedText: m.stylizedText,
+        timestamp: m.timestamp,
+        traceId: m.traceId || null,
+      }));
+  } catch (error) {
+    console.error('Failed to fetch recent messages:', error.message);
+    return [];
+  }
+}
+
+// ============================================================================
+// MESSAGE LINKS
+// ============================================================================
+
+async function readLinks(pairId) {
+  const stored = await getStore().get(pairKey(LINKS_KEY, pairId));
+  return stored?.links || [];
+}
+
+/**
+ * Remember which relayed copy belongs to an original message
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Object} link - Message link
+ * @param {string} link.senderRole - 'A' or 'B'
+ * @param {{chatId: number, messageId: number}} link.source - Original message in the sender's chat
+ * @param {{chatId: number, messageId: number}} link.copy - Relayed copy in the recipient's chat
+ * @param {string|null} link.mediaType - Content type of media messages, null for text
+ * @param {string} link.originalText - Text or caption as the sender wrote it
+ * @param {string} link.stylizedText - Text or caption of the relayed copy
+ * @param {string|null} link.traceId - Trace of the LLM call, if any
+ * @param {string} [link.style] - Prompt style key the text was rewritten with (feedback target)
+ * @param {string} [link.customStyle] - Sender's custom style description, for custom styles
+ * @param {string} [link.language] - Language of the copy
+ */
+export async function saveMessageLink(pairId, link) {
+  try {
+    await updateValue(pairKey(LINKS_KEY, pairId), stored => {
+      const links = stored?.links || [];
+      links.push({ sentAt: new Date().toISOString(), ...link });
+      return { links: links.slice(-LINKS_LIMIT) };
+    });
+  } catch (error) {
+    console.error('Failed to save message link:', error.message);
+  }
+}
+
+/**
+ * Find the link an original message or a relayed copy belongs to
+ *
+ * @param {string} pairId - Pair ID
+ * @param {number} chatId - Chat the message is in
+ * @param {number} messageId - Message ID in that chat
+ * @returns {Promise<Object|null>} - Message link, or null if the message was not relayed
+ */
+export async function findMessageLink(pairId, chatId, messageId) {
+  try {
+    const links = await readLinks(pairId);
+    return links.find(link =>
+      (link.source.chatId === chatId && link.source.messageId === messageId) ||
+      (link.copy.chatId === chatId && link.copy.messageId === messageId)
+    ) || null;
+  } catch (error) {
+    console.error('Failed to find message link:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Update the link of an original message
+ *
+ * @param {string} pairId - Pair ID
+ * @param {{chatId: number, messageId: number}} source - Original message in the sender's chat
+ * @param {Object} changes - Fields to merge into the link
+ * @returns {Promise<Object|null>} - Updated link, or null if the message was not relayed
+ */
+export async function updateMessageLink(pairId, source, changes) {
+  try {
+    let link = null;
+    await updateValue(pairKey(LINKS_KEY, pairId), stored => {
+      const links = stored?.links || [];
+      link = links.find(l => l.source.chatId === source.chatId && l.source.messageId === source.messageId) || null;
+      if (!link) return undefined;
+
+      Object.assign(link, changes);
+      return { links };
+    });
+    return link;
+  } catch (error) {
+    console.error('Failed to update message link:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Find the most recent message a pair member sent that was not unsent yet
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} senderRole - 'A' or 'B'
+ * @param {Function} filter - Extra condition the link must meet (optional)
+ * @returns {Promise<Object|null>} - Message link, or null if there is none
+ */
+export async function findLastMessageLink(pairId, senderRole, filter = () => true) {
+  try {
+    const links = await readLinks(pairId);
+    return links.findLast(link => link.senderRole === senderRole && !link.deletedAt && filter(link)) || null;
+  } catch (error) {
+    console.error('Failed to find last message link:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the ID of the same message in the other chat of a pair
+ *
+ * @param {string} pairId - Pair ID
+ * @param {number} chatId - Chat the message is in
+ * @param {number} messageId - Message ID in that chat
+ * @returns {Promise<number|null>} - Counterpart message ID, or null if unknown
+ */
+export async function getCounterpartMessageId(pairId, chatId, messageId) {
+  const link = await findMessageLink(pairId, chatId, messageId);
+  if (!link) return null;
+
+  return link.source.chatId === chatId && link.source.messageId === messageId
+    ? link.copy.messageId
+    : link.source.messageId;
+}
+
+// ============================================================================
+// PREVIEW DRAFTS
+// ============================================================================
+
+// Drafts older than DRAFT_TTL_HOURS are dropped whenever drafts are read
+function liveDrafts(stored) {
+  const cutoff = Date.now() - DRAFT_TTL_HOURS * 60 * 60 * 1000;
+  return (stored?.drafts || []).filter(draft => new Date(draft.createdAt).getTime() > cutoff);
+}
+
+async function readDrafts(pairId) {
+  return liveDrafts(await getStore().get(pairKey(DRAFTS_KEY, pairId)));
+}
+
+/**
+ * Store a stylized message waiting for the sender's approval
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Object} draft - Draft fields (senderRole, message, sourceText, processedText, traceId, ...)
+ * @returns {Promise<Object>} - Stored draft with its id and createdAt
+ */
+export async function saveDraft(pairId, draft) {
+  const saved = { id: randomBytes(4).toString('hex'), createdAt: new Date().toISOString(), ...draft };
+  await updateValue(pairKey(DRAFTS_KEY, pairId), stored => ({ drafts: [...liveDrafts(stored), saved] }));
+  return saved;
+}
+
+/**
+ * Get a pending draft
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<Object|null>} - Draft, or null if it was resolved or expired
+ */
+export async function getDraft(pairId, draftId) {
+  try {
+    const drafts = await readDrafts(pairId);
+    return drafts.find(draft => draft.id === draftId) || null;
+  } catch (error) {
+    console.error('Failed to get draft:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Update fields of a pending draft
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} draftId - Draft ID
+ * @param {Object} changes - Fields to merge into the draft
+ * @returns {Promise<Object|null>} - Updated draft, or null if it doesn't exist
+ */
+export async function updateDraft(pairId, draftId, changes) {
+  let draft = null;
+  await updateValue(pairKey(DRAFTS_KEY, pairId), stored => {
+    const drafts = liveDrafts(stored);
+    draft = drafts.find(d => d.id === draftId) || null;
+    if (!draft) return undefined;
+
+    Object.assign(draft, changes);
+    return { drafts };
+  });
+  return draft;
+}
+
+/**
+ * Remove a draft and return it, so a double-tapped button resolves it only once
+ *
+ * @param {string} pairId - Pair ID
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<Object|null>} - Removed draft, or null if it was already resolved or expired
+ */
+export async function takeDraft(pairId, draftId) {
+  let draft = null;
+  await updateValue(pairKey(DRAFTS_KEY, pairId), stored => {
+    const drafts = liveDrafts(stored);
+    draft = drafts.find(d => d.id === draftId) || null;
+    if (!draft) return undefined;
+
+    return { drafts: drafts.filter(d => d.id !== draftId) };
+  });
+  return draft;
+}
+
+// ============================================================================
+// WEBHOOK UPDATES
+// ============================================================================
+
+// Claims, completions and retries all change the one shared list, so every change goes through its lock
+function updateUpdates(change) {
+  return updateValue(UPDATES_KEY, stored => {
+    const updates = stored?.updates || [];
+    return change(updates) === false ? undefined : { updates: updates.slice(-UPDATES_LIMIT) };
+  });
+}
+
+/**
+ * Record a webhook update before processing it
+ * The update itself is kept until completeUpdate, so it can be retried if processing dies.
+ *
+ * @param {Object} update - Telegram update
+ * @returns {Promise<boolean>} - False if the update_id was seen before
+ */
+export async function claimUpdate(update) {
+  let isNew = false;
+  await updateUpdates(updates => {
+    if (updates.some(entry => entry.id === update.update_id)) {
+      return false;
+    }
+
+    updates.push({ id: update.update_id, status: 'processing', attempts: 1, startedAt: new Date().toISOString(), update });
+    isNew = true;
+  });
+  return isNew;
+}
+
+/**
+ * Mark a webhook update as processed and drop its stored copy
+ *
+ * @param {number} updateId - Telegram update_id
+ */
+export async function completeUpdate(updateId) {
+  await updateUpdates(updates => {
+    const entry = updates.find(e => e.id === updateId);
+    if (!entry) return false;
+
+    entry.status = 'done';
+    entry.completedAt = new Date().toISOString();
+    delete entry.update;
+  });
+}
+
+/**
+ * Take the updates whose processing didn't finish in time for another attempt
+ * Updates out of attempts are marked failed and dropped.
+ *
+ * @param {number} staleMinutes - How long an update may be processing before it counts as lost
+ * @param {number} maxAttempts - Attempts per update, including the first
+ * @returns {Promise<Array>} - Telegram updates to process again
+ */
+export async function takeStaleUpdates(staleMinutes, maxAttempts) {
+  const retry = [];
+  await updateUpdates(updates => {
+    const cutoff = Date.now() - staleMinutes * 60 * 1000;
+    const stale = updates.filter(e => e.status === 'processing' && new Date(e.startedAt).getTime() < cutoff);
+    if (stale.length === 0) return false;
+
+    for (const entry of stale) {
+      if (entry.attempts >= maxAttempts) {
+        console.error(`[Storage] Update ${entry.id} failed after ${entry.attempts} attempts, dropped`);
+        entry.status = 'failed';
+        delete entry.update;
+        continue;
+      }
+      entry.attempts++;
+      entry.startedAt = new Date().toISOString();
+      retry.push(entry.update);
+    }
+  });
+  return retry;
+}
+
+// ============================================================================
+// CHAT QUEUES
+// ============================================================================
+
+/**
+ * Add a message to the persisted queue of its chat (see queue.js)
+ * Entries older than maxAgeMs belong to handlers that died and are dropped.
+ *
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Telegram message_id
+ * @param {number} maxAgeMs - Age after which an entry no longer counts
+ */
+export async function enterChatQueue(chatId, messageId, maxAgeMs) {
+  await updateValue(pairKey(QUEUE_KEY, chatId), stored => {
+    const cutoff = Date.now() - maxAgeMs;
+    const pending = (stored?.pending || []).filter(entry => entry.id !== messageId && new Date(entry.enteredAt).getTime() > cutoff);
+    pending.push({ id: messageId, enteredAt: new Date().toISOString() });
+    return { pending };
+  });
+}
+
+/**
+ * Remove a message from the persisted queue of its chat
+ *
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Telegram message_id
+ */
+export async function leaveChatQueue(chatId, messageId) {
+  await updateValue(pairKey(QUEUE_KEY, chatId), stored => {
+    if (!stored?.pending?.some(entry => entry.id === messageId)) return undefined;
+    return { pending: stored.pending.filter(entry => entry.id !== messageId) };
+  });
+}
+
+/**
+ * Get the messages still in the persisted queue of a chat
+ *
+ * @param {number|string} chatId - Telegram chat ID
+ * @returns {Promise<Array>} - Entries { id, enteredAt }
+ */
+export async function getChatQueue(chatId) {
+  const stored = await getStore().get(pairKey(QUEUE_KEY, chatId));
+  return stored?.pending || [];
+}
+
+// ============================================================================
+// OUTBOX
+// ============================================================================
+
+/**
+ * Hold a bot-initiated message back until a given time (see quiet-hours.js)
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Object} entry - { role, text, notBefore (ISO date) }
+ */
+export async function addToOutbox(pairId, entry) {
+  await updateValue(pairKey(OUTBOX_KEY, pairId), stored => ({
+    messages: [...(stored?.messages || []), { ...entry, createdAt: new Date().toISOString() }],
+  }));
+}
+
+/**
+ * Remove and return the held-back messages of a pair that may be sent now
+ *
+ * @param {string} pairId - Pair ID
+ * @returns {Promise<Array>} - Entries in the order they were added
+ */
+export async function takeDueOutbox(pairId) {
+  let due = [];
+  await updateValue(pairKey(OUTBOX_KEY, pairId), stored => {
+    const messages = stored?.messages || [];
+    const now = Date.now();
+    due = messages.filter(entry => new Date(entry.notBefore).getTime() <= now);
+    if (due.length === 0) return undefined;
+
+    return { messages: messages.filter(entry => !due.includes(entry)) };
+  });
+  return due;
+}
+
+/**
+ * Put taken messages that could not be sent back at the front of a pair's outbox
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Array} entries - Entries as takeDueOutbox returned them, in order
+ */
+export async function returnToOutbox(pairId, entries) {
+  if (entries.length === 0) return;
+  await updateValue(pairKey(OUTBOX_KEY, pairId), stored => ({
+    messages: [...entries, ...(stored?.messages || [])],
+  }));
+}
+
+// ============================================================================
+// ICEBREAKER TRACKING
+// ============================================================================
+
+function toIcebreakers(data) {
+  return { entries: data?.entries || [], adaptation: data?.adaptation || null };
+}
+
+async function readIcebreakers(pairId) {
+  return toIcebreakers(await getStore().get(pairKey(ICEBREAKERS_KEY, pairId)));
+}
+
+/**
+ * Get the icebreakers sent to a pair
+ *
+ * @param {string} pairId - Pair ID
+ * @returns {Promise<Array>} - Entries { id, mode, topic, texts: { A, B }, styles, traceIds, sentAt, engaged }, oldest first
+ */
+export async function getIcebreakerLog(pairId) {
+  try {
+    return (await readIcebreakers(pairId)).entries;
+  } catch (error) {
+    console.error('Failed to get icebreaker log:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Remember a sent icebreaker (keeps the last ICEBREAKERS_LIMIT)
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Object} entry - { mode, topic, texts: { A, B }, styles, traceIds }
+ * @returns {Promise<Object>} - Stored entry with id and sentAt
+ */
+export async function logIcebreaker(pairId, entry) {
+  const logged = { id: randomBytes(4).toString('hex'), ...entry, sentAt: new Date().toISOString() };
+  await updateValue(pairKey(ICEBREAKERS_KEY, pairId), stored => {
+    const data = toIcebreakers(stored);
+    return { ...data, entries: [...data.entries, logged].slice(-ICEBREAKERS_LIMIT) };
+  });
+  return logged;
+}
+
+/**
+ * Update fields of logged icebreakers, e.g. their engagement outcome
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Object} changesById - Entry id -> fields to set
+ */
+export async function updateIcebreakers(pairId, changesById) {
+  await updateValue(pairKey(ICEBREAKERS_KEY, pairId), stored => {
+    const data = toIcebreakers(stored);
+    for (const entry of data.entries) {
+      if (changesById[entry.id]) Object.assign(entry, changesById[entry.id]);
+    }
+    return data;
+  });
+}
+
+/**
+ * Get what was learned from a pair's icebreaker engagement (see icebreaker-feedback.js)
+ *
+ * @param {string} pairId - Pair ID
+ * @returns {Promise<Object|null>} - { guidance, intervalFactor, lastCheckAt, lastRate, updatedAt }, or null before the first check
+ */
+export async function getIcebreakerAdaptation(pairId) {
+  try {
+    return (await readIcebreakers(pairId)).adaptation;
+  } catch (error) {
+    console.error('Failed to get icebreaker adaptation:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store what was learned from a pair's icebreaker engagement
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Object} adaptation - { guidance, intervalFactor, lastCheckAt, lastRate }
+ */
+export async function setIcebreakerAdaptation(pairId, adaptation) {
+  await updateValue(pairKey(ICEBREAKERS_KEY, pairId), stored => ({
+    ...toIcebreakers(stored),
+    adaptation: { ...adaptation, updatedAt: new Date().toISOString() },
+  }));
+}
+
+/**
+ * Get last activity timestamp of a pair (last relayed message or icebreaker)
+ *
+ * @param {string} pairId - Pair ID
+ * @returns {Promise<number|null>} - Timestamp in ms, or null if no activity yet
+ */
+export async function getLastActivityTimestamp(pairId) {
+  try {
+    const messages = await readHistory(pairId);
+    const last = messages[messages.length - 1];
+
+    if (last?.timestamp) {
+      return new Date(last.timestamp).getTime();
+    }
+  } catch (error) {
+    console.error('Failed to get last activity:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Get the stored icebreaker schedule of a pair
+ *
+ * @param {string} pairId - Pair ID
+ * @returns {Promise<Object|null>} - { nextDueAt, reason, updatedAt }, or null if none was stored yet
+ */
+export async function getIcebreakerSchedule(pairId) {
+  try {
+    return await getStore().get(pairKey(SCHEDULE_KEY, pairId));
+  } catch (error) {
+    console.error('Failed to get icebreaker schedule:', error.message);
+    return null;
+  }
+}
+
+function toSchedule(nextDueAt, reason) {
+  return {
+    nextDueAt: new Date(nextDueAt).toISOString(),
+    reason,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Store when the next icebreaker of a pair is due
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Date|number} nextDueAt - Due time
+ * @param {string} reason - What set it: 'activity', 'icebreaker', 'retry', 'snooze' or 'reschedule'
+ * @returns {Promise<Object>} - Stored schedule
+ */
+export async function setIcebreakerSchedule(pairId, nextDueAt, reason) {
+  const schedule = toSchedule(nextDueAt, reason);
+  await updateValue(pairKey(SCHEDULE_KEY, pairId), () => schedule);
+  return schedule;
+}
+
+/**
+ * Move a due icebreaker on to its next due time, unless another check did already
+ * Compares and sets under the schedule's write lock: of overlapping checks that found
+ * the same due time, only one gets to send.
+ *
+ * @param {string} pairId - Pair ID
+ * @param {Date|number} dueAt - Due time the check found
+ * @param {Date|number} nextDueAt - Next due time
+ * @returns {Promise<boolean>} - True if this call moved the schedule on
+ */
+export async function claimIcebreakerSchedule(pairId, dueAt, nextDueAt) {
+  let claimed = false;
+  await updateValue(pairKey(SCHEDULE_KEY, pairId), stored => {
+    if (stored?.nextDueAt !== new Date(dueAt).toISOString()) return undefined;
+    claimed = true;
+    return toSchedule(nextDueAt, 'icebreaker');
+  });
+  return claimed;
+}
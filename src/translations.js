@@ -9,6 +9,17 @@ export const translations = {
     title: '🤖 Telegram Facilitator Bot',
     subtitle: '1-to-1 duplex messaging with AI stylization and translation',
     
+    // UI - Pairs
+    pairs: '🔗 Pairs',
+    addPair: 'Add Pair',
+    deletePair: 'Delete Pair',
+    deletePairConfirm: 'Delete this pair with its prompts and message history?',
+    noPairs: 'No pairs yet. A pair is created when a user sends /start to the bot.',
+    inviteLink: 'Invite Link',
+    newInvite: 'New Invite',
+    inviteExpires: 'Expires:',
+    noInvite: 'Pair complete',
+    
     // UI - Connected Users
     connectedUsers: '👥 Connected Users',
     userA: 'User A',
@@ -20,19 +31,45 @@ export const translations = {
     notRegistered: 'Not registered',
     noMessagesYet: 'No messages yet',
     dueNow: 'Due now',
+    snoozeOneDay: 'Snooze +1 day',
+    snoozeThreeDays: 'Snooze +3 days',
+    reschedule: 'Reschedule',
     days: 'days',
     languageLabel: 'Language:',
     
     // UI - Settings
     settings: '⚙️ Settings',
-    messageStyle: 'Message Style',
+    userAStyle: 'User A Message Style',
+    userBStyle: 'User B Message Style',
     stylizationEnabled: 'Enable AI Stylization',
-    stylizationEnabledHelp: 'When disabled, messages are forwarded as-is or translated (if languages differ) without style changes.',
+    stylizationEnabledHelp: 'Applies to this user\'s outgoing messages. When disabled, they are forwarded as-is or translated (if languages differ) without style changes.',
     customStyle: 'Custom Style Description',
     customStylePlaceholder: 'e.g., witty, sarcastic, philosophical',
     customStyleHelp: 'Describe how messages should be rewritten',
     icebreakerPeriod: 'Icebreaker Period (days)',
     icebreakerPeriodHelp: 'Random interval: ±2 days from this value (minimum 3 days)',
+    icebreakerMode: 'Icebreaker Mode',
+    icebreakerModeIndividual: 'Individual - an opener for each user in their style',
+    icebreakerModeShared: 'Shared question - the same question for both, translated',
+    icebreakerModeWouldYouRather: 'Game: Would you rather',
+    icebreakerModeTwoTruths: 'Game: Two truths and a lie',
+    icebreakerModeHelp: 'Shared questions and games are written once and translated for the partner',
+    icebreakerTopics: 'Icebreaker Topics (weights)',
+    icebreakerTopicsHelp: 'Higher weights make a topic more likely (0 = never). With all weights at 0 the topic follows the conversation.',
+    topicTravel: 'Travel',
+    topicFood: 'Food',
+    topicMemories: 'Memories',
+    topicPlans: 'Plans & dreams',
+    topicHobbies: 'Hobbies',
+    icebreakerRepeatDays: 'No-Repeat Window (days)',
+    icebreakerRepeatDaysHelp: 'An icebreaker sent within this many days is never sent again (0 = off)',
+    userAPreview: 'User A reviews messages before sending',
+    userBPreview: 'User B reviews messages before sending',
+    previewHelp: 'The sender sees the stylized text first and can send it, regenerate it, send the original or cancel. Users can also toggle this with /preview.',
+    userAQuietHours: 'User A: time zone and quiet hours',
+    userBQuietHours: 'User B: time zone and quiet hours',
+    silentInQuiet: 'Deliver partner messages silently during quiet hours',
+    quietHoursHelp: 'Time zone as an IANA name (e.g. Europe/Berlin). Icebreakers and bot notices wait until quiet hours end; leave the times empty to turn quiet hours off.',
     saveSettings: 'Save Settings',
     language: 'Language',
     custom: 'Custom',
@@ -62,7 +99,7 @@ export const translations = {
     
     // UI - Reset
     reset: '🔄 Reset',
-    resetDescription: 'Reset all settings to defaults. This will also delete message history.',
+    resetDescription: 'Reset all settings to defaults. This will delete all pairs and their message history.',
     resetConfig: 'Reset Configuration',
     resetConfirm: 'Are you sure you want to reset all configuration and delete message history?',
     
@@ -110,11 +147,127 @@ export const translations = {
     loading: 'Loading...',
     noEvaluations: 'No evaluations yet',
     noFeedback: 'No feedback yet',
+
+    // Icebreaker effectiveness
+    icebreakerEffectiveness: 'Icebreaker Effectiveness',
+    icebreakerEffectivenessHelp: 'An icebreaker succeeds when either of you writes within a day. When few get a reply, new instructions are added to the prompt and icebreakers come less often',
+    icebreakerGroup: 'Mode / style',
+    icebreakerGroupMode: 'Mode',
+    icebreakerGroupStyle: 'Style',
+    icebreakersScored: 'Scored',
+    icebreakersEngaged: 'Replied',
+    successRate: 'Success rate',
+    noIcebreakerScores: 'No icebreakers scored yet',
+    icebreakersPending: 'Awaiting reply',
+    intervalFactor: 'Interval factor',
+    learnedGuidance: 'Learned instructions:',
     
     // Bot messages
-    welcomeUserA: '👋 Welcome! You are now registered as User A.\n\nPlease share this bot with the person you want to connect with. They will be automatically registered as User B.',
+    welcomeUserA: '👋 Welcome! You are now registered as User A.\n\nShare this invite link with the person you want to connect with. It works once and expires in 48 hours:',
     welcomeUserB: '👋 Welcome! You are now registered as User B.\n\nYou can now start messaging! Your messages will be forwarded to User A.',
-    otherUserNotRegistered: '⚠️ The other user has not registered yet. Please share this bot with them.',
+    otherUserNotRegistered: '⚠️ The other user has not registered yet. Send /invite to get a new invite link for them.',
+    partnerJoined: '🎉 Your partner has joined! You can now start messaging.',
+    inviteInvalid: '⚠️ This invite link is invalid or has expired. Please ask the person who invited you for a new one.',
+    notConnected: '👋 Hi! This bot connects two people. Send /start to create your own pair, or open the invite link your partner shared with you.',
+    alreadyRegistered: 'You are already registered!',
+    partnerAlreadyJoined: 'Your partner has already joined.',
+    unsupportedMessageType: '⚠️ This type of message can\'t be forwarded. Your partner did not receive it.',
+    unsendDone: '🗑 Message deleted for your partner.',
+    unsendNotFound: 'Nothing to unsend. Reply /unsend to one of your own messages.',
+    unsendTooLate: '⏱ This message is too old to unsend.',
+    unsendFailed: '⚠️ Could not delete the message for your partner.',
+    previewOn: '👀 Preview is on. You will see each stylized message and decide before it is sent. Send /preview again to turn it off.',
+    previewOff: 'Preview is off. Messages are sent right away.',
+    previewTitle: '👀 Your partner will receive:',
+    previewSend: '✅ Send',
+    previewRegenerate: '🔄 Regenerate',
+    previewSendOriginal: '📝 Send original',
+    previewCancel: '❌ Cancel',
+    previewSent: '✅ Sent:',
+    previewSentOriginal: '✅ Original sent:',
+    previewCancelled: '❌ Cancelled, nothing was sent.',
+    draftExpired: 'This preview has expired or was already handled.',
+    ratingThanks: 'Thanks for rating!',
+    ratingUnavailable: 'This message can\'t be rated.',
+    previewUnstylized: '⚠️ Stylization is unavailable right now, this is your original text. Tap Regenerate to try again.',
+    sentUnstylized: '⚠️ Stylization is unavailable right now, so your partner received your original text.',
+    deliveryFailed: '⚠️ Your message could not be delivered to your partner. Please try again in a few minutes.',
+    // Settings commands
+    commandStyle: 'Style of your messages',
+    commandLanguage: 'Language you receive messages in',
+    commandPause: 'Pause or resume relaying',
+    commandStatus: 'Partner, settings and next icebreaker',
+    commandPreview: 'Review messages before sending',
+    commandUnsend: 'Delete a sent message',
+    commandFeedback: 'Comment on the last message',
+    commandInvite: 'New invite link',
+    commandHelp: 'List of commands',
+    helpText: 'ℹ️ Commands:\n\n/style - how your messages are rewritten (/style <description> for your own style)\n/language - language you receive messages in\n/pause - pause or resume relaying\n/status - partner, settings and next icebreaker\n/preview - review stylized messages before they are sent\n/unsend - delete a sent message (reply to it, or your last one)\n/feedback <comment> - comment on the last message you received, or reply to any message with it\n/invite - new invite link for your partner',
+    chooseStyle: '🎨 Choose how your messages are rewritten.',
+    chooseLanguage: '🌐 Choose the language you receive messages in.',
+    currentSetting: 'Current:',
+    customStyleCommandHelp: 'For your own style, send /style followed by a description, e.g. /style witty and warm',
+    stylizationOff: 'Off (send as written)',
+    languageAuto: 'Auto',
+    settingSaved: '✅ Saved.',
+    relayActive: '▶️ Relaying is active.',
+    relayPaused: '⏸ Relaying is paused. Messages are not sent in either direction.',
+    statusRelayActive: '▶️ active',
+    statusRelayPaused: '⏸ paused by you',
+    partnerPausedStatus: '⏸ paused by your partner',
+    pauseRelay: '⏸ Pause',
+    resumeRelay: '▶️ Resume',
+    partnerPaused: '⏸ Your partner paused the conversation. Messages won\'t be relayed until they resume.',
+    partnerResumed: '▶️ Your partner resumed the conversation.',
+    youArePaused: '⏸ Relaying is paused. Send /pause to resume.',
+    partnerPausedNotDelivered: '⏸ Your partner has paused the conversation. This message was not delivered.',
+    statusTitle: '📋 Status',
+    statusPartner: 'Partner:',
+    statusRelay: 'Relaying:',
+    statusStyle: 'Your style:',
+    statusLanguage: 'Your language:',
+    statusPreview: 'Preview:',
+    statusQuietHours: 'Quiet hours:',
+    on: 'on',
+    off: 'off',
+    menuStyle: '🎨 Style',
+    menuLanguage: '🌐 Language',
+
+    // LLM models
+    llmModels: 'LLM Models',
+    llmModelsHelp: 'Provider and model for each task. Leave the model empty for the provider default.',
+    llmTaskStylize: 'Message stylization',
+    llmTaskIcebreaker: 'Icebreakers',
+    llmTaskImprovement: 'Prompt improvement',
+    llmDefault: 'Default',
+    llmInUse: 'In use:',
+    saveModels: 'Save Models',
+
+    // Prompt versions
+    promptVersions: 'Prompt Versions',
+    noPromptVersions: 'No prompt changes yet',
+    promptVersion: 'Version',
+    promptActive: 'active',
+    promptPinned: 'pinned',
+    showDiff: 'Diff',
+    rollback: 'Roll back',
+    pinVersion: 'Pin',
+    unpin: 'Unpin',
+    promptCandidate: 'Candidate under A/B test since',
+    
+    // A/B testing
+    abTesting: 'Prompt A/B Testing',
+    abTestingHelp: 'Prompts improved by evaluations are first served to a share of messages. They replace the current prompt only if their average scores are higher. Set the share to 0 to apply improvements immediately.',
+    candidateShare: 'Share of messages for the candidate (%)',
+    candidateMinSamples: 'Scored messages needed per prompt before deciding',
+    saveAbTest: 'Save A/B Testing',
+
+    // Login
+    password: 'Password',
+    login: 'Log In',
+    logout: 'Log Out',
+    loginFailed: 'Login failed. Check your password or ask an admin for access.',
+    authNotConfigured: 'Login is not configured. Set ADMIN_PASSWORD or ADMIN_TELEGRAM_IDS in the environment.',
     
     // Language names
     english: 'English',
@@ -132,6 +285,17 @@ export const translations = {
     title: '🤖 Telegram Фасилитатор Бот',
     subtitle: 'Дуплексная переписка 1-на-1 с AI стилизацией и переводом',
     
+    // UI - Pairs
+    pairs: '🔗 Пары',
+    addPair: 'Добавить пару',
+    deletePair: 'Удалить пару',
+    deletePairConfirm: 'Удалить эту пару вместе с промптами и историей сообщений?',
+    noPairs: 'Пар пока нет. Пара создаётся, когда пользователь отправляет боту /start.',
+    inviteLink: 'Ссылка-приглашение',
+    newInvite: 'Новое приглашение',
+    inviteExpires: 'Действует до:',
+    noInvite: 'Пара заполнена',
+    
     // UI - Connected Users
     connectedUsers: '👥 Подключенные пользователи',
     userA: 'Пользователь A',
@@ -143,19 +307,45 @@ export const translations = {
     notRegistered: 'Не зарегистрирован',
     noMessagesYet: 'Сообщений пока нет',
     dueNow: 'Должен быть сейчас',
+    snoozeOneDay: 'Отложить на 1 день',
+    snoozeThreeDays: 'Отложить на 3 дня',
+    reschedule: 'Перенести',
     days: 'дней',
     languageLabel: 'Язык:',
     
     // UI - Settings
     settings: '⚙️ Настройки',
-    messageStyle: 'Стиль сообщений',
+    userAStyle: 'Стиль сообщений пользователя A',
+    userBStyle: 'Стиль сообщений пользователя B',
     stylizationEnabled: 'Включить AI стилизацию',
-    stylizationEnabledHelp: 'Когда отключено, сообщения пересылаются как есть или переводятся (если языки различаются) без изменения стиля.',
+    stylizationEnabledHelp: 'Относится к исходящим сообщениям этого пользователя. Когда отключено, они пересылаются как есть или переводятся (если языки различаются) без изменения стиля.',
     customStyle: 'Описание пользовательского стиля',
     customStylePlaceholder: 'например: остроумный, саркастичный, философский',
     customStyleHelp: 'Опишите, как должны переписываться сообщения',
     icebreakerPeriod: 'Период ледокола (дни)',
     icebreakerPeriodHelp: 'Случайный интервал: ±2 дня от этого значения (минимум 3 дня)',
+    icebreakerMode: 'Режим ледокола',
+    icebreakerModeIndividual: 'Индивидуальный - своё начало разговора для каждого в его стиле',
+    icebreakerModeShared: 'Общий вопрос - один вопрос для обоих, с переводом',
+    icebreakerModeWouldYouRather: 'Игра: Что бы ты выбрал',
+    icebreakerModeTwoTruths: 'Игра: Две правды и одна ложь',
+    icebreakerModeHelp: 'Общие вопросы и игры пишутся один раз и переводятся для партнёра',
+    icebreakerTopics: 'Темы ледокола (веса)',
+    icebreakerTopicsHelp: 'Чем больше вес, тем чаще тема (0 = никогда). Если все веса 0, тема следует из разговора.',
+    topicTravel: 'Путешествия',
+    topicFood: 'Еда',
+    topicMemories: 'Воспоминания',
+    topicPlans: 'Планы и мечты',
+    topicHobbies: 'Хобби',
+    icebreakerRepeatDays: 'Окно без повторов (дни)',
+    icebreakerRepeatDaysHelp: 'Ледокол, отправленный за это число дней, не отправляется повторно (0 = выкл.)',
+    userAPreview: 'Пользователь A проверяет сообщения перед отправкой',
+    userBPreview: 'Пользователь B проверяет сообщения перед отправкой',
+    previewHelp: 'Отправитель сначала видит стилизованный текст и может отправить его, сгенерировать заново, отправить оригинал или отменить. Пользователи также могут переключать это командой /preview.',
+    userAQuietHours: 'Пользователь A: часовой пояс и тихие часы',
+    userBQuietHours: 'Пользователь B: часовой пояс и тихие часы',
+    silentInQuiet: 'Доставлять сообщения партнёра без звука в тихие часы',
+    quietHoursHelp: 'Часовой пояс в формате IANA (например, Europe/Moscow). Айсбрейкеры и уведомления бота ждут окончания тихих часов; оставьте время пустым, чтобы отключить тихие часы.',
     saveSettings: 'Сохранить настройки',
     language: 'Язык',
     custom: 'Пользовательский',
@@ -185,7 +375,7 @@ export const translations = {
     
     // UI - Reset
     reset: '🔄 Сброс',
-    resetDescription: 'Сбросить все настройки по умолчанию. Это также удалит историю сообщений.',
+    resetDescription: 'Сбросить все настройки по умолчанию. Это удалит все пары и их историю сообщений.',
     resetConfig: 'Сбросить конфигурацию',
     resetConfirm: 'Вы уверены, что хотите сбросить всю конфигурацию и удалить историю сообщений?',
     
@@ -233,11 +423,127 @@ export const translations = {
     loading: 'Загрузка...',
     noEvaluations: 'Оценок пока нет',
     noFeedback: 'Отзывов пока нет',
+
+    // Icebreaker effectiveness
+    icebreakerEffectiveness: 'Эффективность ледоколов',
+    icebreakerEffectivenessHelp: 'Ледокол удался, если кто-то из вас написал в течение суток. При низкой доле ответов промпт дополняется новыми указаниями, а ледоколы приходят реже',
+    icebreakerGroup: 'Режим / стиль',
+    icebreakerGroupMode: 'Режим',
+    icebreakerGroupStyle: 'Стиль',
+    icebreakersScored: 'Оценено',
+    icebreakersEngaged: 'С ответом',
+    successRate: 'Доля ответов',
+    noIcebreakerScores: 'Ледоколы еще не оценены',
+    icebreakersPending: 'Ждут ответа',
+    intervalFactor: 'Множитель интервала',
+    learnedGuidance: 'Выученные указания:',
     
     // Bot messages
-    welcomeUserA: '👋 Добро пожаловать! Вы теперь зарегистрированы как Пользователь A.\n\nПожалуйста, поделитесь этим ботом с человеком, с которым хотите связаться. Он будет автоматически зарегистрирован как Пользователь B.',
+    welcomeUserA: '👋 Добро пожаловать! Вы теперь зарегистрированы как Пользователь A.\n\nОтправьте эту ссылку-приглашение человеку, с которым хотите связаться. Она работает один раз и действует 48 часов:',
     welcomeUserB: '👋 Добро пожаловать! Вы теперь зарегистрированы как Пользователь B.\n\nТеперь вы можете начать переписку! Ваши сообщения будут пересылаться Пользователю A.',
-    otherUserNotRegistered: '⚠️ Другой пользователь еще не зарегистрирован. Пожалуйста, поделитесь этим ботом с ним.',
+    otherUserNotRegistered: '⚠️ Другой пользователь еще не зарегистрирован. Отправьте /invite, чтобы получить новую ссылку-приглашение.',
+    partnerJoined: '🎉 Ваш собеседник присоединился! Теперь вы можете начать переписку.',
+    inviteInvalid: '⚠️ Эта ссылка-приглашение недействительна или устарела. Попросите пригласившего вас человека прислать новую.',
+    notConnected: '👋 Привет! Этот бот соединяет двух людей. Отправьте /start, чтобы создать свою пару, или откройте ссылку-приглашение от собеседника.',
+    alreadyRegistered: 'Вы уже зарегистрированы!',
+    partnerAlreadyJoined: 'Ваш собеседник уже присоединился.',
+    unsupportedMessageType: '⚠️ Такой тип сообщения нельзя переслать. Собеседник его не получил.',
+    unsendDone: '🗑 Сообщение удалено у собеседника.',
+    unsendNotFound: 'Нечего отменять. Ответьте /unsend на одно из своих сообщений.',
+    unsendTooLate: '⏱ Это сообщение слишком старое, чтобы его отменить.',
+    unsendFailed: '⚠️ Не удалось удалить сообщение у собеседника.',
+    previewOn: '👀 Предпросмотр включен. Вы увидите каждое стилизованное сообщение и решите, отправлять ли его. Отправьте /preview еще раз, чтобы выключить.',
+    previewOff: 'Предпросмотр выключен. Сообщения отправляются сразу.',
+    previewTitle: '👀 Собеседник получит:',
+    previewSend: '✅ Отправить',
+    previewRegenerate: '🔄 Заново',
+    previewSendOriginal: '📝 Отправить оригинал',
+    previewCancel: '❌ Отмена',
+    previewSent: '✅ Отправлено:',
+    previewSentOriginal: '✅ Отправлен оригинал:',
+    previewCancelled: '❌ Отменено, ничего не отправлено.',
+    draftExpired: 'Этот предпросмотр устарел или уже обработан.',
+    ratingThanks: 'Спасибо за оценку!',
+    ratingUnavailable: 'Это сообщение нельзя оценить.',
+    previewUnstylized: '⚠️ Стилизация сейчас недоступна, это ваш исходный текст. Нажмите «Заново», чтобы попробовать еще раз.',
+    sentUnstylized: '⚠️ Стилизация сейчас недоступна, поэтому собеседник получил ваш исходный текст.',
+    deliveryFailed: '⚠️ Не удалось доставить сообщение собеседнику. Попробуйте еще раз через несколько минут.',
+    // Settings commands
+    commandStyle: 'Стиль ваших сообщений',
+    commandLanguage: 'Язык получаемых сообщений',
+    commandPause: 'Приостановить или возобновить пересылку',
+    commandStatus: 'Партнёр, настройки и следующий ледокол',
+    commandPreview: 'Проверять сообщения перед отправкой',
+    commandUnsend: 'Удалить отправленное сообщение',
+    commandFeedback: 'Отзыв о последнем сообщении',
+    commandInvite: 'Новая ссылка-приглашение',
+    commandHelp: 'Список команд',
+    helpText: 'ℹ️ Команды:\n\n/style - как переписываются ваши сообщения (/style <описание> для своего стиля)\n/language - язык получаемых сообщений\n/pause - приостановить или возобновить пересылку\n/status - партнёр, настройки и следующий ледокол\n/preview - проверять стилизованные сообщения перед отправкой\n/unsend - удалить отправленное сообщение (ответом на него или последнее)\n/feedback <комментарий> - отзыв о последнем полученном сообщении или, ответом, о любом другом\n/invite - новая ссылка-приглашение для партнёра',
+    chooseStyle: '🎨 Выберите, как переписывать ваши сообщения.',
+    chooseLanguage: '🌐 Выберите язык получаемых сообщений.',
+    currentSetting: 'Сейчас:',
+    customStyleCommandHelp: 'Для своего стиля отправьте /style и описание, например: /style остроумно и тепло',
+    stylizationOff: 'Выкл. (отправлять как есть)',
+    languageAuto: 'Авто',
+    settingSaved: '✅ Сохранено.',
+    relayActive: '▶️ Пересылка активна.',
+    relayPaused: '⏸ Пересылка приостановлена. Сообщения не отправляются ни в одну сторону.',
+    statusRelayActive: '▶️ активна',
+    statusRelayPaused: '⏸ приостановлена вами',
+    partnerPausedStatus: '⏸ приостановлена партнёром',
+    pauseRelay: '⏸ Пауза',
+    resumeRelay: '▶️ Продолжить',
+    partnerPaused: '⏸ Ваш партнёр приостановил общение. Сообщения не будут пересылаться, пока он не продолжит.',
+    partnerResumed: '▶️ Ваш партнёр возобновил общение.',
+    youArePaused: '⏸ Пересылка приостановлена. Отправьте /pause, чтобы продолжить.',
+    partnerPausedNotDelivered: '⏸ Ваш партнёр приостановил общение. Это сообщение не доставлено.',
+    statusTitle: '📋 Статус',
+    statusPartner: 'Партнёр:',
+    statusRelay: 'Пересылка:',
+    statusStyle: 'Ваш стиль:',
+    statusLanguage: 'Ваш язык:',
+    statusPreview: 'Предпросмотр:',
+    statusQuietHours: 'Тихие часы:',
+    on: 'вкл.',
+    off: 'выкл.',
+    menuStyle: '🎨 Стиль',
+    menuLanguage: '🌐 Язык',
+
+    // LLM models
+    llmModels: 'Модели LLM',
+    llmModelsHelp: 'Провайдер и модель для каждой задачи. Оставьте модель пустой, чтобы использовать модель провайдера по умолчанию.',
+    llmTaskStylize: 'Стилизация сообщений',
+    llmTaskIcebreaker: 'Айсбрейкеры',
+    llmTaskImprovement: 'Улучшение промптов',
+    llmDefault: 'По умолчанию',
+    llmInUse: 'Используется:',
+    saveModels: 'Сохранить модели',
+
+    // Prompt versions
+    promptVersions: 'Версии промптов',
+    noPromptVersions: 'Промпты еще не менялись',
+    promptVersion: 'Версия',
+    promptActive: 'активна',
+    promptPinned: 'закреплена',
+    showDiff: 'Разница',
+    rollback: 'Откатить',
+    pinVersion: 'Закрепить',
+    unpin: 'Открепить',
+    promptCandidate: 'Кандидат в A/B-тесте с',
+    
+    // A/B testing
+    abTesting: 'A/B-тестирование промптов',
+    abTestingHelp: 'Промпты, улучшенные по оценкам, сначала получает часть сообщений. Они заменяют текущий промпт, только если их средние оценки выше. Укажите долю 0, чтобы применять улучшения сразу.',
+    candidateShare: 'Доля сообщений для кандидата (%)',
+    candidateMinSamples: 'Оцененных сообщений на каждый промпт до решения',
+    saveAbTest: 'Сохранить A/B-тест',
+
+    // Login
+    password: 'Пароль',
+    login: 'Войти',
+    logout: 'Выйти',
+    loginFailed: 'Не удалось войти. Проверьте пароль или попросите доступ у администратора.',
+    authNotConfigured: 'Вход не настроен. Задайте ADMIN_PASSWORD или ADMIN_TELEGRAM_IDS в окружении.',
     
     // Language names
     english: 'English',
@@ -5,9 +5,9 @@
  * Processes comments immediately and adapts prompts.
  */
 
-import { getPromptConfig, updatePromptConfig } from './opik.js';
+import { getPromptConfig, updatePromptConfig, addPromptVersion } from './storage.js';
 import { generateBasePrompt } from './prompts.js';
-import { getAI, canImprove, recordImprovement, applyImprovement, generateImprovement } from './feedback-utils.js';
+import { canImprove, recordImprovement, applyImprovement, generateImprovement } from './feedback-utils.js';
 
 // ============================================================================
 // COMMENT PROCESSING
@@ -17,45 +17,68 @@ import { getAI, canImprove, recordImprovement, applyImprovement, generateImprove
  * Process a single feedback comment and improve the prompt
  * 
  * @param {string} comment - User feedback comment
- * @param {string} style - Current style being used
+ * @param {string} pairId - Pair the rated message belongs to
+ * @param {string} style - Style key of the rated message (see getPromptStyleKey)
  * @param {string} language - Current language being used
+ * @param {string} customStyle - Sender's custom style description, for custom styles
  * @returns {Promise<Object>} - Result with improved flag and details
  */
-export async function processFeedbackComment(comment, style, language) {
+export async function processFeedbackComment(comment, pairId, style, language, customStyle = '') {
   if (!canImprove()) {
     return { improved: false, reason: 'limit_reached' };
   }
 
   try {
-    const config = await getPromptConfig(style, language);
-    const currentPrompt = config.prompt || generateBasePrompt(style, '', language);
+    const config = await getPromptConfig(pairId, style, language);
+    const toComment = entry => ({ text: comment, improvement: null, timestamp: new Date().toISOString(), ...entry });
+
+    // Pinned prompts keep the comment but are not changed
+    if (config.locked) {
+      await updatePromptConfig(pairId, style, language, current => ({
+        comments: [...(current.comments || []), toComment()].slice(-50),
+      }));
+      return { improved: false, reason: 'locked' };
+    }
 
     // Use consolidated improvement generation
+    const currentPrompt = config.prompt || generateBasePrompt(style, customStyle, language);
     const improvement = await generateImprovement('feedback', comment, style, language, currentPrompt);
 
     if (!improvement) {
       return { improved: false, reason: 'generation_failed' };
     }
 
-    const improvedPrompt = applyImprovement(currentPrompt, improvement, 'user feedback');
+    // The LLM call takes a while: comments, pin and prompt are taken as they are now, under the write lock,
+    // so overlapping feedback keeps every comment and a prompt pinned meanwhile stays as it is
+    let pinned = false;
+    await updatePromptConfig(pairId, style, language, current => {
+      if (current.locked) {
+        pinned = true;
+        return { comments: [...(current.comments || []), toComment()].slice(-50) };
+      }
 
-    const comments = config.comments || [];
-    comments.push({
-      text: comment,
-      improvement: improvement.improvement,
-      timestamp: new Date().toISOString()
+      const basePrompt = current.prompt || generateBasePrompt(style, customStyle, language);
+      return {
+        ...addPromptVersion(current, {
+          prompt: applyImprovement(basePrompt, improvement, 'user feedback'),
+          source: 'user feedback',
+          note: comment,
+          scores: current.lastEvaluationScores || null,
+          basePrompt,
+        }),
+        comments: [...(current.comments || []), toComment({ improvement: improvement.improvement })].slice(-50),
+        lastImprovement: new Date().toISOString(),
+        improvementCount: (current.improvementCount || 0) + 1,
+      };
     });
 
-    await updatePromptConfig(style, language, {
-      prompt: improvedPrompt,
-      comments: comments.slice(-50),
-      lastImprovement: new Date().toISOString(),
-      improvementCount: (config.improvementCount || 0) + 1,
-    });
+    if (pinned) {
+      return { improved: false, reason: 'locked' };
+    }
 
     recordImprovement();
 
-    console.log(`Prompt improved for ${style}/${language}:`, improvement);
+    console.log(`Prompt improved for ${pairId} ${style}/${language}:`, improvement);
     return { improved: true, improvement };
 
   } catch (error) {
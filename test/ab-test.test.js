@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+
+const anna = { id: 801, username: 'anna', language_code: 'en' };
+const boris = { id: 802, username: 'boris', language_code: 'en' };
+
+let harness;
+let pair;
+let candidate;
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(anna, boris);
+  await setCandidateShare(1);
+  ({ candidate } = await harness.storage.setPromptCandidate(pair.id, 'friendly', 'en', {
+    prompt: 'Improved: {message}',
+    source: 'evaluation',
+  }));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+async function setCandidateShare(candidateShare) {
+  await harness.storage.updateConfig(config => {
+    config.abTest = { candidateShare, minSamples: 1 };
+  });
+}
+
+async function send(text) {
+  await harness.sendText(anna, text);
+  await harness.settle();
+  return harness.opik.traces.find(trace => trace.name === 'stylize_message' && trace.input.original_message === text);
+}
+
+test('a message served by the candidate is traced with the candidate\'s ID', async () => {
+  const trace = await send('served by the candidate');
+  assert.equal(trace.metadata.prompt_variant, 'candidate');
+  assert.equal(trace.metadata.prompt_version, candidate.id);
+  assert.match(trace.input.prompt, /^Improved: /);
+
+  // Scored lower by the judge than the champion below
+  trace.feedbackScores = [{ name: 'accuracy', value: 0.7 }];
+});
+
+test('a thumbs down on the champion doesn\'t outweigh the candidate\'s lower judge scores', async () => {
+  await setCandidateShare(0);
+  const trace = await send('served by the champion');
+  assert.equal(trace.metadata.prompt_variant, 'champion');
+  assert.equal(trace.metadata.prompt_version, null);
+  trace.feedbackScores = [{ name: 'accuracy', value: 0.8 }, { name: 'user_rating', value: 0 }];
+
+  // Traces of other pairs push these two out of the most recent few hundred
+  for (let i = 0; i < 250; i++) {
+    harness.opik.trace({ name: 'stylize_message', input: {}, output: { language: 'en' }, metadata: { message_type: 'stylize', pair_id: 'other', style: 'friendly' } });
+  }
+
+  // The tenth stylized message of the pair settles the candidate in the background
+  for (let i = 3; i <= 10; i++) {
+    await send(`message ${i}`);
+  }
+  const deadline = Date.now() + 2000;
+  while ((await harness.storage.getPromptConfig(pair.id, 'friendly', 'en')).candidate && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  const promptConfig = await harness.storage.getPromptConfig(pair.id, 'friendly', 'en');
+  assert.equal(promptConfig.candidate, null);
+  assert.equal(promptConfig.versions.length, 0);
+});
+
+test('a candidate replaced during its test is neither promoted nor cleared', async () => {
+  const { candidate: tested } = await harness.storage.setPromptCandidate(pair.id, 'formal', 'en', { prompt: 'Tested: {message}', source: 'evaluation' });
+  const { candidate: newer } = await harness.storage.setPromptCandidate(pair.id, 'formal', 'en', { prompt: 'Newer: {message}', source: 'evaluation' });
+
+  assert.equal(await harness.storage.promotePromptCandidate(pair.id, 'formal', 'en', tested.id, {}), null);
+  assert.equal(await harness.storage.discardPromptCandidate(pair.id, 'formal', 'en', tested.id), null);
+  assert.equal((await harness.storage.getPromptConfig(pair.id, 'formal', 'en')).candidate.id, newer.id);
+
+  const promoted = await harness.storage.promotePromptCandidate(pair.id, 'formal', 'en', newer.id, { accuracy: 0.9 });
+  assert.equal(promoted.prompt, 'Newer: {message}');
+  assert.equal(promoted.candidate, null);
+  assert.deepEqual(promoted.versions.at(-1).scores, { accuracy: 0.9 });
+});
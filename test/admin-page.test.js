@@ -0,0 +1,30 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+
+// No username: the bot falls back to the first name, which can hold anything
+const mallory = { id: 801, first_name: '<img src=x onerror=alert(1)>', language_code: 'en' };
+const bob = { id: 802, username: 'bob', language_code: 'en' };
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  await harness.createPair(mallory, bob);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+test('names and messages from users are escaped on the admin page', async () => {
+  await harness.sendText(mallory, '<script>steal()</script> $& done');
+  await harness.settle();
+
+  const html = await (await fetch(`${harness.baseUrl}/`)).text();
+
+  assert.ok(!html.includes('<img src=x'));
+  assert.ok(!html.includes('<script>steal()'));
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt; ↔ bob'));
+  assert.ok(html.includes('&lt;script&gt;steal()&lt;/script&gt; $&amp; done'));
+});
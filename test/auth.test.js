@@ -0,0 +1,30 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, createHmac } from 'crypto';
+import { readSession, startSession } from '../src/auth.js';
+
+before(() => {
+  // Only a viewer password, so no secret to derive the session key from
+  for (const name of ['SESSION_SECRET', 'BOT_TOKEN', 'ADMIN_PASSWORD']) delete process.env[name];
+  process.env.VIEWER_PASSWORD = 'viewer';
+});
+
+function requestWithCookie(cookie) {
+  return { headers: { cookie: `session=${encodeURIComponent(cookie)}` } };
+}
+
+test('without configured secrets a session signed with a guessable key is rejected', () => {
+  const payload = Buffer.from(JSON.stringify({ role: 'admin', subject: 'password', csrf: 'x', expiresAt: Date.now() + 60000 })).toString('base64url');
+  const guessableKey = createHash('sha256').update('session::').digest('hex');
+  const signature = createHmac('sha256', guessableKey).update(payload).digest('base64url');
+
+  assert.equal(readSession(requestWithCookie(`${payload}.${signature}`)), null);
+});
+
+test('without configured secrets sessions issued by this process still work', () => {
+  let cookie;
+  const res = { cookie: (name, value) => { cookie = value; } };
+  startSession({ headers: {} }, res, 'viewer', 'password');
+
+  assert.equal(readSession(requestWithCookie(cookie)).role, 'viewer');
+});
@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+
+const zoya = { id: 1201, username: 'zoya', language_code: 'en' };
+const ilya = { id: 1202, username: 'ilya', language_code: 'en' };
+
+let harness;
+let pair;
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(zoya, ilya);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+// Send a message and return the original and the copy Ilya received
+async function relay(content) {
+  const original = await harness.sendMessage(zoya, content);
+  await harness.settle();
+  const copy = harness.telegram.calls.findLast(call => call.method.startsWith('send') && String(call.params.chat_id) === String(ilya.id));
+  return { original, copy: copy.result };
+}
+
+async function edit(original, changes) {
+  await harness.postUpdate({ edited_message: { ...original, ...changes, edit_date: Math.floor(Date.now() / 1000) } });
+  await harness.settle();
+}
+
+async function unsend(extra = {}) {
+  const callsBefore = harness.telegram.calls.length;
+  await harness.sendText(zoya, '/unsend', extra);
+  await harness.settle();
+  return harness.telegram.calls.slice(callsBefore);
+}
+
+const lastReplyTo = (calls, user) => calls.findLast(call => call.method === 'sendMessage' && String(call.params.chat_id) === String(user.id)).params.text;
+
+test('an edit is re-stylized into the partner\'s copy instead of sent as a new message', async () => {
+  const { original, copy } = await relay({ text: 'see you at 5' });
+  const sentBefore = harness.telegram.callsTo('sendMessage').length;
+
+  await edit(original, { text: 'see you at 6' });
+
+  const call = harness.telegram.callsTo('editMessageText').findLast(c => String(c.params.chat_id) === String(ilya.id));
+  assert.equal(Number(call.params.message_id), copy.message_id);
+  assert.equal(call.params.text, '[friendly/en] see you at 6');
+  assert.ok(call.params.reply_markup, 'rating buttons are kept');
+  assert.equal(harness.telegram.callsTo('sendMessage').length, sentBefore);
+
+  const link = await harness.storage.findMessageLink(pair.id, zoya.id, original.message_id);
+  assert.equal(link.originalText, 'see you at 6');
+  assert.ok(link.editedAt);
+});
+
+test('an edited caption is re-stylized into the copy\'s caption', async () => {
+  const { original, copy } = await relay({ photo: [{ file_id: 'photo-1' }], caption: 'sunset' });
+
+  await edit(original, { caption: 'sunrise' });
+
+  const call = harness.telegram.callsTo('editMessageCaption').at(-1);
+  assert.equal(Number(call.params.message_id), copy.message_id);
+  assert.equal(call.params.caption, '[friendly/en] sunrise');
+});
+
+test('an edit that leaves the text as it was changes nothing', async () => {
+  const { original } = await relay({ photo: [{ file_id: 'photo-2' }], caption: 'same caption' });
+  const callsBefore = harness.telegram.calls.length;
+
+  await edit(original, { photo: [{ file_id: 'photo-3' }], caption: 'same caption' });
+
+  assert.equal(harness.telegram.calls.length, callsBefore);
+});
+
+test('an edit arriving while the message is still being stylized is applied after it', async () => {
+  harness.llm.setMockResponder(async (task, prompt, input) => {
+    if (task === 'stylize' && input.message === 'slow original') {
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
+    return undefined;
+  });
+
+  const original = await harness.sendText(zoya, 'slow original');
+  await edit(original, { text: 'quick edit' });
+  harness.llm.setMockResponder(null);
+
+  const copy = harness.telegram.callsTo('sendMessage').findLast(call => call.params.text?.endsWith('slow original')).result;
+  const call = harness.telegram.callsTo('editMessageText').findLast(c => Number(c.params.message_id) === copy.message_id);
+  assert.equal(call?.params.text, '[friendly/en] quick edit');
+});
+
+test('/unsend in reply to a message deletes the partner\'s copy', async () => {
+  const { original, copy } = await relay({ text: 'oops, wrong chat' });
+
+  const calls = await unsend({ reply_to_message: { message_id: original.message_id, chat: { id: zoya.id } } });
+
+  const deleted = calls.find(call => call.method === 'deleteMessage');
+  assert.equal(String(deleted.params.chat_id), String(ilya.id));
+  assert.equal(Number(deleted.params.message_id), copy.message_id);
+  assert.match(lastReplyTo(calls, zoya), /deleted for your partner/);
+
+  // Gone for good: a later edit or a second /unsend has nothing to act on
+  await edit(original, { text: 'oops, edited' });
+  assert.equal(harness.telegram.callsTo('editMessageText').filter(c => Number(c.params.message_id) === copy.message_id).length, 0);
+  const again = await unsend({ reply_to_message: { message_id: original.message_id, chat: { id: zoya.id } } });
+  assert.equal(again.filter(call => call.method === 'deleteMessage').length, 0);
+  assert.match(lastReplyTo(again, zoya), /Nothing to unsend/);
+});
+
+test('/unsend on its own deletes the sender\'s last message', async () => {
+  await relay({ text: 'older one' });
+  const { copy } = await relay({ text: 'latest one' });
+
+  const calls = await unsend();
+
+  assert.equal(Number(calls.find(call => call.method === 'deleteMessage').params.message_id), copy.message_id);
+});
+
+test('/unsend can\'t delete the partner\'s messages', async () => {
+  await harness.sendText(ilya, 'mine, not yours');
+  await harness.settle();
+  const copy = harness.telegram.callsTo('sendMessage').findLast(call => call.params.text?.endsWith('mine, not yours')).result;
+
+  const calls = await unsend({ reply_to_message: { message_id: copy.message_id, chat: { id: zoya.id } } });
+
+  assert.equal(calls.filter(call => call.method === 'deleteMessage').length, 0);
+  assert.match(lastReplyTo(calls, zoya), /Nothing to unsend/);
+});
+
+test('/unsend after the window is refused', async () => {
+  const { original } = await relay({ text: 'said long ago' });
+  const source = { chatId: zoya.id, messageId: original.message_id };
+  await harness.storage.updateMessageLink(pair.id, source, { sentAt: new Date(Date.now() - 61 * 60 * 1000).toISOString() });
+
+  const calls = await unsend({ reply_to_message: { message_id: original.message_id, chat: { id: zoya.id } } });
+
+  assert.equal(calls.filter(call => call.method === 'deleteMessage').length, 0);
+  assert.match(lastReplyTo(calls, zoya), /too old to unsend/);
+});
@@ -0,0 +1,220 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+import { t } from '../src/translations.js';
+
+const alice = { id: 401, username: 'alice', language_code: 'en' };
+const bob = { id: 402, username: 'bob', language_code: 'en' };
+
+let harness;
+let pair;
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(alice, bob);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+test('/feedback without a received message explains what to do', async () => {
+  await harness.sendText(bob, '/feedback too formal');
+  await harness.waitForMessage(bob.id, t('en', 'noMessageToRate'));
+});
+
+test('/feedback improves the prompt of the sender\'s style', async () => {
+  await harness.sendText(alice, 'how was your day');
+  await harness.settle();
+
+  await harness.sendText(bob, '/feedback more emoji please');
+  await harness.waitForMessage(bob.id, t('en', 'feedbackThanksImproved'));
+
+  const promptConfig = await harness.storage.getPromptConfig(pair.id, 'friendly', 'en');
+  assert.match(promptConfig.prompt, /Action: Address: more emoji please/);
+  assert.equal(promptConfig.comments.at(-1).text, 'more emoji please');
+});
+
+test('the improved prompt is used for the next message', async () => {
+  const prompts = [];
+  harness.llm.setMockResponder((task, prompt) => {
+    if (task === 'stylize') prompts.push(prompt);
+    return undefined;
+  });
+
+  await harness.sendText(alice, 'shall we meet');
+  await harness.settle();
+  harness.llm.setMockResponder(null);
+
+  assert.equal(prompts.length, 1);
+  assert.match(prompts[0], /more emoji please/);
+  assert.match(prompts[0], /shall we meet/);
+});
+
+test('a rating button press is stored as a score on the trace', async () => {
+  await harness.sendText(alice, 'rate me');
+  await harness.settle();
+  const copy = harness.telegram.callsTo('sendMessage').find(call => call.params.text?.endsWith('rate me')).result;
+
+  // A flush that outlasts the rest of the processing must still be waited for
+  harness.opik.flushDelayMs = 300;
+  await harness.postUpdate({
+    callback_query: {
+      id: 'rating-1',
+      from: { ...bob, is_bot: false, first_name: 'bob' },
+      message: { message_id: copy.message_id, chat: { id: bob.id, type: 'private' } },
+      data: 'rate:up',
+    },
+  });
+  await harness.settle();
+  harness.opik.flushDelayMs = 5;
+
+  const answer = harness.telegram.callsTo('answerCallbackQuery').find(call => call.params.callback_query_id === 'rating-1');
+  assert.equal(answer.params.text, t('en', 'ratingThanks'));
+
+  const trace = harness.opik.traces.find(tr => tr.name === 'stylize_message' && tr.input.original_message === 'rate me');
+  assert.deepEqual(trace.feedbackScores.map(({ name, value }) => ({ name, value })), [{ name: 'user_rating', value: 1 }]);
+});
+
+function postConfig(body) {
+  return fetch(`${harness.baseUrl}/api/config`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pairId: pair.id, ...body }),
+  });
+}
+
+// Bob's copy of a message Alice sent, as a reply target for /feedback
+async function sendAndReplyTarget(text) {
+  await harness.sendText(alice, text);
+  await harness.settle();
+  const copy = harness.telegram.callsTo('sendMessage').find(call => call.params.text?.endsWith(text)).result;
+  return { reply_to_message: { message_id: copy.message_id, chat: { id: bob.id, type: 'private' } } };
+}
+
+test('/feedback on a message relayed as written has no prompt to improve', async () => {
+  await postConfig({ userAStylizationEnabled: false });
+  const reply = await sendAndReplyTarget('sent as typed');
+
+  await harness.sendText(bob, '/feedback too plain', reply);
+  await harness.waitForMessage(bob.id, t('en', 'noMessageToRate'));
+  await harness.settle();
+  assert.equal((await harness.storage.getPromptConfig(pair.id, 'friendly', 'en')).comments.at(-1).text, 'more emoji please');
+});
+
+test('/feedback on a translation improves the neutral prompt', async () => {
+  await postConfig({ userBLanguage: 'ru' });
+  const reply = await sendAndReplyTarget('only translated');
+
+  await harness.sendText(bob, '/feedback keep my slang', reply);
+  await harness.waitForMessage(bob.id, text => text === t('en', 'feedbackThanksImproved') || text === t('en', 'feedbackThanks'));
+  await harness.settle();
+
+  const neutral = await harness.storage.getPromptConfig(pair.id, 'neutral', 'ru');
+  assert.equal(neutral.comments.at(-1).text, 'keep my slang');
+  assert.equal((await harness.storage.getPromptConfig(pair.id, 'friendly', 'ru'))?.comments?.length ?? 0, 0);
+});
+
+test('the prompt diff endpoint rejects bad queries instead of failing', async () => {
+  const diff = query => fetch(`${harness.baseUrl}/api/prompts/diff?${new URLSearchParams(query)}`);
+
+  const { prompts } = await (await fetch(`${harness.baseUrl}/api/prompts?pair=${pair.id}`)).json();
+  const friendly = prompts.find(p => p.style === 'friendly' && p.language === 'en');
+  const [to, from] = friendly.versions;
+  const ok = await diff({ pair: pair.id, style: 'friendly', language: 'en', from: from.id, to: to.id });
+  assert.equal(ok.status, 200);
+  assert.ok((await ok.json()).diff.some(line => line.type === 'added'));
+
+  assert.equal((await diff({ pair: pair.id, style: 'friendly' })).status, 400);
+  assert.equal((await diff({ pair: 'nope', style: 'friendly', language: 'en', from: 1, to: 2 })).status, 404);
+  assert.equal((await diff({ pair: pair.id, style: 'poetic', language: 'de', from: 1, to: 2 })).status, 404);
+});
+
+function postPrompts(action, body) {
+  return fetch(`${harness.baseUrl}/api/prompts/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+test('prompt rollback and unpin apply to an existing prompt only', async () => {
+  const { prompts } = await (await fetch(`${harness.baseUrl}/api/prompts?pair=${pair.id}`)).json();
+  const friendly = prompts.find(p => p.style === 'friendly' && p.language === 'en');
+  const previous = friendly.versions[1];
+
+  const rollback = await postPrompts('rollback', { pairId: pair.id, style: 'friendly', language: 'en', versionId: previous.id, pin: true });
+  assert.equal(rollback.status, 200);
+  assert.deepEqual(await rollback.json(), { success: true, activeVersion: previous.id, locked: true });
+
+  assert.equal((await postPrompts('unpin', { pairId: pair.id, style: 'friendly', language: 'en' })).status, 200);
+  assert.equal((await harness.storage.getPromptConfig(pair.id, 'friendly', 'en')).locked, false);
+
+  for (const action of ['rollback', 'unpin']) {
+    const body = { pairId: pair.id, style: 'friendly', language: 'en', versionId: previous.id };
+    assert.equal((await postPrompts(action, { ...body, pairId: undefined })).status, 400);
+    assert.equal((await postPrompts(action, { ...body, style: 'sarcastic' })).status, 400);
+    assert.equal((await postPrompts(action, { ...body, pairId: 'nope' })).status, 404);
+    assert.equal((await postPrompts(action, { ...body, style: 'poetic', language: 'de' })).status, 404);
+  }
+
+  assert.equal(await harness.storage.getStore().get('prompts:undefined'), null);
+  assert.equal(await harness.storage.getStore().get('prompts:nope'), null);
+  assert.equal((await harness.storage.getPromptConfig(pair.id)).poetic, undefined);
+});
+
+// Improvement LLM calls that take a while, so feedback processed at the same time overlaps
+function slowImprovements(ms) {
+  harness.llm.setMockResponder(async task => {
+    if (task === 'improvement') await new Promise(resolve => setTimeout(resolve, ms));
+    return undefined;
+  });
+}
+
+test('feedback given at the same time keeps every comment and improvement', async () => {
+  const { processFeedbackComment } = await import('../src/user-feedback.js');
+  const before = await harness.storage.getPromptConfig(pair.id, 'formal', 'en');
+  slowImprovements(50);
+
+  await Promise.all([
+    processFeedbackComment('shorter please', pair.id, 'formal', 'en'),
+    processFeedbackComment('less stiff', pair.id, 'formal', 'en'),
+  ]);
+  harness.llm.setMockResponder(null);
+
+  const after = await harness.storage.getPromptConfig(pair.id, 'formal', 'en');
+  assert.deepEqual(after.comments.map(c => c.text).sort(), ['less stiff', 'shorter please']);
+  assert.match(after.prompt, /Address: shorter please/);
+  assert.match(after.prompt, /Address: less stiff/);
+  assert.equal(after.improvementCount, before.improvementCount + 2);
+  assert.equal(after.versions.at(-1).id, after.activeVersion);
+});
+
+test('a prompt pinned while feedback is being processed stays as it is', async () => {
+  const { processFeedbackComment } = await import('../src/user-feedback.js');
+  const before = await harness.storage.getPromptConfig(pair.id, 'formal', 'en');
+  slowImprovements(50);
+
+  const processing = processFeedbackComment('more formal', pair.id, 'formal', 'en');
+  await harness.storage.updatePromptConfig(pair.id, 'formal', 'en', { locked: true });
+  const result = await processing;
+  harness.llm.setMockResponder(null);
+
+  assert.equal(result.reason, 'locked');
+  const after = await harness.storage.getPromptConfig(pair.id, 'formal', 'en');
+  assert.equal(after.prompt, before.prompt);
+  assert.equal(after.activeVersion, before.activeVersion);
+  assert.equal(after.comments.at(-1).text, 'more formal');
+  assert.equal(after.comments.at(-1).improvement, null);
+});
+
+test('a rollback queued behind an improvement finds the version it added', async () => {
+  const { activeVersion } = await harness.storage.getPromptConfig(pair.id, 'formal', 'en');
+  const saving = harness.storage.savePromptVersion(pair.id, 'formal', 'en', { prompt: 'Newest: {message}', source: 'evaluation' });
+  const rolledBack = await harness.storage.activatePromptVersion(pair.id, 'formal', 'en', activeVersion + 1, true);
+  await saving;
+
+  assert.equal(rolledBack?.activeVersion, activeVersion + 1);
+  assert.equal(rolledBack.locked, true);
+  assert.equal((await harness.storage.getPromptConfig(pair.id, 'formal', 'en')).prompt, 'Newest: {message}');
+});
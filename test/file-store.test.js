@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createFileStore } from '../src/file-store.js';
+
+test('a storage file that is not valid JSON is moved aside, not overwritten', async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'file-store-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'storage.json');
+  await writeFile(filePath, '{"config": {"pairs": ');
+
+  const store = createFileStore(filePath);
+  assert.equal(await store.get('config'), null);
+  await store.set('config', { pairs: {} });
+
+  const corrupt = (await readdir(dir)).filter(name => name.startsWith('storage.json.corrupt-'));
+  assert.equal(corrupt.length, 1);
+  assert.equal(await readFile(path.join(dir, corrupt[0]), 'utf-8'), '{"config": {"pairs": ');
+  assert.deepEqual(JSON.parse(await readFile(filePath, 'utf-8')), { config: { pairs: {} } });
+});
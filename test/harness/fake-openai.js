@@ -0,0 +1,66 @@
+/**
+ * Fake OpenAI-Compatible API
+ *
+ * Local HTTP server answering POST <base>/chat/completions, standing in for
+ * OpenAI, a llama.cpp server or Ollama (see OPENAI_BASE_URL / OLLAMA_BASE_URL).
+ * Every request is recorded; replies can be scripted with respond().
+ *
+ * @module test/harness/fake-openai
+ */
+
+import http from 'http';
+
+/**
+ * Start the fake API on a free local port
+ *
+ * @returns {Promise<Object>} - { url, requests, respond(responder), close() }
+ */
+export async function startFakeOpenAI() {
+  const requests = [];
+  let responder = null;
+
+  // Echoes the message of a stylize prompt with the model name, so tests can tell which call an answer belongs to
+  const defaultResponse = body => {
+    const message = body.messages.at(-1).content.match(/^Original message: (.*)$/m)?.[1] ?? 'ok';
+    return { content: `[${body.model}] ${message}` };
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+      const request = { path: req.url, headers: req.headers, body };
+      requests.push(request);
+
+      const reply = (responder && responder(request)) || defaultResponse(body);
+      res.statusCode = reply.status || 200;
+      for (const [name, value] of Object.entries(reply.headers || {})) {
+        res.setHeader(name, value);
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(reply.status && reply.status >= 400
+        ? { error: { message: reply.error || 'error' } }
+        : { choices: [{ index: 0, message: { role: 'assistant', content: reply.content } }] }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+
+    /**
+     * Script replies
+     * @param {Function|null} fn - (request) => { content } | { status, headers, error } | undefined for the default echo
+     */
+    respond(fn) {
+      responder = fn;
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * In-Memory Opik Client
+ *
+ * Implements the part of the Opik SDK client the bot uses (trace, flush,
+ * searchTraces, logTracesFeedbackScores), keeping traces in memory.
+ * Installed with setOpikClient() from src/opik.js.
+ *
+ * @module test/harness/fake-opik
+ */
+
+import { randomUUID } from 'crypto';
+
+/**
+ * Create an Opik client double
+ *
+ * @returns {Object} - Client with a traces array (oldest first) for assertions, and flushDelayMs (how long a flush takes)
+ */
+export function createFakeOpikClient() {
+  const traces = [];
+  const pendingScores = [];
+
+  function handle(trace) {
+    return {
+      id: trace.id,
+      end() {},
+      async update(changes) {
+        Object.assign(trace, changes);
+      },
+    };
+  }
+
+  const client = {
+    traces,
+    flushDelayMs: 5,
+
+    trace({ id, name, input, output, metadata }) {
+      const existing = id && traces.find(trace => trace.id === id);
+      if (existing) return handle(existing);
+
+      const trace = { id: randomUUID(), name, input, output, metadata, startTime: new Date(), feedbackScores: [] };
+      traces.push(trace);
+      return handle(trace);
+    },
+
+    // Feedback scores are queued like in the SDK and only land when flushed
+    async flush() {
+      await new Promise(resolve => setTimeout(resolve, client.flushDelayMs));
+      for (const { id, ...score } of pendingScores.splice(0)) {
+        const trace = traces.find(t => t.id === id);
+        if (!trace) continue;
+        trace.feedbackScores = [...trace.feedbackScores.filter(s => s.name !== score.name), score];
+      }
+    },
+
+    // Newest first like the API; supports the filters used by the bot: name="..." and metadata.<key>="..." joined by and
+    async searchTraces({ maxResults, filterString } = {}) {
+      const conditions = (filterString ? filterString.split(' and ') : []).map(condition => {
+        const [, field, value] = condition.match(/^([\w.]+)=(".*")$/);
+        return [field, JSON.parse(value)];
+      });
+      const valueOf = (trace, field) => field.startsWith('metadata.') ? trace.metadata?.[field.slice(9)] : trace[field];
+
+      const matching = traces
+        .filter(trace => conditions.every(([field, value]) => valueOf(trace, field) !== undefined && String(valueOf(trace, field)) === value))
+        .reverse();
+      return maxResults ? matching.slice(0, maxResults) : matching;
+    },
+
+    logTracesFeedbackScores(scores) {
+      pendingScores.push(...scores);
+    },
+  };
+
+  return client;
+}
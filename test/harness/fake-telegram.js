@@ -0,0 +1,161 @@
+/**
+ * Fake Telegram Bot API
+ *
+ * Local HTTP server answering the Bot API methods the bot calls, so the
+ * real node-telegram-bot-api client runs unchanged (see TELEGRAM_API_URL).
+ * Every call and its result (or error) is recorded for assertions; sent messages get increasing IDs.
+ * Like Telegram, an edit that leaves a text message as it was is rejected with 400.
+ * Failures (429 with retry_after, 5xx, ...) can be scripted per method with failNext.
+ *
+ * @module test/harness/fake-telegram
+ */
+
+import http from 'http';
+
+// ============================================================================
+// RESPONSES
+// ============================================================================
+
+const BOT_USER = { id: 1, is_bot: true, first_name: 'Test Bot', username: 'test_bot' };
+
+// node-telegram-bot-api sends JSON-encoded objects (reply_markup, commands, ...) as form fields,
+// and the params of file-sending methods (sendPhoto, ...) in the query string
+function parseParams(query, body) {
+  const params = {};
+  for (const [key, value] of [...new URLSearchParams(query), ...new URLSearchParams(body)]) {
+    try {
+      params[key] = /^[[{]/.test(value) ? JSON.parse(value) : value;
+    } catch {
+      params[key] = value;
+    }
+  }
+  return params;
+}
+
+function createResult(method, params, nextMessageId) {
+  if (method === 'getMe') return BOT_USER;
+  if (!method.startsWith('send')) return true;
+
+  return {
+    message_id: nextMessageId(),
+    from: BOT_USER,
+    chat: { id: Number(params.chat_id), type: 'private' },
+    date: Math.floor(Date.now() / 1000),
+    text: params.text,
+    caption: params.caption,
+  };
+}
+
+// Text and keyboard a message shows, to tell whether an edit changes anything
+function messageKey(params) {
+  return `${params.chat_id}:${params.message_id}`;
+}
+
+function messageContent(params) {
+  return JSON.stringify([params.text, params.reply_markup ?? null]);
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+/**
+ * Start the fake Bot API on a free local port
+ *
+ * @returns {Promise<Object>} - { url, calls, callsTo(method), failNext(method, error), waitFor(predicate), close() }
+ */
+export async function startFakeTelegram() {
+  const calls = [];
+  const waiters = new Set();
+  const contents = new Map();
+  const failures = [];
+  let messageId = 1000;
+
+  function reject(res, method, params, error) {
+    calls.push({ method, params, error });
+    res.statusCode = error.error_code;
+    res.end(JSON.stringify(error));
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const method = req.url.match(/^\/bot[^/]+\/(\w+)/)?.[1] || 'unknown';
+      const params = parseParams(req.url.split('?')[1] || '', body);
+      res.setHeader('Content-Type', 'application/json');
+
+      const failure = failures.find(f => f.method === method && f.times > 0 && f.match(params));
+      if (failure) {
+        failure.times--;
+        reject(res, method, params, { ok: false, ...failure.error });
+      } else if (method === 'editMessageText' && contents.get(messageKey(params)) === messageContent(params)) {
+        reject(res, method, params, { ok: false, error_code: 400, description: 'Bad Request: message is not modified' });
+      } else {
+        const call = { method, params, result: createResult(method, params, () => ++messageId) };
+        calls.push(call);
+        if (method === 'sendMessage') {
+          contents.set(messageKey({ chat_id: params.chat_id, message_id: call.result.message_id }), messageContent(params));
+        } else if (method === 'editMessageText') {
+          contents.set(messageKey(params), messageContent(params));
+        }
+        res.end(JSON.stringify({ ok: true, result: call.result }));
+      }
+
+      for (const waiter of waiters) {
+        waiter.check();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+
+    /** Calls of one method, oldest first */
+    callsTo(method) {
+      return calls.filter(call => call.method === method);
+    },
+
+    /**
+     * Fail the next calls of a method with a Bot API error
+     * @param {string} method - Bot API method, e.g. 'sendMessage'
+     * @param {Object} error - { error_code, description, parameters }, e.g. parameters: { retry_after: 1 }
+     * @param {number} times - How many calls fail
+     * @param {Function} match - Fail only calls whose params match
+     */
+    failNext(method, error, times = 1, match = () => true) {
+      failures.push({ method, error, times, match });
+    },
+
+    /**
+     * Wait for a call matching predicate({method, params, result}), including calls made before
+     * @returns {Promise<Object>} - The first matching call
+     */
+    waitFor(predicate, timeoutMs = 5000) {
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          check() {
+            const call = calls.find(predicate);
+            if (!call) return;
+            clearTimeout(waiter.timer);
+            waiters.delete(waiter);
+            resolve(call);
+          },
+        };
+        waiter.timer = setTimeout(() => {
+          waiters.delete(waiter);
+          reject(new Error(`No matching Telegram call within ${timeoutMs}ms; calls: ${calls.map(c => c.method).join(', ')}`));
+        }, timeoutMs);
+        waiters.add(waiter);
+        waiter.check();
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Offline Test Harness
+ *
+ * Boots src/server.js in-process with local stand-ins for everything external:
+ * - Telegram: fake Bot API server (fake-telegram.js) via TELEGRAM_API_URL
+ * - LLM: the mock provider, scriptable with setMockResponder
+ * - Opik: in-memory client (fake-opik.js) via setOpikClient
+ * - Storage: memory backend
+ *
+ * Updates are posted to /api/webhook like Telegram does. The server runs in its
+ * serverless mode (VERCEL=1): no polling, no local scheduler, no listen of its own;
+ * its background work is collected through a stand-in for Vercel's waitUntil.
+ * Node runs each test file in its own process, so every file gets a fresh server.
+ *
+ * @module test/harness
+ */
+
+import { startFakeTelegram } from './fake-telegram.js';
+import { createFakeOpikClient } from './fake-opik.js';
+
+export const BOT_TOKEN = '123456:TEST';
+export const CRON_SECRET = 'test-cron-secret';
+
+/**
+ * Wrap a store so calls take a moment, so overlapping updates interleave
+ *
+ * @param {Object} store - Storage backend ({ get, set, delete, clear })
+ * @param {number} delayMs - Delay per call
+ * @param {string} [onlyKey] - Slow down only this key
+ * @returns {Object} - The slowed-down store
+ */
+export function slowDown(store, delayMs = 5, onlyKey) {
+  const pause = key => (onlyKey === undefined || key === onlyKey) && new Promise(resolve => setTimeout(resolve, delayMs));
+
+  return {
+    name: 'slow',
+    async get(key) { await pause(key); return store.get(key); },
+    async set(key, value) { await pause(key); return store.set(key, value); },
+    async delete(key) { await pause(key); return store.delete(key); },
+    async clear() { return store.clear(); },
+  };
+}
+
+/**
+ * Start the bot server against the stand-ins
+ *
+ * @returns {Promise<Object>} - Harness (see the returned object's methods)
+ */
+export async function startHarness() {
+  const telegram = await startFakeTelegram();
+
+  Object.assign(process.env, {
+    BOT_TOKEN,
+    TELEGRAM_API_URL: telegram.url,
+    VERCEL: '1',
+    STORAGE_BACKEND: 'memory',
+    LLM_PROVIDER: 'mock',
+    OPIK_API_KEY: '',
+    AUTH_DISABLED: 'true',
+    CRON_SECRET,
+  });
+
+  // Stands in for Vercel's request context (what waitUntil from @vercel/functions uses), so background work of the webhook can be awaited
+  const background = new Set();
+  globalThis[Symbol.for('@vercel/request-context')] = {
+    get: () => ({
+      waitUntil(promise) {
+        background.add(promise);
+        promise.finally(() => background.delete(promise));
+      },
+    }),
+  };
+
+  // Installed before server.js initializes, so initializeOpik() keeps it
+  const opik = createFakeOpikClient();
+  const { setOpikClient } = await import('../../src/opik.js');
+  setOpikClient(opik);
+
+  const { default: app } = await import('../../src/server.js');
+  const { getWebhookSecret } = await import('../../src/auth.js');
+  const llm = await import('../../src/llm-providers.js');
+  const storage = await import('../../src/storage.js');
+  const { t } = await import('../../src/translations.js');
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // getMe is the last call of the server's initialization
+  await telegram.waitFor(call => call.method === 'getMe');
+
+  let updateId = 1;
+  let messageId = 1;
+
+  const harness = {
+    baseUrl,
+    telegram,
+    opik,
+    llm,
+    storage,
+
+    /**
+     * Post a Telegram update to the webhook
+     * @returns {Promise<Response>}
+     */
+    postUpdate(update) {
+      return fetch(`${baseUrl}/api/webhook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': getWebhookSecret() },
+        body: JSON.stringify({ update_id: updateId++, ...update }),
+      });
+    },
+
+    /**
+     * Wait until the bot finished processing every update posted so far
+     */
+    async settle() {
+      while (background.size > 0) {
+        await Promise.allSettled([...background]);
+      }
+    },
+
+    /**
+     * Send a text message from a user
+     * @param {Object} user - { id, username, language_code }
+     * @param {string} text - Message text
+     * @param {Object} extra - More message fields, e.g. reply_to_message
+     * @returns {Promise<Object>} - The Telegram message that was sent
+     */
+    sendText(user, text, extra = {}) {
+      return harness.sendMessage(user, { text, ...extra });
+    },
+
+    /**
+     * Send any message from a user, e.g. media
+     * @param {Object} user - { id, username, language_code }
+     * @param {Object} content - Message fields, e.g. { photo: [...], caption }
+     * @returns {Promise<Object>} - The Telegram message that was sent
+     */
+    async sendMessage(user, content) {
+      const message = {
+        message_id: messageId++,
+        from: { is_bot: false, first_name: user.username, ...user },
+        chat: { id: user.id, type: 'private' },
+        date: Math.floor(Date.now() / 1000),
+        ...content,
+      };
+      await harness.postUpdate({ message });
+      return message;
+    },
+
+    /**
+     * Wait for the bot to send a message to a chat
+     * @param {number} chatId - Recipient chat
+     * @param {Function|RegExp|string} match - Text to look for
+     * @returns {Promise<Object>} - Params of the sendMessage call
+     */
+    async waitForMessage(chatId, match = () => true, timeoutMs) {
+      const test = typeof match === 'function' ? match
+        : match instanceof RegExp ? text => match.test(text)
+          : text => text?.includes(match);
+      const call = await telegram.waitFor(
+        c => c.method === 'sendMessage' && String(c.params.chat_id) === String(chatId) && test(c.params.text),
+        timeoutMs
+      );
+      return call.params;
+    },
+
+    /**
+     * Register two users as a pair through the invite flow
+     * @returns {Promise<Object>} - The pair from storage
+     */
+    async createPair(userA, userB) {
+      await harness.sendText(userA, '/start');
+      const invite = await harness.waitForMessage(userA.id, /start=/);
+      const code = invite.text.match(/start=([\w-]+)/)[1];
+      await harness.sendText(userB, `/start ${code}`);
+      await harness.waitForMessage(userA.id, t('en', 'partnerJoined'));
+      const config = await storage.readConfig();
+      return storage.findPairByUser(config, userA.id).pair;
+    },
+
+    async stop() {
+      llm.setMockResponder(null);
+      await new Promise(resolve => server.close(resolve));
+      await telegram.close();
+    },
+  };
+
+  return harness;
+}
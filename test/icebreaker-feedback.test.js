@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, CRON_SECRET } from './harness/index.js';
+
+const alice = { id: 701, username: 'alice', language_code: 'en' };
+const bob = { id: 702, username: 'bob', language_code: 'en' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let harness;
+let pair;
+let openerCount = 0;
+const icebreakerPrompts = [];
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(alice, bob);
+
+  // A new opener each time, so the repeat window never skips one
+  harness.llm.setMockResponder((task, prompt, input) => {
+    if (task !== 'icebreaker' || input.sourceText) return undefined;
+    icebreakerPrompts.push(prompt);
+    return `[icebreaker/${input.language}] Opener ${++openerCount}?`;
+  });
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+function runCron() {
+  return fetch(`${harness.baseUrl}/api/cron/icebreaker`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${CRON_SECRET}` },
+  });
+}
+
+function makeDue() {
+  return fetch(`${harness.baseUrl}/api/pairs/${pair.id}/icebreaker`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ dueAt: new Date(Date.now() - 60 * 1000).toISOString() }),
+  });
+}
+
+// Shift logged icebreakers into the past, or add old ones
+async function editIcebreakers(edit) {
+  const key = `icebreakers:${pair.id}`;
+  const data = await harness.storage.getStore().get(key);
+  edit(data.entries);
+  await harness.storage.getStore().set(key, data);
+}
+
+function engagementScores() {
+  return harness.opik.traces
+    .filter(trace => trace.name === 'generate_icebreaker')
+    .map(trace => trace.feedbackScores.find(score => score.name === 'icebreaker_engagement')?.value);
+}
+
+test('a reply within a day scores the icebreaker as engaged', async () => {
+  await harness.sendText(alice, 'hi');
+  await harness.settle();
+  await makeDue();
+  await runCron();
+
+  // Nobody replied yet and the window is open
+  assert.deepEqual(engagementScores(), [undefined, undefined]);
+
+  await harness.sendText(bob, 'oh hi, good question');
+  await harness.settle();
+
+  const [entry] = await harness.storage.getIcebreakerLog(pair.id);
+  assert.equal(entry.engaged, true);
+  assert.deepEqual(entry.responders, ['B']);
+
+  // Both generate_icebreaker traces (one per user) get the score
+  assert.deepEqual(engagementScores(), [1, 1]);
+});
+
+test('an icebreaker nobody answers within a day scores 0', async () => {
+  await makeDue();
+  await runCron();
+  await editIcebreakers(entries => {
+    entries.at(-1).sentAt = new Date(Date.now() - DAY_MS - 60 * 1000).toISOString();
+  });
+
+  await runCron();
+
+  const log = await harness.storage.getIcebreakerLog(pair.id);
+  assert.equal(log.at(-1).engaged, false);
+  assert.deepEqual(engagementScores(), [1, 1, 0, 0]);
+});
+
+test('low engagement adds guidance to the prompt and stretches the interval', async () => {
+  // Three more unanswered icebreakers: 1 of 5 answered
+  await editIcebreakers(entries => {
+    for (let i = 0; i < 3; i++) {
+      entries.push({
+        id: `old${i}`,
+        mode: 'individual',
+        topic: null,
+        texts: { A: `Old opener ${i}?`, B: `Old opener ${i}?` },
+        styles: { A: 'friendly', B: 'friendly' },
+        traceIds: [],
+        sentAt: new Date(Date.now() - 3 * DAY_MS).toISOString(),
+      });
+    }
+  });
+
+  await makeDue();
+  const promptsBefore = icebreakerPrompts.length;
+  await runCron();
+
+  const adaptation = await harness.storage.getIcebreakerAdaptation(pair.id);
+  assert.equal(adaptation.lastRate, 0.2);
+  assert.equal(adaptation.intervalFactor, 1.25);
+  assert.deepEqual(adaptation.guidance, ['Address: icebreaker_engagement']);
+
+  // The icebreaker sent in the same run already follows it
+  assert.equal(icebreakerPrompts.length, promptsBefore + 2);
+  assert.match(icebreakerPrompts.at(-1), /Address: icebreaker_engagement/);
+
+  // Default period of 7 days: at least 5 days, times 1.25
+  const schedule = await harness.storage.getIcebreakerSchedule(pair.id);
+  assert.ok(new Date(schedule.nextDueAt).getTime() > Date.now() + 6 * DAY_MS);
+});
+
+test('the stats endpoint reports the success rate by mode and style', async () => {
+  const response = await fetch(`${harness.baseUrl}/api/icebreakers/stats?pair=${encodeURIComponent(pair.id)}`);
+  assert.equal(response.status, 200);
+  const stats = await response.json();
+
+  assert.equal(stats.pending, 1);
+  const byMode = stats.rows.find(row => row.type === 'mode' && row.key === 'individual');
+  assert.deepEqual([byMode.scored, byMode.engaged, byMode.rate], [5, 1, 0.2]);
+  assert.ok(stats.rows.some(row => row.type === 'style'));
+  assert.equal(stats.adaptation.intervalFactor, 1.25);
+
+  const missing = await fetch(`${harness.baseUrl}/api/icebreakers/stats?pair=nope`);
+  assert.equal(missing.status, 404);
+});
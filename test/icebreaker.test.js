@@ -0,0 +1,186 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, slowDown, CRON_SECRET } from './harness/index.js';
+
+const alice = { id: 501, username: 'alice', language_code: 'en' };
+const bob = { id: 502, username: 'bob', language_code: 'ru' };
+
+let harness;
+let pair;
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(alice, bob);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+function runCron(secret = CRON_SECRET) {
+  return fetch(`${harness.baseUrl}/api/cron/icebreaker`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${secret}` },
+  });
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function updateSchedule(body) {
+  return fetch(`${harness.baseUrl}/api/pairs/${pair.id}/icebreaker`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+async function getDueAt() {
+  const schedule = await harness.storage.getIcebreakerSchedule(pair.id);
+  return new Date(schedule.nextDueAt).getTime();
+}
+
+function icebreakersTo(chatId) {
+  return harness.telegram.callsTo('sendMessage')
+    .filter(call => Number(call.params.chat_id) === chatId && call.params.text.startsWith('[icebreaker/'));
+}
+
+test('the cron endpoint needs the cron secret', async () => {
+  const response = await runCron('wrong');
+  assert.equal(response.status, 401);
+});
+
+test('a message schedules the next icebreaker once', async () => {
+  await harness.sendText(alice, 'hi there');
+  await harness.settle();
+
+  // Default period of 7 days, drawn within ±2 days
+  const dueAt = await getDueAt();
+  assert.ok(dueAt > Date.now() + 5 * DAY_MS - 60 * 1000);
+  assert.ok(dueAt < Date.now() + 9 * DAY_MS);
+
+  const response = await runCron();
+  assert.equal(response.status, 200);
+
+  assert.equal(icebreakersTo(alice.id).length, 0);
+  assert.equal(icebreakersTo(bob.id).length, 0);
+  assert.equal(await getDueAt(), dueAt);
+});
+
+test('admins can snooze the next icebreaker', async () => {
+  const dueAt = await getDueAt();
+
+  const response = await updateSchedule({ snoozeDays: 1 });
+  assert.equal(response.status, 200);
+  assert.equal(new Date((await response.json()).nextDueAt).getTime(), dueAt + DAY_MS);
+  assert.equal(await getDueAt(), dueAt + DAY_MS);
+
+  const rejected = await updateSchedule({ snoozeDays: 0 });
+  assert.equal(rejected.status, 400);
+  assert.equal((await rejected.json()).error, 'snoozeDays must be more than 0 and at most 30');
+  assert.equal((await updateSchedule({ dueAt: 'someday' })).status, 400);
+  assert.equal((await updateSchedule({})).status, 400);
+});
+
+test('cron sends to each user in their language once the icebreaker is due', async () => {
+  const response = await updateSchedule({ dueAt: new Date(Date.now() - 60 * 1000).toISOString() });
+  assert.equal(response.status, 200);
+
+  assert.equal((await (await runCron()).json()).sent, true);
+
+  assert.deepEqual(icebreakersTo(alice.id).map(call => call.params.text), ['[icebreaker/en] What was the best part of your week?']);
+  assert.deepEqual(icebreakersTo(bob.id).map(call => call.params.text), ['[icebreaker/ru] What was the best part of your week?']);
+
+  // The next one is drawn from now, so another run sends nothing
+  const schedule = await harness.storage.getIcebreakerSchedule(pair.id);
+  assert.equal(schedule.reason, 'icebreaker');
+  assert.ok(new Date(schedule.nextDueAt).getTime() > Date.now() + 4 * DAY_MS);
+
+  await runCron();
+  assert.equal(icebreakersTo(alice.id).length, 1);
+});
+
+function postConfig(body) {
+  return fetch(`${harness.baseUrl}/api/config`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pairId: pair.id, ...body }),
+  });
+}
+
+function makeDue() {
+  return updateSchedule({ dueAt: new Date(Date.now() - 60 * 1000).toISOString() });
+}
+
+test('an icebreaker sent within the repeat window is not sent again', async () => {
+  // The mock provider answers with the opener of the previous test every time
+  await makeDue();
+  await runCron();
+
+  assert.equal(icebreakersTo(alice.id).length, 1);
+  assert.equal(icebreakersTo(bob.id).length, 1);
+
+  // Not skipped for the whole period: tried again a day later
+  const schedule = await harness.storage.getIcebreakerSchedule(pair.id);
+  assert.equal(schedule.reason, 'retry');
+  assert.ok(Math.abs(new Date(schedule.nextDueAt).getTime() - (Date.now() + DAY_MS)) < 60 * 1000);
+});
+
+test('a game is written once in the chosen topic and translated for the partner', async () => {
+  assert.equal((await postConfig({ icebreakerMode: 'no_such_mode' })).status, 400);
+  assert.equal((await postConfig({ icebreakerMode: 'would_you_rather', icebreakerTopics: { travel: 1 } })).status, 200);
+
+  const prompts = [];
+  harness.llm.setMockResponder((task, prompt) => {
+    if (task === 'icebreaker') prompts.push(prompt);
+    return undefined;
+  });
+  try {
+    await makeDue();
+    await runCron();
+  } finally {
+    harness.llm.setMockResponder(null);
+  }
+
+  const textA = icebreakersTo(alice.id).at(-1).params.text;
+  assert.equal(textA, '[icebreaker/en/would_you_rather] What was the best part of your week?');
+  assert.equal(icebreakersTo(bob.id).at(-1).params.text, `[icebreaker/ru] ${textA}`);
+
+  // One generation (game, topic, earlier openers to avoid) and one translation
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[0], /Would you rather/);
+  assert.match(prompts[0], /travel/);
+  assert.match(prompts[0], /Do NOT repeat[\s\S]*What was the best part of your week\?/);
+});
+
+test("a message only checks the icebreaker of the sender's pair", async () => {
+  const carol = { id: 503, username: 'carol', language_code: 'en' };
+  const dave = { id: 504, username: 'dave', language_code: 'en' };
+  await harness.createPair(carol, dave);
+
+  await makeDue();
+  const dueAt = await getDueAt();
+  await harness.sendText(carol, 'hello');
+  await harness.settle();
+
+  // Still due: the other pair's message didn't touch it, the cron will
+  assert.equal(await getDueAt(), dueAt);
+});
+
+test('overlapping checks of a due pair send one icebreaker', async () => {
+  let opener = 0;
+  harness.llm.setMockResponder((task, prompt, input) =>
+    task === 'icebreaker' && !input.sourceText ? `[icebreaker/${input.language}] Fresh opener ${++opener}?` : undefined
+  );
+  // Slow schedule reads and writes, so both checks find the pair due
+  const store = harness.storage.getStore();
+  harness.storage.setStore(slowDown(store, 30, `schedule:${pair.id}`));
+  try {
+    await makeDue();
+    const sentBefore = icebreakersTo(alice.id).length;
+    await Promise.all([runCron(), runCron()]);
+    assert.equal(icebreakersTo(alice.id).length, sentBefore + 1);
+  } finally {
+    harness.storage.setStore(store);
+    harness.llm.setMockResponder(null);
+  }
+});
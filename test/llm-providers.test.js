@@ -0,0 +1,128 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+import { startFakeOpenAI } from './harness/fake-openai.js';
+
+const nina = { id: 1301, username: 'nina', language_code: 'en' };
+const oleg = { id: 1302, username: 'oleg', language_code: 'en' };
+
+let harness;
+let openai;
+
+before(async () => {
+  harness = await startHarness();
+  openai = await startFakeOpenAI();
+  process.env.OPENAI_BASE_URL = `${openai.url}/v1`;
+  process.env.OPENAI_API_KEY = 'sk-test';
+  process.env.OLLAMA_BASE_URL = `${openai.url}/ollama/v1/`;
+  await harness.createPair(nina, oleg);
+});
+
+afterEach(async () => {
+  openai.respond(null);
+  await setTaskModels({});
+});
+
+after(async () => {
+  await openai.close();
+  await harness.stop();
+});
+
+async function setTaskModels(llm) {
+  await harness.storage.updateConfig(config => {
+    config.llm = llm;
+  });
+}
+
+async function relay(text) {
+  await harness.sendText(nina, text);
+  return harness.waitForMessage(oleg.id, text);
+}
+
+test('the mock provider answers deterministically from the task input, offline', async () => {
+  const copy = await relay('no network needed');
+  assert.equal(copy.text, '[friendly/en] no network needed');
+  assert.equal(openai.requests.length, 0);
+
+  const first = await harness.llm.generateText('icebreaker', 'any prompt', { language: 'en' });
+  const second = await harness.llm.generateText('icebreaker', 'another prompt', { language: 'en' });
+  assert.equal(first.provider, 'mock');
+  assert.equal(first.text, second.text);
+});
+
+test('a task set to the OpenAI-compatible provider calls chat completions with its model and key', async () => {
+  await setTaskModels({ stylize: { provider: 'openai', model: 'local-llama' } });
+
+  const copy = await relay('via openai');
+
+  assert.equal(copy.text, '[local-llama] via openai');
+  const request = openai.requests.at(-1);
+  assert.equal(request.path, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer sk-test');
+  assert.equal(request.body.model, 'local-llama');
+  assert.match(request.body.messages[0].content, /Original message: via openai/);
+
+  const trace = harness.opik.traces.findLast(t => t.name === 'stylize_message');
+  assert.equal(trace.output.model, 'local-llama');
+});
+
+test('the Ollama provider uses its own base URL and default model, without a key', async () => {
+  await setTaskModels({ stylize: { provider: 'ollama' } });
+
+  const copy = await relay('via ollama');
+
+  assert.equal(copy.text, '[llama3.2] via ollama');
+  const request = openai.requests.at(-1);
+  assert.equal(request.path, '/ollama/v1/chat/completions');
+  assert.equal(request.headers.authorization, undefined);
+});
+
+test('each task runs on its own provider', async () => {
+  await setTaskModels({ stylize: { provider: 'openai', model: 'local-llama' } });
+  const requestsBefore = openai.requests.length;
+
+  const improvement = await harness.llm.generateText('improvement', 'improve this', {});
+  const stylized = await harness.llm.generateText('stylize', 'Original message: hi', { message: 'hi' });
+
+  assert.equal(improvement.provider, 'mock');
+  assert.equal(stylized.provider, 'openai');
+  assert.equal(openai.requests.length, requestsBefore + 1);
+});
+
+test('a rate-limited provider is retried after its Retry-After', async () => {
+  await setTaskModels({ stylize: { provider: 'openai', model: 'local-llama' } });
+  let calls = 0;
+  openai.respond(() => (++calls === 1 ? { status: 429, headers: { 'Retry-After': '1' }, error: 'slow down' } : undefined));
+
+  const startedAt = Date.now();
+  const copy = await relay('after a rate limit');
+
+  assert.equal(calls, 2);
+  assert.ok(Date.now() - startedAt >= 1000);
+  assert.equal(copy.text, '[local-llama] after a rate limit');
+});
+
+test('a rejected request is not retried and the original text goes out', async () => {
+  await setTaskModels({ stylize: { provider: 'openai', model: 'unknown-model' } });
+  let calls = 0;
+  openai.respond(() => { calls++; return { status: 400, error: 'model not found' }; });
+
+  const copy = await relay('bad request');
+  await harness.waitForMessage(nina.id, 'Stylization is unavailable');
+
+  assert.equal(calls, 1);
+  assert.equal(copy.text, 'bad request');
+});
+
+test('LLM_MODEL applies to the default provider only', () => {
+  const previous = process.env.LLM_MODEL;
+  process.env.LLM_MODEL = 'mock-large';
+  try {
+    assert.deepEqual(harness.llm.resolveTaskModel({}, 'stylize'), { provider: 'mock', model: 'mock-large' });
+    assert.deepEqual(harness.llm.resolveTaskModel({ llm: { stylize: { provider: 'ollama' } } }, 'stylize'), { provider: 'ollama', model: 'llama3.2' });
+    assert.deepEqual(harness.llm.resolveTaskModel({ llm: { stylize: { provider: 'nonexistent' } } }, 'stylize'), { provider: 'mock', model: 'mock-large' });
+  } finally {
+    if (previous === undefined) delete process.env.LLM_MODEL;
+    else process.env.LLM_MODEL = previous;
+  }
+});
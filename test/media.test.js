@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+
+const vera = { id: 1001, username: 'vera', language_code: 'en' };
+const gleb = { id: 1002, username: 'gleb', language_code: 'en' };
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  await harness.createPair(vera, gleb);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+// The last call of a method that went to Gleb
+async function relayed(method) {
+  await harness.settle();
+  return harness.telegram.callsTo(method).findLast(call => String(call.params.chat_id) === String(gleb.id));
+}
+
+test('a photo is relayed by its largest size with the caption stylized', async () => {
+  await harness.sendMessage(vera, {
+    photo: [{ file_id: 'photo-small', width: 90, height: 90 }, { file_id: 'photo-large', width: 1280, height: 1280 }],
+    caption: 'look at this',
+  });
+
+  const call = await relayed('sendPhoto');
+  assert.equal(call.params.photo, 'photo-large');
+  assert.equal(call.params.caption, '[friendly/en] look at this');
+  assert.ok(call.params.reply_markup, 'a traced caption can be rated');
+});
+
+test('an animation is relayed as an animation, not as the document it also carries', async () => {
+  await harness.sendMessage(vera, {
+    animation: { file_id: 'animation-1' },
+    document: { file_id: 'animation-1' },
+    caption: 'so funny',
+  });
+
+  const call = await relayed('sendAnimation');
+  assert.equal(call.params.animation, 'animation-1');
+  assert.equal(call.params.caption, '[friendly/en] so funny');
+  assert.equal(harness.telegram.callsTo('sendDocument').length, 0);
+});
+
+test('media without a caption is relayed without calling the LLM', async () => {
+  const tracesBefore = harness.opik.traces.length;
+  await harness.sendMessage(vera, { sticker: { file_id: 'sticker-1' } });
+
+  const call = await relayed('sendSticker');
+  assert.equal(call.params.sticker, 'sticker-1');
+  assert.equal(call.params.caption, undefined);
+  assert.equal(harness.opik.traces.length, tracesBefore);
+});
+
+test('a venue is relayed as a venue, not as the location it also carries', async () => {
+  await harness.sendMessage(vera, {
+    venue: { location: { latitude: 55.75, longitude: 37.62 }, title: 'Cafe', address: 'Main street 1' },
+    location: { latitude: 55.75, longitude: 37.62 },
+  });
+
+  const call = await relayed('sendVenue');
+  assert.equal(call.params.title, 'Cafe');
+  assert.equal(call.params.address, 'Main street 1');
+  assert.equal(Number(call.params.latitude), 55.75);
+  assert.equal(harness.telegram.callsTo('sendLocation').length, 0);
+});
+
+test('a quiz poll keeps its options and correct answer', async () => {
+  await harness.sendMessage(vera, {
+    poll: {
+      question: 'Where shall we go?',
+      options: [{ text: 'Park', voter_count: 0 }, { text: 'Cinema', voter_count: 0 }],
+      is_anonymous: false,
+      type: 'quiz',
+      allows_multiple_answers: false,
+      correct_option_id: 1,
+    },
+  });
+
+  const call = await relayed('sendPoll');
+  assert.equal(call.params.question, 'Where shall we go?');
+  assert.deepEqual(call.params.options.map(option => option.text), ['Park', 'Cinema']);
+  assert.equal(call.params.type, 'quiz');
+  assert.equal(Number(call.params.correct_option_id), 1);
+});
+
+test('a contact is relayed with its name and number', async () => {
+  await harness.sendMessage(vera, { contact: { phone_number: '+100200300', first_name: 'Masha', last_name: 'Ivanova' } });
+
+  const call = await relayed('sendContact');
+  assert.equal(call.params.phone_number, '+100200300');
+  assert.equal(call.params.first_name, 'Masha');
+  assert.equal(call.params.last_name, 'Ivanova');
+});
+
+test('content that can\'t be relayed is reported to the sender instead of dropped', async () => {
+  const callsBefore = harness.telegram.calls.length;
+  await harness.sendMessage(vera, { dice: { emoji: '🎲', value: 4 } });
+
+  const notice = await harness.waitForMessage(vera.id, 'can\'t be forwarded');
+  assert.ok(notice);
+  assert.equal(harness.telegram.calls.slice(callsBefore).filter(call => String(call.params.chat_id) === String(gleb.id)).length, 0);
+});
+
+test('relayed media is linked to its original, so a reply to it is threaded', async () => {
+  const original = await harness.sendMessage(vera, { voice: { file_id: 'voice-1' }, caption: 'listen' });
+  const copy = (await relayed('sendVoice')).result;
+
+  await harness.sendText(gleb, 'nice voice', { reply_to_message: { message_id: copy.message_id, chat: { id: gleb.id } } });
+  const toVera = await harness.waitForMessage(vera.id, 'nice voice');
+  assert.equal(Number(toVera.reply_to_message_id), original.message_id);
+});
@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+import { t } from '../src/translations.js';
+
+const alice = { id: 901, username: 'alice', language_code: 'en' };
+const bob = { id: 902, username: 'bob', language_code: 'en' };
+
+let harness;
+let pair;
+let queryId = 0;
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(alice, bob);
+  await harness.sendText(alice, '/preview');
+  await harness.waitForMessage(alice.id, t('en', 'previewOn'));
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+// Send a message and return the draft ID and message of its preview
+async function sendForPreview(text) {
+  await harness.sendText(alice, text);
+  const preview = await harness.waitForMessage(alice.id, body => body?.endsWith(text) && body.startsWith(t('en', 'previewTitle')));
+  const draftId = preview.reply_markup.inline_keyboard[0][0].callback_data.split(':')[2];
+  const call = harness.telegram.callsTo('sendMessage').find(c => c.params === preview);
+  return { draftId, messageId: call.result.message_id };
+}
+
+async function press(action, { draftId, messageId }) {
+  const id = `preview-${++queryId}`;
+  await harness.postUpdate({
+    callback_query: {
+      id,
+      from: { ...alice, is_bot: false, first_name: 'alice' },
+      message: { message_id: messageId, chat: { id: alice.id, type: 'private' } },
+      data: `draft:${action}:${draftId}`,
+    },
+  });
+  await harness.settle();
+  return harness.telegram.callsTo('answerCallbackQuery').find(call => call.params.callback_query_id === id);
+}
+
+test('a previewed message goes out when the sender taps send', async () => {
+  const preview = await sendForPreview('previewed hello');
+  await press('send', preview);
+
+  await harness.waitForMessage(bob.id, text => text.endsWith('previewed hello'));
+  assert.equal(await harness.storage.getDraft(pair.id, preview.draftId), null);
+});
+
+test('a draft is kept when the partner is gone at send time', async () => {
+  const preview = await sendForPreview('wait for bob');
+  const bobId = pair.userB.telegramId;
+  await harness.storage.updatePair(pair.id, current => { current.userB.telegramId = null; });
+
+  const answer = await press('send', preview);
+  assert.equal(answer.params.text, t('en', 'otherUserNotRegistered'));
+  assert.ok(await harness.storage.getDraft(pair.id, preview.draftId));
+
+  // Back again: the same draft can still be sent
+  await harness.storage.updatePair(pair.id, current => { current.userB.telegramId = bobId; });
+  await press('send', preview);
+  await harness.waitForMessage(bob.id, text => text.endsWith('wait for bob'));
+});
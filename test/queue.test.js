@@ -0,0 +1,65 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let queue;
+let storage;
+
+before(async () => {
+  process.env.STORAGE_BACKEND = 'memory';
+  storage = await import('../src/storage.js');
+  queue = await import('../src/queue.js');
+});
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Handle a message: stylize (takes `ms`), then deliver in turn
+async function handle(instance, chatId, messageId, ms, delivered) {
+  const ticket = instance.enterQueue(chatId, messageId);
+  try {
+    await pause(ms);
+    await ticket.waitTurn();
+    delivered.push(messageId);
+  } finally {
+    await ticket.leave();
+  }
+}
+
+test('messages of a chat are delivered in send order', async () => {
+  const delivered = [];
+  await Promise.all([
+    handle(queue, 1, 10, 30, delivered),
+    handle(queue, 1, 11, 5, delivered),
+    handle(queue, 2, 5, 1, delivered),
+  ]);
+  assert.deepEqual(delivered, [5, 10, 11]);
+});
+
+test('an edit waits for the message it changes', async () => {
+  const delivered = [];
+  const handling = handle(queue, 1, 20, 20, delivered);
+  await queue.waitForMessage(1, 20);
+  assert.deepEqual(delivered, [20]);
+  await handling;
+});
+
+// A second copy of the module stands in for another serverless instance; both share the storage
+test('messages handled by another instance are delivered in send order', async () => {
+  const otherInstance = await import('../src/queue.js?instance=2');
+  const delivered = [];
+  await Promise.all([
+    handle(queue, 1, 30, 300, delivered),
+    handle(otherInstance, 1, 31, 5, delivered),
+  ]);
+  assert.deepEqual(delivered, [30, 31]);
+});
+
+test('a message left in the queue by a handler that died is not waited for', async () => {
+  const died = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  await storage.getStore().set('queue:3', { pending: [{ id: 40, enteredAt: died }] });
+
+  const delivered = [];
+  const start = Date.now();
+  await handle(queue, 3, 41, 0, delivered);
+  assert.deepEqual(delivered, [41]);
+  assert.ok(Date.now() - start < 1000);
+});
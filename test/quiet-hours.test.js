@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, CRON_SECRET } from './harness/index.js';
+
+const alice = { id: 601, username: 'alice', language_code: 'en' };
+const bob = { id: 602, username: 'bob', language_code: 'en' };
+
+let harness;
+let pair;
+let quietHours;
+
+before(async () => {
+  harness = await startHarness();
+  // Loaded after the harness set up the environment (storage backend)
+  quietHours = await import('../src/quiet-hours.js');
+  pair = await harness.createPair(alice, bob);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+function runCron() {
+  return fetch(`${harness.baseUrl}/api/cron/icebreaker`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${CRON_SECRET}` },
+  });
+}
+
+function postConfig(body) {
+  return fetch(`${harness.baseUrl}/api/config`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pairId: pair.id, ...body }),
+  });
+}
+
+// 'HH:MM' in UTC, some minutes from now
+function utcTime(offsetMinutes) {
+  return new Date(Date.now() + offsetMinutes * 60 * 1000).toISOString().slice(11, 16);
+}
+
+function icebreakersTo(chatId) {
+  return harness.telegram.callsTo('sendMessage')
+    .filter(call => Number(call.params.chat_id) === chatId && call.params.text.startsWith('[icebreaker/'));
+}
+
+test('quiet hours wrap past midnight in the user\'s time zone', () => {
+  const { isQuietTime, getNextAllowedTime } = quietHours;
+  const user = { timezone: 'Asia/Tokyo', quietStart: '22:00', quietEnd: '08:00' };
+
+  // 23:30 and 07:59 in Tokyo (UTC+9)
+  assert.equal(isQuietTime(user, new Date('2026-03-01T14:30:00Z')), true);
+  assert.equal(isQuietTime(user, new Date('2026-03-01T22:59:00Z')), true);
+  assert.equal(isQuietTime(user, new Date('2026-03-01T23:00:00Z')), false);
+  assert.equal(isQuietTime({ ...user, quietStart: '', quietEnd: '' }, new Date('2026-03-01T14:30:00Z')), false);
+
+  assert.equal(getNextAllowedTime(user, new Date('2026-03-01T14:30:00Z')).toISOString(), '2026-03-01T23:00:00.000Z');
+});
+
+test('settings reject unknown time zones and malformed times', async () => {
+  assert.equal((await postConfig({ userBTimezone: 'Mars/Olympus' })).status, 400);
+  assert.equal((await postConfig({ userBQuietStart: '25:00' })).status, 400);
+});
+
+test('an icebreaker waits until the recipient\'s quiet hours end', async () => {
+  const response = await postConfig({ userBTimezone: 'UTC', userBQuietStart: utcTime(-60), userBQuietEnd: utcTime(60), userBSilentInQuiet: true });
+  assert.equal(response.status, 200);
+
+  await harness.sendText(alice, 'good night');
+  await harness.settle();
+
+  // Relayed right away, but silently
+  const relayed = await harness.waitForMessage(bob.id, 'good night');
+  assert.equal(String(relayed.disable_notification), 'true');
+
+  await fetch(`${harness.baseUrl}/api/pairs/${pair.id}/icebreaker`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ dueAt: new Date(Date.now() - 60 * 1000).toISOString() }),
+  });
+  await runCron();
+
+  assert.equal(icebreakersTo(alice.id).length, 1);
+  assert.equal(icebreakersTo(bob.id).length, 0);
+
+  // Once the window is over, the next run delivers it
+  const key = `outbox:${pair.id}`;
+  const outbox = await harness.storage.getStore().get(key);
+  assert.equal(outbox.messages.length, 1);
+  outbox.messages[0].notBefore = new Date(Date.now() - 1000).toISOString();
+  await harness.storage.getStore().set(key, outbox);
+
+  const result = await (await runCron()).json();
+  assert.equal(result.deliveredMessages, 1);
+  assert.equal(icebreakersTo(bob.id).length, 1);
+});
+
+test('a deferred message whose send fails is kept for the next run', async () => {
+  const past = new Date(Date.now() - 1000).toISOString();
+  await harness.storage.addToOutbox(pair.id, { role: 'B', text: 'first notice', notBefore: past });
+  await harness.storage.addToOutbox(pair.id, { role: 'B', text: 'second notice', notBefore: past });
+
+  // Telegram is down for the first run
+  const sent = [];
+  const bot = {
+    down: true,
+    async sendMessage(chatId, text) {
+      if (this.down) throw new Error('ETELEGRAM: 502 Bad Gateway');
+      sent.push(text);
+    },
+  };
+  assert.equal(await quietHours.deliverDeferredMessages(bot), 0);
+
+  const { messages } = await harness.storage.getStore().get(`outbox:${pair.id}`);
+  assert.deepEqual(messages.map(entry => [entry.text, entry.attempts]), [['first notice', 1], ['second notice', undefined]]);
+
+  bot.down = false;
+  assert.equal(await quietHours.deliverDeferredMessages(bot), 2);
+  assert.deepEqual(sent, ['first notice', 'second notice']);
+  assert.deepEqual((await harness.storage.getStore().get(`outbox:${pair.id}`)).messages, []);
+});
+
+test('a deferred message is dropped after repeated failures', async () => {
+  await harness.storage.addToOutbox(pair.id, { role: 'B', text: 'never arrives', notBefore: new Date(Date.now() - 1000).toISOString() });
+  const bot = { async sendMessage() { throw new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user'); } };
+
+  for (let run = 0; run < 3; run++) {
+    await quietHours.deliverDeferredMessages(bot);
+  }
+  assert.deepEqual((await harness.storage.getStore().get(`outbox:${pair.id}`)).messages, []);
+});
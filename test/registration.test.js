@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, slowDown } from './harness/index.js';
+import { t } from '../src/translations.js';
+
+const alice = { id: 101, username: 'alice', language_code: 'en' };
+const bob = { id: 102, username: 'bob', language_code: 'en' };
+const stranger = { id: 103, username: 'stranger', language_code: 'en' };
+const carol = { id: 104, username: 'carol', language_code: 'en' };
+const dave = { id: 105, username: 'dave', language_code: 'en' };
+const erin = { id: 106, username: 'erin', language_code: 'en' };
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+test('/start creates a pair and sends an invite link', async () => {
+  await harness.sendText(alice, '/start');
+
+  const invite = await harness.waitForMessage(alice.id, t('en', 'welcomeUserA'));
+  assert.match(invite.text, /https:\/\/t\.me\/test_bot\?start=[\w-]+/);
+
+  const config = await harness.storage.readConfig();
+  const sender = harness.storage.findPairByUser(config, alice.id);
+  assert.equal(sender.role, 'A');
+  assert.equal(sender.pair.userB.telegramId, null);
+});
+
+test('a wrong invite code is rejected', async () => {
+  await harness.sendText(stranger, '/start nosuchcode');
+  await harness.waitForMessage(stranger.id, t('en', 'inviteInvalid'));
+});
+
+test('the invite link joins the partner as User B', async () => {
+  const invite = await harness.waitForMessage(alice.id, t('en', 'welcomeUserA'));
+  const code = invite.text.match(/start=([\w-]+)/)[1];
+
+  await harness.sendText(bob, `/start ${code}`);
+
+  await harness.waitForMessage(bob.id, t('en', 'welcomeUserB'));
+  await harness.waitForMessage(alice.id, t('en', 'partnerJoined'));
+
+  const config = await harness.storage.readConfig();
+  const sender = harness.storage.findPairByUser(config, bob.id);
+  assert.equal(sender.role, 'B');
+  assert.equal(sender.pair.userA.telegramId, alice.id);
+  assert.equal(sender.pair.invite, null);
+});
+
+test('users outside a pair are told how to join', async () => {
+  await harness.sendText(stranger, 'hello?');
+  await harness.waitForMessage(stranger.id, t('en', 'notConnected'));
+});
+
+test('registrations at the same time keep every pair', async () => {
+  // Slow config reads and writes, so the two registrations overlap
+  harness.storage.setStore(slowDown(harness.storage.getStore(), 50, 'config'));
+  await Promise.all([harness.sendText(carol, '/start'), harness.sendText(dave, '/start')]);
+  await harness.settle();
+
+  const config = await harness.storage.readConfig();
+  assert.equal(harness.storage.findPairByUser(config, carol.id)?.role, 'A');
+  assert.equal(harness.storage.findPairByUser(config, dave.id)?.role, 'A');
+});
+
+test('of two people using one invite at once only one joins', async () => {
+  const invite = await harness.waitForMessage(carol.id, t('en', 'welcomeUserA'));
+  const code = invite.text.match(/start=([\w-]+)/)[1];
+
+  await Promise.all([harness.sendText(erin, `/start ${code}`), harness.sendText(stranger, `/start ${code}`)]);
+  await harness.settle();
+
+  const welcomed = [erin.id, stranger.id].filter(id =>
+    harness.telegram.callsTo('sendMessage').some(call => String(call.params.chat_id) === String(id) && call.params.text === t('en', 'welcomeUserB'))
+  );
+  assert.equal(welcomed.length, 1);
+
+  const config = await harness.storage.readConfig();
+  const sender = harness.storage.findPairByUser(config, welcomed[0]);
+  assert.equal(sender.pair.userA.telegramId, carol.id);
+  assert.equal(harness.storage.findPairByUser(config, welcomed[0] === erin.id ? stranger.id : erin.id), null);
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+
+const alice = { id: 201, username: 'alice', language_code: 'en' };
+const bob = { id: 202, username: 'bob', language_code: 'en' };
+
+let harness;
+let pair;
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(alice, bob);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+test('messages are stylized and relayed in both directions', async () => {
+  await harness.sendText(alice, 'hello bob');
+  const toBob = await harness.waitForMessage(bob.id, 'hello bob');
+  assert.equal(toBob.text, '[friendly/en] hello bob');
+
+  await harness.sendText(bob, 'hi alice');
+  const toAlice = await harness.waitForMessage(alice.id, 'hi alice');
+  assert.equal(toAlice.text, '[friendly/en] hi alice');
+});
+
+test('relayed messages are traced and carry rating buttons', async () => {
+  await harness.sendText(alice, 'traced message');
+  const toBob = await harness.waitForMessage(bob.id, 'traced message');
+
+  assert.deepEqual(toBob.reply_markup.inline_keyboard[0].map(button => button.callback_data), ['rate:up', 'rate:down']);
+
+  const trace = harness.opik.traces.findLast(t => t.name === 'stylize_message');
+  assert.equal(trace.input.original_message, 'traced message');
+  assert.equal(trace.metadata.pair_id, pair.id);
+  assert.equal(trace.output.result, '[friendly/en] traced message');
+});
+
+test('replies point at the partner\'s copy', async () => {
+  const original = await harness.sendText(alice, 'question?');
+  await harness.settle();
+  const copy = harness.telegram.callsTo('sendMessage').find(call => call.params.text?.endsWith('question?')).result;
+
+  await harness.sendText(bob, 'answer!', { reply_to_message: { message_id: copy.message_id, chat: { id: bob.id } } });
+  const toAlice = await harness.waitForMessage(alice.id, 'answer!');
+  assert.equal(Number(toAlice.reply_to_message_id), original.message_id);
+});
+
+test('a quick burst arrives in send order even when stylization latency varies', async () => {
+  const delays = { first: 300, second: 100, third: 0 };
+  harness.llm.setMockResponder(async (task, prompt, input) => {
+    if (task !== 'stylize') return undefined;
+    await new Promise(resolve => setTimeout(resolve, delays[input.message] ?? 0));
+    return undefined;
+  });
+
+  for (const text of ['first', 'second', 'third']) {
+    await harness.sendText(alice, text);
+  }
+  await harness.waitForMessage(bob.id, '] third');
+
+  const order = harness.telegram.callsTo('sendMessage')
+    .filter(call => Number(call.params.chat_id) === bob.id && /\] (first|second|third)$/.test(call.params.text))
+    .map(call => call.params.text.split('] ')[1]);
+  assert.deepEqual(order, ['first', 'second', 'third']);
+  harness.llm.setMockResponder(null);
+});
+
+test('a redelivered webhook update is processed once', async () => {
+  const message = {
+    message_id: 9001,
+    from: { ...alice, is_bot: false, first_name: 'alice' },
+    chat: { id: alice.id, type: 'private' },
+    date: Math.floor(Date.now() / 1000),
+    text: 'only once',
+  };
+  await harness.postUpdate({ update_id: 5000, message });
+  await harness.postUpdate({ update_id: 5000, message });
+  await harness.waitForMessage(bob.id, 'only once');
+  await harness.sendText(alice, 'after duplicate');
+  await harness.waitForMessage(bob.id, 'after duplicate');
+
+  const copies = harness.telegram.callsTo('sendMessage').filter(call => call.params.text?.endsWith('only once'));
+  assert.equal(copies.length, 1);
+});
+
+test('the message fills the prompt even when the conversation quotes {message}', async () => {
+  await harness.sendText(bob, 'use the {message} tag');
+  await harness.settle();
+
+  const prompts = [];
+  harness.llm.setMockResponder((task, prompt) => {
+    if (task === 'stylize') prompts.push(prompt);
+    return undefined;
+  });
+  await harness.sendText(alice, 'HELLO $& $1');
+  await harness.settle();
+  harness.llm.setMockResponder(null);
+
+  assert.match(prompts[0], /^Recipient: use the \{message\} tag$/m);
+  assert.ok(prompts[0].includes('Original message: HELLO $& $1'));
+  assert.ok(prompts[0].indexOf('RECENT CONVERSATION') < prompts[0].indexOf('Original message:'));
+});
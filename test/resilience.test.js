@@ -0,0 +1,152 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+import { withRetry, getCircuitStates, CircuitOpenError } from '../src/resilience.js';
+
+const olga = { id: 901, username: 'olga', language_code: 'en' };
+const pavel = { id: 902, username: 'pavel', language_code: 'en' };
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  await harness.createPair(olga, pavel);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+// Error shaped like the ones node-telegram-bot-api throws for Bot API errors
+function telegramError(errorCode, parameters) {
+  const error = new Error(`ETELEGRAM: ${errorCode}`);
+  error.response = { body: { ok: false, error_code: errorCode, parameters } };
+  return error;
+}
+
+const toPavel = call => call.method === 'sendMessage' && String(call.params.chat_id) === String(pavel.id);
+
+test('a 429 is retried after the retry_after Telegram asks for', async () => {
+  harness.telegram.failNext('sendMessage', { error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } }, 1, params => String(params.chat_id) === String(pavel.id));
+
+  const sentAt = Date.now();
+  await harness.sendText(olga, 'rate limited');
+  await harness.settle();
+
+  const attempts = harness.telegram.calls.filter(call => toPavel(call) && call.params.text?.endsWith('rate limited'));
+  assert.equal(attempts.length, 2);
+  assert.equal(attempts[0].error.error_code, 429);
+  assert.ok(attempts[1].result);
+  assert.ok(Date.now() - sentAt >= 1000);
+});
+
+test('a retry_after past the backoff cap is waited out while it fits the time budget', async () => {
+  let calls = 0;
+  const result = await withRetry('test:retry-after', async () => {
+    if (++calls === 1) throw telegramError(429, { retry_after: 0.2 });
+    return 'sent';
+  }, { maxDelayMs: 50, budgetMs: 1000 });
+
+  assert.equal(result, 'sent');
+  assert.equal(calls, 2);
+});
+
+test('a retry_after past the time budget fails without waiting', async () => {
+  let calls = 0;
+  const startedAt = Date.now();
+  await assert.rejects(
+    withRetry('test:over-budget', async () => {
+      calls++;
+      throw telegramError(429, { retry_after: 60 });
+    }, { budgetMs: 1000 }),
+    /429/
+  );
+
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('a delivery failing on every retry tells the sender', async () => {
+  harness.telegram.failNext('sendMessage', { error_code: 502, description: 'Bad Gateway' }, 3, params => String(params.chat_id) === String(pavel.id));
+
+  const original = await harness.sendText(olga, 'never arrives');
+  const notice = await harness.waitForMessage(olga.id, 'could not be delivered');
+  await harness.settle();
+
+  const attempts = harness.telegram.calls.filter(call => toPavel(call) && call.params.text?.endsWith('never arrives'));
+  assert.equal(attempts.length, 3);
+  assert.ok(attempts.every(call => call.error?.error_code === 502));
+  assert.equal(Number(notice.reply_to_message_id), original.message_id);
+});
+
+test('when stylization fails on every retry the partner gets the original and the sender is told', async () => {
+  let attempts = 0;
+  harness.llm.setMockResponder(task => {
+    if (task !== 'stylize') return undefined;
+    attempts++;
+    const error = new Error('Service Unavailable');
+    error.status = 503;
+    throw error;
+  });
+
+  const original = await harness.sendText(olga, 'plain text please');
+  const copy = await harness.waitForMessage(pavel.id, 'plain text please');
+  const notice = await harness.waitForMessage(olga.id, 'Stylization is unavailable');
+  harness.llm.setMockResponder(null);
+
+  assert.equal(attempts, 3);
+  assert.equal(copy.text, 'plain text please');
+  assert.equal(Number(notice.reply_to_message_id), original.message_id);
+});
+
+test('when stylization of an edit fails the sender is told too', async () => {
+  const original = await harness.sendText(olga, 'before the edit');
+  await harness.waitForMessage(pavel.id, 'before the edit');
+  await harness.settle();
+
+  harness.llm.setMockResponder(task => {
+    if (task !== 'stylize') return undefined;
+    const error = new Error('Service Unavailable');
+    error.status = 503;
+    throw error;
+  });
+  await harness.postUpdate({ edited_message: { ...original, text: 'after the edit', edit_date: Math.floor(Date.now() / 1000) } });
+  await harness.settle();
+  harness.llm.setMockResponder(null);
+
+  const edit = harness.telegram.callsTo('editMessageText').findLast(call => String(call.params.chat_id) === String(pavel.id));
+  assert.equal(edit.params.text, 'after the edit');
+  const notices = harness.telegram.callsTo('sendMessage')
+    .filter(call => String(call.params.chat_id) === String(olga.id) && call.params.text.includes('Stylization is unavailable'));
+  assert.equal(Number(notices.at(-1).params.reply_to_message_id), original.message_id);
+});
+
+test('a circuit opens after repeated failures, fails fast, then lets a trial call through', async () => {
+  const options = { retries: 0, failureThreshold: 2, cooldownMs: 100 };
+  const failing = async () => { throw telegramError(503); };
+
+  await assert.rejects(withRetry('test:circuit', failing, options), /503/);
+  assert.equal(getCircuitStates()['test:circuit'].state, 'closed');
+  await assert.rejects(withRetry('test:circuit', failing, options), /503/);
+  assert.equal(getCircuitStates()['test:circuit'].state, 'open');
+
+  let called = false;
+  await assert.rejects(withRetry('test:circuit', async () => { called = true; }, options), CircuitOpenError);
+  assert.equal(called, false);
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.equal(getCircuitStates()['test:circuit'].state, 'half-open');
+
+  assert.equal(await withRetry('test:circuit', async () => 'ok', options), 'ok');
+  assert.deepEqual(getCircuitStates()['test:circuit'], { state: 'closed', failures: 0 });
+});
+
+test('a failed trial call in half-open state opens the circuit again', async () => {
+  const options = { retries: 0, failureThreshold: 1, cooldownMs: 50 };
+  await assert.rejects(withRetry('test:trial', async () => { throw telegramError(500); }, options), /500/);
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.equal(getCircuitStates()['test:trial'].state, 'half-open');
+
+  await assert.rejects(withRetry('test:trial', async () => { throw telegramError(500); }, options), /500/);
+  assert.equal(getCircuitStates()['test:trial'].state, 'open');
+});
@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+
+const anna = { id: 701, username: 'anna', language_code: 'en' };
+const boris = { id: 702, username: 'boris', language_code: 'en' };
+
+let harness;
+let pair;
+let queryId = 0;
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(anna, boris);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+// Tap a button under a menu message; returns the answerCallbackQuery call
+async function tap(menu, data) {
+  const id = `settings-${++queryId}`;
+  await harness.postUpdate({
+    callback_query: {
+      id,
+      from: { ...anna, is_bot: false, first_name: 'anna' },
+      message: { message_id: menu.message_id, chat: { id: anna.id, type: 'private' } },
+      data,
+    },
+  });
+  await harness.settle();
+  return harness.telegram.callsTo('answerCallbackQuery').find(call => call.params.callback_query_id === id);
+}
+
+test('tapping the already selected option still answers the button', async () => {
+  await harness.sendText(anna, '/pause');
+  await harness.settle();
+  const menu = harness.telegram.callsTo('sendMessage').findLast(call => String(call.params.chat_id) === String(anna.id)).result;
+
+  assert.ok(await tap(menu, 'settings:pause:on'));
+  assert.ok(await tap(menu, 'settings:pause:on'));
+
+  assert.equal(harness.telegram.calls.filter(call => call.method === 'editMessageText' && call.error).length, 0);
+  const config = await harness.storage.readConfig();
+  assert.equal(config.pairs[pair.id].userA.paused, true);
+});
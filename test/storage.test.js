@@ -0,0 +1,57 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../src/file-store.js';
+import { slowDown } from './harness/index.js';
+
+let storage;
+
+before(async () => {
+  process.env.STORAGE_BACKEND = 'memory';
+  storage = await import('../src/storage.js');
+  storage.setStore(slowDown(createMemoryStore()));
+});
+
+function link(messageId) {
+  return {
+    senderRole: 'A',
+    source: { chatId: 1, messageId },
+    copy: { chatId: 2, messageId: messageId + 100 },
+    originalText: `message ${messageId}`,
+    stylizedText: `message ${messageId}`,
+  };
+}
+
+test('concurrent updates of one pair keep every entry', async () => {
+  await Promise.all([
+    storage.saveMessageLink('p1', link(1)),
+    storage.saveMessageLink('p1', link(2)),
+    storage.appendMessage('p1', { type: 'message', senderRole: 'A', stylizedText: 'one' }),
+    storage.appendMessage('p1', { type: 'message', senderRole: 'B', stylizedText: 'two' }),
+  ]);
+
+  await Promise.all([
+    storage.updateMessageLink('p1', { chatId: 1, messageId: 1 }, { rating: 1 }),
+    storage.updateMessageLink('p1', { chatId: 1, messageId: 2 }, { rating: 0 }),
+  ]);
+
+  assert.equal((await storage.findMessageLink('p1', 1, 1)).rating, 1);
+  assert.equal((await storage.findMessageLink('p1', 1, 2)).rating, 0);
+  assert.equal((await storage.fetchRecentMessages('p1')).length, 2);
+});
+
+test('a claim overlapping a completion keeps both', async () => {
+  const update = id => ({ update_id: id, message: { message_id: id, text: 'hi' } });
+  assert.equal(await storage.claimUpdate(update(1)), true);
+
+  const [, claimed] = await Promise.all([
+    storage.completeUpdate(1),
+    storage.claimUpdate(update(2)),
+  ]);
+  assert.equal(claimed, true);
+  assert.equal(await storage.claimUpdate(update(2)), false);
+
+  // Update 1 is done, so it is never retried; update 2 is still processing
+  const { updates } = await storage.getStore().get('updates');
+  assert.deepEqual(updates.map(entry => [entry.id, entry.status]), [[1, 'done'], [2, 'processing']]);
+  assert.deepEqual(await storage.takeStaleUpdates(-1, 3), [update(2)]);
+});
@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+
+const tanya = { id: 1501, username: 'tanya', language_code: 'en' };
+const uriy = { id: 1502, username: 'uriy', language_code: 'en' };
+
+let harness;
+let pair;
+let queryId = 0;
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(tanya, uriy);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+// Open the /style menu and tap one of its buttons
+async function pickStyle(user, value) {
+  await harness.sendText(user, '/style');
+  await harness.settle();
+  const menu = harness.telegram.callsTo('sendMessage').findLast(call => String(call.params.chat_id) === String(user.id)).result;
+
+  await harness.postUpdate({
+    callback_query: {
+      id: `style-${++queryId}`,
+      from: { ...user, is_bot: false, first_name: user.username },
+      message: { message_id: menu.message_id, chat: { id: user.id, type: 'private' } },
+      data: `settings:style:${value}`,
+    },
+  });
+  await harness.settle();
+}
+
+// Relay a text and return the partner's copy and the message's trace
+async function relay(from, to, text) {
+  await harness.sendText(from, text);
+  const copy = await harness.waitForMessage(to.id, text);
+  await harness.settle();
+  const trace = harness.opik.traces.findLast(t => t.name === 'stylize_message' && t.input.original_message === text);
+  return { copy, trace };
+}
+
+async function getUser(role) {
+  const config = await harness.storage.readConfig();
+  return role === 'A' ? config.pairs[pair.id].userA : config.pairs[pair.id].userB;
+}
+
+test('the style menu offers the presets and off', async () => {
+  await harness.sendText(tanya, '/style');
+  await harness.settle();
+  const menu = harness.telegram.callsTo('sendMessage').findLast(call => String(call.params.chat_id) === String(tanya.id));
+
+  const values = menu.params.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+  for (const value of ['settings:style:friendly', 'settings:style:formal', 'settings:style:off']) {
+    assert.ok(values.includes(value), value);
+  }
+});
+
+test('a style picked by one user changes only their outgoing messages', async () => {
+  await pickStyle(tanya, 'formal');
+
+  assert.equal((await getUser('A')).style, 'formal');
+  assert.equal((await getUser('B')).style, 'friendly');
+
+  const fromTanya = await relay(tanya, uriy, 'meeting at noon');
+  const fromUriy = await relay(uriy, tanya, 'see you there');
+  assert.equal(fromTanya.copy.text, '[formal/en] meeting at noon');
+  assert.equal(fromUriy.copy.text, '[friendly/en] see you there');
+  assert.equal(fromTanya.trace.metadata.style, 'formal');
+  assert.equal(fromUriy.trace.metadata.style, 'friendly');
+});
+
+test('/style <description> sets a custom style keyed on the sender', async () => {
+  await harness.sendText(uriy, '/style like a pirate');
+  await harness.waitForMessage(uriy.id, 'like a pirate');
+
+  const user = await getUser('B');
+  assert.equal(user.style, 'custom');
+  assert.equal(user.customStyle, 'like a pirate');
+
+  const { trace } = await relay(uriy, tanya, 'where is the treasure');
+  assert.equal(trace.metadata.style, 'custom-B');
+  assert.equal(trace.input.custom_style, 'like a pirate');
+  assert.match(trace.input.prompt, /like a pirate/);
+
+  // Feedback on the copy improves Uriy's custom prompt, not a shared one
+  const link = await harness.storage.findLastMessageLink(pair.id, 'B');
+  assert.equal(link.style, 'custom-B');
+});
+
+test('a stored prompt of one sender\'s style is not used for the other sender', async () => {
+  await harness.storage.updatePromptConfig(pair.id, 'formal', 'en', { prompt: 'Tanya\'s formal prompt: {message}' });
+
+  const fromTanya = await relay(tanya, uriy, 'quarterly report');
+  const fromUriy = await relay(uriy, tanya, 'arr, report');
+  assert.match(fromTanya.trace.input.prompt, /^Tanya's formal prompt: /m);
+  assert.doesNotMatch(fromUriy.trace.input.prompt, /Tanya's formal prompt/);
+});
+
+test('turning stylization off sends the user\'s messages as written, while the partner\'s stay stylized', async () => {
+  await pickStyle(tanya, 'off');
+
+  const user = await getUser('A');
+  assert.equal(user.stylizationEnabled, false);
+  assert.equal(user.style, 'formal', 'the chosen style is kept for when it is turned back on');
+
+  const fromTanya = await relay(tanya, uriy, 'plain words');
+  const fromUriy = await relay(uriy, tanya, 'still a pirate');
+  assert.equal(fromTanya.copy.text, 'plain words');
+  assert.equal(fromTanya.trace.metadata.style, 'none');
+  assert.equal(fromUriy.trace.metadata.style, 'custom-B');
+
+  await pickStyle(tanya, 'formal');
+  assert.equal((await relay(tanya, uriy, 'back to formal')).copy.text, '[formal/en] back to formal');
+});
+
+test('custom can\'t be picked from the menu before a description was given', async () => {
+  await pickStyle(tanya, 'custom');
+
+  const user = await getUser('A');
+  assert.equal(user.style, 'formal');
+  assert.equal(user.stylizationEnabled, true);
+});
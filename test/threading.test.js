@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+
+const dina = { id: 1101, username: 'dina', language_code: 'en' };
+const egor = { id: 1102, username: 'egor', language_code: 'en' };
+
+let harness;
+
+before(async () => {
+  harness = await startHarness();
+  await harness.createPair(dina, egor);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+// Send a text and return the original and the copy the partner received
+async function relay(from, to, text, extra) {
+  const original = await harness.sendText(from, text, extra);
+  await harness.settle();
+  const copy = harness.telegram.callsTo('sendMessage')
+    .findLast(call => String(call.params.chat_id) === String(to.id) && call.params.text?.endsWith(text));
+  return { original, copy };
+}
+
+function replyTo(messageId, user) {
+  return { reply_to_message: { message_id: messageId, chat: { id: user.id } } };
+}
+
+test('a reply to the partner\'s copy points at the partner\'s original', async () => {
+  const question = await relay(egor, dina, 'how are you?');
+  const { copy } = await relay(dina, egor, 'fine, thanks', replyTo(question.copy.result.message_id, dina));
+
+  assert.equal(Number(copy.params.reply_to_message_id), question.original.message_id);
+  assert.equal(copy.params.allow_sending_without_reply, 'true');
+});
+
+test('a reply to one\'s own message points at the partner\'s copy of it', async () => {
+  const { original: first, copy: firstCopy } = await relay(dina, egor, 'one more thing');
+  const { copy } = await relay(dina, egor, 'I forgot', replyTo(first.message_id, dina));
+
+  assert.equal(Number(copy.params.reply_to_message_id), firstCopy.result.message_id);
+});
+
+test('a chain of replies stays threaded in both chats', async () => {
+  const { original: a1, copy: a1Copy } = await relay(dina, egor, 'first');
+  const { original: b1, copy: b1Copy } = await relay(egor, dina, 'second', replyTo(a1Copy.result.message_id, egor));
+  const { copy: a2Copy } = await relay(dina, egor, 'third', replyTo(b1Copy.result.message_id, dina));
+
+  assert.equal(Number(b1Copy.params.reply_to_message_id), a1.message_id);
+  assert.equal(Number(a2Copy.params.reply_to_message_id), b1.message_id);
+});
+
+test('a reply to a message that was never relayed goes out as a plain message', async () => {
+  // The bot's own notices have no counterpart in the partner's chat
+  const notice = harness.telegram.callsTo('sendMessage').find(call => String(call.params.chat_id) === String(dina.id)).result;
+  const { copy } = await relay(dina, egor, 'about that notice', replyTo(notice.message_id, dina));
+
+  assert.equal(copy.params.reply_to_message_id, undefined);
+});
@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './harness/index.js';
+
+const anna = { id: 301, username: 'anna', language_code: 'en' };
+const boris = { id: 302, username: 'boris', language_code: 'ru' };
+
+let harness;
+let pair;
+
+before(async () => {
+  harness = await startHarness();
+  pair = await harness.createPair(anna, boris);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+async function updatePair(changes) {
+  const config = await harness.storage.readConfig();
+  changes(config.pairs[pair.id]);
+  await harness.storage.writeConfig(config);
+}
+
+test('messages are translated into the recipient\'s Telegram language', async () => {
+  await harness.sendText(anna, 'good morning');
+  await harness.settle();
+  await harness.sendText(boris, 'доброе утро');
+  await harness.settle();
+
+  await harness.waitForMessage(boris.id, text => text === '[friendly/ru] good morning');
+  await harness.waitForMessage(anna.id, text => text === '[friendly/en] доброе утро');
+});
+
+test('an explicit language setting overrides the Telegram language', async () => {
+  await updatePair(p => { p.userB.language = 'de'; });
+
+  await harness.sendText(anna, 'see you soon');
+  await harness.settle();
+
+  await harness.waitForMessage(boris.id, text => text === '[friendly/de] see you soon');
+});
+
+test('with stylization off, only translation is applied', async () => {
+  await updatePair(p => { p.userA.stylizationEnabled = false; });
+
+  await harness.sendText(anna, 'plain words');
+  await harness.settle();
+
+  await harness.waitForMessage(boris.id, text => text === '[neutral/de] plain words');
+});
+
+test('with stylization off and a shared language, the original is relayed', async () => {
+  await updatePair(p => { p.userB.language = 'en'; });
+
+  await harness.sendText(anna, 'exactly as typed');
+  await harness.settle();
+
+  await harness.waitForMessage(boris.id, text => text === 'exactly as typed');
+});
@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness, CRON_SECRET } from './harness/index.js';
+import { signCronRequest } from '../src/auth.js';
+
+const rita = { id: 1401, username: 'rita', language_code: 'en' };
+const stas = { id: 1402, username: 'stas', language_code: 'en' };
+
+const CRON_PATH = '/api/cron/icebreaker';
+
+let harness;
+let forgedId = 900000;
+
+before(async () => {
+  harness = await startHarness();
+  await harness.createPair(rita, stas);
+});
+
+after(async () => {
+  await harness.stop();
+});
+
+// A well-formed update from a registered user, posted without going through the harness's signed postUpdate
+function postForged(headers, text) {
+  return fetch(`${harness.baseUrl}/api/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({
+      update_id: ++forgedId,
+      message: {
+        message_id: forgedId,
+        from: { is_bot: false, first_name: 'rita', ...rita },
+        chat: { id: rita.id, type: 'private' },
+        date: Math.floor(Date.now() / 1000),
+        text,
+      },
+    }),
+  });
+}
+
+function postCron(headers = {}, path = CRON_PATH) {
+  return fetch(`${harness.baseUrl}${path}`, { method: 'POST', headers });
+}
+
+function signedHeaders(timestamp = Math.floor(Date.now() / 1000), signedPath = CRON_PATH, secret = CRON_SECRET) {
+  return { 'X-Cron-Timestamp': String(timestamp), 'X-Cron-Signature': signCronRequest(secret, timestamp, signedPath) };
+}
+
+test('an update without the webhook secret token is rejected and not processed', async () => {
+  const response = await postForged({}, 'forged without token');
+  await harness.settle();
+
+  assert.equal(response.status, 401);
+  assert.equal(harness.telegram.calls.filter(call => call.params.text?.includes('forged without token')).length, 0);
+});
+
+test('an update with a wrong secret token is rejected and not processed', async () => {
+  const response = await postForged({ 'X-Telegram-Bot-Api-Secret-Token': 'guessed-token' }, 'forged with a guess');
+  await harness.settle();
+
+  assert.equal(response.status, 401);
+  assert.equal(harness.telegram.calls.filter(call => call.params.text?.includes('forged with a guess')).length, 0);
+});
+
+test('an update with the secret token is relayed', async () => {
+  await harness.sendText(rita, 'genuine update');
+  const copy = await harness.waitForMessage(stas.id, 'genuine update');
+  assert.equal(copy.text, '[friendly/en] genuine update');
+});
+
+test('the cron endpoint rejects requests without credentials', async () => {
+  assert.equal((await postCron()).status, 401);
+  assert.equal((await postCron({ Authorization: 'Bearer wrong-secret' })).status, 401);
+  assert.equal((await postCron({ Authorization: CRON_SECRET })).status, 401);
+});
+
+test('the cron endpoint accepts the secret as a bearer token', async () => {
+  const response = await postCron({ Authorization: `Bearer ${CRON_SECRET}` });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).success, true);
+});
+
+test('the cron endpoint accepts a fresh HMAC signature of its path', async () => {
+  const response = await postCron(signedHeaders());
+  assert.equal(response.status, 200);
+});
+
+test('the cron endpoint rejects stale, misdirected and wrongly keyed signatures', async () => {
+  const sixMinutesAgo = Math.floor(Date.now() / 1000) - 6 * 60;
+  assert.equal((await postCron(signedHeaders(sixMinutesAgo))).status, 401);
+  assert.equal((await postCron(signedHeaders(undefined, '/api/cron/other'))).status, 401);
+  assert.equal((await postCron(signedHeaders(undefined, CRON_PATH, 'another-secret'))).status, 401);
+
+  // A signature is bound to its timestamp
+  const headers = signedHeaders();
+  headers['X-Cron-Timestamp'] = String(Number(headers['X-Cron-Timestamp']) - 1);
+  assert.equal((await postCron(headers)).status, 401);
+});
+
+test('without CRON_SECRET the cron endpoint rejects every request', async () => {
+  delete process.env.CRON_SECRET;
+  try {
+    assert.equal((await postCron({ Authorization: 'Bearer ' })).status, 401);
+    assert.equal((await postCron({ Authorization: `Bearer ${CRON_SECRET}` })).status, 401);
+  } finally {
+    process.env.CRON_SECRET = CRON_SECRET;
+  }
+});